@@ -1,7 +1,63 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const RateLimit = require('../models/RateLimit');
+const { AppError } = require('./errorHandler');
 
-// Authenticate JWT token
+// Verify an access token and load its active user; resolves to
+// { user, sessionId }. Shared by HTTP requests and Socket.IO handshakes.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Refresh and two-factor challenge tokens are not access tokens
+  if (decoded.type) {
+    throw new AppError('Invalid token type', 401);
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) {
+    throw new AppError('Invalid token - user not found', 401);
+  }
+
+  if (!user.isActive) {
+    throw new AppError('Account is deactivated', 401);
+  }
+
+  // Password changes and "sign out everywhere" invalidate earlier tokens
+  if (user.isTokenRevoked(decoded.iat)) {
+    throw new AppError('Token has been revoked', 401);
+  }
+
+  if (decoded.sid && !(await Session.isActiveById(decoded.sid))) {
+    throw new AppError('Session has ended', 401);
+  }
+
+  return { user, sessionId: decoded.sid || null };
+};
+
+// Verify a personal API token and load its active user; resolves to
+// { user, apiToken }
+const verifyApiToken = async (token, ip) => {
+  const apiToken = await ApiToken.findActiveByToken(token);
+
+  if (!apiToken) {
+    throw new AppError('Invalid or expired API token', 401);
+  }
+
+  const user = await User.findById(apiToken.user).select('-password');
+
+  if (!user || !user.isActive) {
+    throw new AppError('Account is deactivated', 401);
+  }
+
+  await apiToken.touch(ip);
+
+  return { user, apiToken };
+};
+
+// Authenticate JWT token or personal API token
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -14,30 +70,25 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Find user and add to request
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token - user not found'
-      });
-    }
-
-    if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Account is deactivated'
-      });
+    if (token.startsWith(ApiToken.API_TOKEN_PREFIX)) {
+      const { user, apiToken } = await verifyApiToken(token, req.ip);
+      req.user = user;
+      req.apiToken = apiToken;
+      return next();
     }
 
+    // Verify token and add user and session to request
+    const { user, sessionId } = await verifyAccessToken(token);
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    } else if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
         message: 'Invalid token'
@@ -57,6 +108,41 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Authenticate signed-in sessions only; account and security endpoints
+// can't be reached with personal API tokens
+const authenticateSession = (req, res, next) => {
+  authenticateToken(req, res, () => {
+    if (req.apiToken) {
+      return res.status(403).json({
+        success: false,
+        message: 'Personal API tokens cannot be used for this endpoint'
+      });
+    }
+    next();
+  });
+};
+
+// Limit personal API tokens to their scopes: reads need 'read', changes
+// need '<resource>:write'. Session requests pass straight through.
+const requireTokenScope = (resource) => {
+  return (req, res, next) => {
+    if (!req.apiToken) {
+      return next();
+    }
+
+    const scope = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'read' : `${resource}:write`;
+
+    if (!req.apiToken.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `API token is missing the ${scope} scope`
+      });
+    }
+
+    next();
+  };
+};
+
 // Optional authentication (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -64,12 +150,9 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (user && user.isActive) {
-        req.user = user;
-      }
+      const { user, sessionId } = await verifyAccessToken(token);
+      req.user = user;
+      req.sessionId = sessionId;
     }
     
     next();
@@ -79,6 +162,21 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Password sign in can be switched off per deployment when everyone
+// signs in through single sign-on
+const isPasswordLoginEnabled = () => process.env.PASSWORD_LOGIN_DISABLED !== 'true';
+
+// Reject password-based endpoints while password sign in is disabled
+const requirePasswordLogin = (req, res, next) => {
+  if (!isPasswordLoginEnabled()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Password sign in is disabled. Please sign in with single sign-on.'
+    });
+  }
+  next();
+};
+
 // Check if user is admin
 const requireAdmin = (req, res, next) => {
   if (!req.user || req.user.role !== 'admin') {
@@ -183,55 +281,42 @@ const requireProjectPermission = (permission) => {
   };
 };
 
-// Rate limiting for authentication endpoints
+// Rate limiting for authentication endpoints. Counts are kept in MongoDB
+// so limits hold across restarts and API instances.
 const authRateLimit = (maxAttempts = 5, windowMs = 15 * 60 * 1000) => {
-  const attempts = new Map();
-
-  return (req, res, next) => {
-    const key = req.ip + (req.body.email || '');
-    const now = Date.now();
-    
-    // Clean up old entries
-    for (const [k, v] of attempts.entries()) {
-      if (now - v.timestamp > windowMs) {
-        attempts.delete(k);
-      }
-    }
+  return async (req, res, next) => {
+    try {
+      const key = `${req.baseUrl}${req.path}:${req.ip}:${req.body.email || ''}`;
+      const entry = await RateLimit.hit(key, windowMs);
 
-    const attemptData = attempts.get(key);
-    
-    if (attemptData) {
-      if (attemptData.count >= maxAttempts) {
+      if (entry.count > maxAttempts) {
         return res.status(429).json({
           success: false,
           message: 'Too many attempts. Please try again later.',
-          retryAfter: Math.ceil((attemptData.timestamp + windowMs - now) / 1000)
+          retryAfter: Math.max(1, Math.ceil((entry.expiresAt.getTime() - Date.now()) / 1000))
         });
       }
-      
-      attemptData.count++;
-      attemptData.timestamp = now;
-    } else {
-      attempts.set(key, { count: 1, timestamp: now });
-    }
 
-    next();
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
+// Generate JWT token, tied to the session it was issued for
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sid: sessionId },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
   );
 };
 
-// Generate refresh token
-const generateRefreshToken = (userId) => {
+// Generate refresh token; tokenId identifies this token within its session
+const generateRefreshToken = (userId, sessionId, tokenId) => {
   return jwt.sign(
-    { userId, type: 'refresh' },
+    { userId, sid: sessionId, jti: tokenId, type: 'refresh' },
     process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d' }
   );
@@ -252,8 +337,61 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+// Generate a short-lived token proving the password step of a two-factor
+// login ('login') or a forced enrollment ('setup') has been passed
+const generateChallengeToken = (userId, purpose) => {
+  return jwt.sign(
+    { userId, purpose, type: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+  );
+};
+
+// Verify a two-factor challenge token issued for the given purpose
+const verifyChallengeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.type !== '2fa_challenge' || decoded.purpose !== purpose) {
+    throw new Error('Invalid token type');
+  }
+
+  return decoded;
+};
+
+// Response for a user who must pass a second factor before getting tokens:
+// a login challenge, or a setup challenge when an admin requires enrollment.
+// Every way of signing in (password, reset link, single sign-on) goes through it
+const getTwoFactorChallenge = (user) => {
+  if (user.twoFactor.enabled) {
+    return {
+      message: 'Two-factor authentication code required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id, 'login')
+      }
+    };
+  }
+
+  if (user.twoFactor.required) {
+    return {
+      message: 'Two-factor authentication setup required',
+      data: {
+        twoFactorSetupRequired: true,
+        challengeToken: generateChallengeToken(user._id, 'setup')
+      }
+    };
+  }
+
+  return null;
+};
+
 module.exports = {
+  verifyAccessToken,
   authenticateToken,
+  authenticateSession,
+  requireTokenScope,
+  isPasswordLoginEnabled,
+  requirePasswordLogin,
   optionalAuth,
   requireAdmin,
   requireProjectMember,
@@ -261,5 +399,8 @@ module.exports = {
   authRateLimit,
   generateToken,
   generateRefreshToken,
-  verifyRefreshToken
+  verifyRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  getTwoFactorChallenge
 };
\ No newline at end of file
@@ -118,12 +118,15 @@ const errorHandler = (err, req, res, next) => {
   if (err.name === 'TokenExpiredError') error = handleJWTExpiredError();
 
   // File upload errors
+  const uploadLimits = req.uploadLimits || { maxSize: 10 * 1024 * 1024, maxFiles: 10 };
+
   if (err.code === 'LIMIT_FILE_SIZE') {
-    error = new AppError('File too large. Maximum size allowed is 10MB.', 413);
+    const maxSizeMB = Math.round((uploadLimits.maxSize / (1024 * 1024)) * 10) / 10;
+    error = new AppError(`File too large. Maximum size allowed is ${maxSizeMB}MB.`, 413);
   }
   
   if (err.code === 'LIMIT_FILE_COUNT') {
-    error = new AppError('Too many files. Maximum 10 files allowed.', 413);
+    error = new AppError(`Too many files. Maximum ${uploadLimits.maxFiles} files allowed.`, 413);
   }
   
   if (err.code === 'LIMIT_UNEXPECTED_FILE') {
@@ -0,0 +1,53 @@
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+
+const AVATAR_MAX_SIZE = parseInt(process.env.AVATAR_MAX_SIZE) || 2 * 1024 * 1024; // 2MB
+const AVATAR_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const ATTACHMENT_MAX_SIZE = parseInt(process.env.ATTACHMENT_MAX_SIZE) || 10 * 1024 * 1024; // 10MB
+const ATTACHMENT_MAX_FILES = parseInt(process.env.ATTACHMENT_MAX_FILES) || 10;
+
+// Build a multer middleware that keeps files in memory so they can be
+// processed before being handed to the storage backend
+const createUpload = ({ maxSize, maxFiles = 1, allowedTypes = null }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxSize,
+      files: maxFiles
+    },
+    fileFilter: (req, file, cb) => {
+      if (allowedTypes && !allowedTypes.includes(file.mimetype)) {
+        return cb(new AppError(`Unsupported file type: ${file.mimetype}`, 415));
+      }
+      cb(null, true);
+    }
+  });
+
+  return (field, mode = 'single') => [
+    (req, res, next) => {
+      // Let the error handler report the limit that actually applied
+      req.uploadLimits = { maxSize, maxFiles };
+      next();
+    },
+    mode === 'array' ? upload.array(field, maxFiles) : upload.single(field)
+  ];
+};
+
+// Avatar uploads: a single image, validated by MIME type and size
+const avatarUpload = createUpload({
+  maxSize: AVATAR_MAX_SIZE,
+  allowedTypes: AVATAR_MIME_TYPES
+})('avatar');
+
+// Task and message attachments: up to ATTACHMENT_MAX_FILES files of any type
+const attachmentUpload = createUpload({
+  maxSize: ATTACHMENT_MAX_SIZE,
+  maxFiles: ATTACHMENT_MAX_FILES
+})('files', 'array');
+
+module.exports = {
+  createUpload,
+  avatarUpload,
+  attachmentUpload,
+  AVATAR_MIME_TYPES
+};
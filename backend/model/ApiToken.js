@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Personal access tokens for scripts and CI. Reads need the 'read' scope,
+// changes need the '<resource>:write' scope of the API they touch.
+const API_TOKEN_PREFIX = 'ssp_';
+const API_TOKEN_SCOPES = ['read', 'projects:write', 'tasks:write', 'messages:write', 'notifications:write'];
+const LAST_USED_RESOLUTION = 60 * 1000; // Record usage at most once a minute
+
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Token must belong to a user']
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token, so users can tell tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_TOKEN_SCOPES
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+apiTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Virtual for checking if the token has expired
+apiTokenSchema.virtual('isExpired').get(function() {
+  return Boolean(this.expiresAt) && this.expiresAt <= new Date();
+});
+
+// Static method to hash a token for storage and lookup
+apiTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to generate a new token; the plain token is only ever
+// returned here, the document keeps its hash
+apiTokenSchema.statics.generate = function() {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  return {
+    token,
+    tokenHash: this.hashToken(token),
+    prefix: token.slice(0, API_TOKEN_PREFIX.length + 6)
+  };
+};
+
+// Static method to find a usable token by its plain value
+apiTokenSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    revokedAt: null,
+    $or: [
+      { expiresAt: null },
+      { expiresAt: { $gt: new Date() } }
+    ]
+  });
+};
+
+// Instance method to record that the token was used
+apiTokenSchema.methods.touch = async function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < LAST_USED_RESOLUTION) {
+    return;
+  }
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip || null;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: this.lastUsedAt, lastUsedIp: this.lastUsedIp }
+  );
+};
+
+// Instance method to revoke the token
+apiTokenSchema.methods.revoke = function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+ApiToken.API_TOKEN_PREFIX = API_TOKEN_PREFIX;
+ApiToken.API_TOKEN_SCOPES = API_TOKEN_SCOPES;
+
+module.exports = ApiToken;
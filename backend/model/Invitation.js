@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const invitationSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Invitation must belong to a project']
+  },
+  email: {
+    type: String,
+    required: [true, 'Invitee email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member', 'viewer'],
+    default: 'member'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviting user is required']
+  },
+  invitee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // Set once the email belongs to a registered user
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Invitation message cannot exceed 500 characters']
+  },
+  token: {
+    type: String,
+    select: false // Stored hashed, like password reset tokens
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.token;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+invitationSchema.index({ project: 1, email: 1, status: 1 });
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ token: 1 }, { unique: true, sparse: true });
+
+// Virtual for expired status
+invitationSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && new Date() > this.expiresAt;
+});
+
+// Hash an invitation token for storage or lookup
+invitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Method to issue a fresh token and expiry; returns the raw token
+invitationSchema.methods.generateToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const days = parseInt(process.env.INVITATION_EXPIRES_DAYS) || 7;
+
+  this.token = this.constructor.hashToken(token);
+  this.expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Method to accept the invitation on behalf of a user
+invitationSchema.methods.accept = async function(user) {
+  if (this.status !== 'pending' || this.isExpired) {
+    throw new Error('Invitation is no longer valid');
+  }
+
+  if (user.email !== this.email) {
+    throw new Error('Invitation was sent to a different email address');
+  }
+
+  const Project = mongoose.model('Project');
+  const project = await Project.findById(this.project);
+
+  if (!project) {
+    throw new Error('Project no longer exists');
+  }
+
+  const isMember = project.owner.toString() === user._id.toString() ||
+    project.members.some(member => member.user.toString() === user._id.toString());
+
+  if (!isMember) {
+    await project.addMember(user._id, this.role);
+  }
+
+  this.status = 'accepted';
+  this.invitee = user._id;
+  this.respondedAt = new Date();
+  this.token = undefined;
+  await this.save();
+
+  return project;
+};
+
+// Method to decline the invitation
+invitationSchema.methods.decline = function(user) {
+  if (this.status !== 'pending' || this.isExpired) {
+    throw new Error('Invitation is no longer valid');
+  }
+
+  if (user.email !== this.email) {
+    throw new Error('Invitation was sent to a different email address');
+  }
+
+  this.status = 'declined';
+  this.invitee = user._id;
+  this.respondedAt = new Date();
+  this.token = undefined;
+  return this.save();
+};
+
+// Method to revoke a pending invitation
+invitationSchema.methods.revoke = function() {
+  if (this.status !== 'pending') {
+    throw new Error('Only pending invitations can be revoked');
+  }
+
+  this.status = 'revoked';
+  this.respondedAt = new Date();
+  this.token = undefined;
+  return this.save();
+};
+
+// Static method to find a pending, unexpired invitation by raw token
+invitationSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({
+    token: this.hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to get pending invitations for an email address
+invitationSchema.statics.getPendingForEmail = function(email) {
+  return this.find({
+    email: email.toLowerCase(),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  })
+    .populate('project', 'name description color')
+    .populate('invitedBy', 'name email avatar')
+    .sort({ createdAt: -1 });
+};
+
+// Static method to claim invitations for a newly registered user.
+// The invitation whose token was used to register is accepted outright;
+// any other pending invitations are linked to the account and surfaced
+// as project_invitation notifications.
+invitationSchema.statics.claimForUser = async function(user, token = null) {
+  const Notification = mongoose.model('Notification');
+  const invitations = await this.getPendingForEmail(user.email);
+  const tokenHash = token ? this.hashToken(token) : null;
+  const joinedProjects = [];
+
+  for (const invitation of invitations) {
+    // The project was deleted since the invitation was sent
+    if (!invitation.project) {
+      continue;
+    }
+
+    const withToken = await this.findById(invitation._id).select('+token');
+
+    if (tokenHash && withToken.token === tokenHash) {
+      const project = await withToken.accept(user);
+      joinedProjects.push(project._id);
+      continue;
+    }
+
+    // Without its inviter there is no one to attribute the notification to
+    if (!invitation.invitedBy) {
+      continue;
+    }
+
+    invitation.invitee = user._id;
+    await invitation.save();
+
+    await Notification.createNotification({
+      recipient: user._id,
+      sender: invitation.invitedBy._id,
+      type: 'project_invitation',
+      title: 'Project Invitation',
+      message: `${invitation.invitedBy.name} invited you to join project "${invitation.project.name}"`,
+      data: {
+        project: invitation.project._id,
+        metadata: { invitation: invitation._id, role: invitation.role }
+      },
+      actionUrl: `/invitations/${invitation._id}`,
+      actionText: 'View Invitation',
+      expiresAt: invitation.expiresAt
+    });
+  }
+
+  return joinedProjects;
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -43,6 +43,10 @@ const messageSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    key: {
+      type: String,
+      default: null
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -303,6 +307,21 @@ messageSchema.statics.getByProject = function(projectId, options = {}) {
     .skip(options.offset || 0);
 };
 
+// Static method to post a system message into a project's chat
+messageSchema.statics.createSystemMessage = function(projectId, authorId, systemMessageType, content) {
+  return this.create({
+    content,
+    project: projectId,
+    author: authorId,
+    isSystemMessage: true,
+    systemMessageType,
+    readBy: [{
+      user: authorId,
+      readAt: new Date()
+    }]
+  });
+};
+
 // Static method to get unread messages for user
 messageSchema.statics.getUnreadForUser = function(userId, projectId = null) {
   const query = {
@@ -26,7 +26,8 @@ const notificationSchema = new mongoose.Schema({
       'member_removed',
       'message_mention',
       'deadline_reminder',
-      'system_announcement'
+      'system_announcement',
+      'security_alert'
     ],
     required: [true, 'Notification type is required']
   },
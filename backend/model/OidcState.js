@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Pending single sign-on logins, from the redirect to the identity provider
+// until its callback. Each state is used once and expires after ten minutes.
+const oidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // Frontend path to return to after signing in
+  redirectTo: {
+    type: String,
+    default: '/dashboard'
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 10 * 60 * 1000)
+  }
+});
+
+// Indexes for better performance
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to take a pending login by state, so it can't be replayed
+oidcStateSchema.statics.consume = function(state) {
+  return this.findOneAndDelete({
+    state,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('OidcState', oidcStateSchema);
@@ -1,5 +1,33 @@
 const mongoose = require('mongoose');
 
+const DEFAULT_STORAGE_QUOTA = parseInt(process.env.PROJECT_STORAGE_QUOTA) || 500 * 1024 * 1024; // 500MB
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'multi-select', 'user', 'checkbox'];
+
+const STATUS_KEY_PATTERN = /^[a-z][a-z0-9_-]{0,39}$/;
+// Cancelled tasks are closed like done ones but don't count as completed work
+const STATUS_CATEGORIES = ['todo', 'active', 'done', 'cancelled'];
+const TRANSITION_GUARDS = ['assignee-required', 'subtasks-complete', 'blockers-resolved'];
+
+// Workflow for projects that haven't configured their own: any status can
+// move to any other, and completing needs the task's blockers closed
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    { key: 'todo', name: 'To Do', category: 'todo' },
+    { key: 'in-progress', name: 'In Progress', category: 'active' },
+    { key: 'in-review', name: 'In Review', category: 'active' },
+    { key: 'completed', name: 'Completed', category: 'done' },
+    { key: 'cancelled', name: 'Cancelled', category: 'cancelled' }
+  ],
+  transitions: [
+    { from: '*', to: 'todo', guards: [] },
+    { from: '*', to: 'in-progress', guards: [] },
+    { from: '*', to: 'in-review', guards: [] },
+    { from: '*', to: 'completed', guards: ['blockers-resolved'] },
+    { from: '*', to: 'cancelled', guards: [] }
+  ]
+};
+
 const projectSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -110,6 +138,94 @@ const projectSchema = new mongoose.Schema({
       }
     }
   },
+  // Extra task fields defined by the project's admins; values live in
+  // Task.customFields keyed by `key`, which never changes once created
+  customFields: [{
+    key: {
+      type: String,
+      required: true,
+      match: [/^[a-z][a-z0-9_]{0,39}$/, 'Field key must be lowercase letters, digits or underscores']
+    },
+    name: {
+      type: String,
+      required: [true, 'Field name is required'],
+      trim: true,
+      maxlength: [50, 'Field name cannot exceed 50 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Field description cannot exceed 200 characters'],
+      default: ''
+    },
+    type: {
+      type: String,
+      enum: CUSTOM_FIELD_TYPES,
+      required: true
+    },
+    // Choices for select and multi-select fields
+    options: [{
+      type: String,
+      trim: true,
+      maxlength: [50, 'Option cannot exceed 50 characters']
+    }],
+    required: {
+      type: Boolean,
+      default: false
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Task statuses in board order and the moves allowed between them; an
+  // empty list of statuses means the default workflow
+  workflow: {
+    statuses: [{
+      key: {
+        type: String,
+        required: true,
+        match: [STATUS_KEY_PATTERN, 'Status key must be lowercase letters, digits, dashes or underscores']
+      },
+      name: {
+        type: String,
+        required: [true, 'Status name is required'],
+        trim: true,
+        maxlength: [50, 'Status name cannot exceed 50 characters']
+      },
+      // What the rest of the app treats the status as, e.g. for progress
+      category: {
+        type: String,
+        enum: STATUS_CATEGORIES,
+        required: true
+      },
+      color: {
+        type: String,
+        default: null,
+        match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Please enter a valid hex color']
+      }
+    }],
+    // `from: '*'` allows the move from any status; with no transitions at
+    // all, any move is allowed
+    transitions: [{
+      from: {
+        type: String,
+        required: true
+      },
+      to: {
+        type: String,
+        required: true
+      },
+      guards: [{
+        type: String,
+        enum: TRANSITION_GUARDS
+      }]
+    }]
+  },
+  storageQuota: {
+    type: Number,
+    default: DEFAULT_STORAGE_QUOTA // Bytes
+  },
   progress: {
     totalTasks: {
       type: Number,
@@ -126,6 +242,10 @@ const projectSchema = new mongoose.Schema({
       max: 100
     }
   },
+  eventSeq: {
+    type: Number,
+    default: 0 // Last realtime event sequence number, see ProjectEvent
+  },
   statistics: {
     totalMessages: {
       type: Number,
@@ -135,6 +255,10 @@ const projectSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    storageUsed: {
+      type: Number,
+      default: 0 // Bytes used by task and message attachments
+    },
     lastActivity: {
       type: Date,
       default: Date.now
@@ -262,7 +386,7 @@ projectSchema.methods.updateProgress = async function() {
   const tasks = await Task.find({ project: this._id });
   
   this.progress.totalTasks = tasks.length;
-  this.progress.completedTasks = tasks.filter(task => task.status === 'completed').length;
+  this.progress.completedTasks = tasks.filter(task => task.statusCategory === 'done').length;
   
   if (this.progress.totalTasks > 0) {
     this.progress.percentage = Math.round((this.progress.completedTasks / this.progress.totalTasks) * 100);
@@ -274,4 +398,51 @@ projectSchema.methods.updateProgress = async function() {
   return this.save();
 };
 
-module.exports = mongoose.model('Project', projectSchema);
\ No newline at end of file
+// Static method to reserve attachment storage; resolves to null when the quota would be exceeded
+projectSchema.statics.reserveStorage = function(projectId, bytes, files) {
+  return this.findOneAndUpdate(
+    {
+      _id: projectId,
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ['$statistics.storageUsed', 0] }, bytes] },
+          { $ifNull: ['$storageQuota', DEFAULT_STORAGE_QUOTA] }
+        ]
+      }
+    },
+    {
+      $inc: { 'statistics.storageUsed': bytes, 'statistics.totalFiles': files },
+      $set: { 'statistics.lastActivity': new Date() }
+    },
+    { new: true }
+  );
+};
+
+// Static method to release attachment storage
+projectSchema.statics.releaseStorage = function(projectId, bytes, files) {
+  return this.updateOne(
+    { _id: projectId },
+    { $inc: { 'statistics.storageUsed': -bytes, 'statistics.totalFiles': -files } }
+  );
+};
+
+// Method to find a custom field definition by key
+projectSchema.methods.getCustomField = function(key) {
+  return this.customFields.find(field => field.key === key) || null;
+};
+
+// Method to get the project's workflow, falling back to the default one
+projectSchema.methods.getWorkflow = function() {
+  return this.workflow && this.workflow.statuses.length > 0 ? this.workflow : DEFAULT_WORKFLOW;
+};
+
+const Project = mongoose.model('Project', projectSchema);
+
+Project.CUSTOM_FIELD_TYPES = CUSTOM_FIELD_TYPES;
+Project.MAX_CUSTOM_FIELDS = 50;
+Project.STATUS_KEY_PATTERN = STATUS_KEY_PATTERN;
+Project.STATUS_CATEGORIES = STATUS_CATEGORIES;
+Project.TRANSITION_GUARDS = TRANSITION_GUARDS;
+Project.DEFAULT_WORKFLOW = DEFAULT_WORKFLOW;
+
+module.exports = Project;
\ No newline at end of file
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const projectEventSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Event must belong to a project']
+  },
+  seq: {
+    type: Number,
+    required: true
+  },
+  event: {
+    type: String,
+    required: [true, 'Event name is required']
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: parseInt(process.env.REALTIME_EVENT_TTL) || 24 * 60 * 60 // Seconds kept for replay
+  }
+});
+
+// Indexes for better performance
+projectEventSchema.index({ project: 1, seq: 1 }, { unique: true });
+
+// Static method to append an event to a project's log; resolves to its sequence
+// number, or null if the project no longer exists
+projectEventSchema.statics.record = async function(projectId, event, payload) {
+  const Project = mongoose.model('Project');
+  const project = await Project.findByIdAndUpdate(
+    projectId,
+    { $inc: { eventSeq: 1 } },
+    { new: true, select: 'eventSeq' }
+  );
+
+  if (!project) {
+    return null;
+  }
+
+  await this.create({
+    project: projectId,
+    seq: project.eventSeq,
+    event,
+    payload
+  });
+
+  return project.eventSeq;
+};
+
+// Static method to get a project's latest event sequence number
+projectEventSchema.statics.getCurrentSeq = async function(projectId) {
+  const Project = mongoose.model('Project');
+  const project = await Project.findById(projectId).select('eventSeq');
+  return project ? project.eventSeq || 0 : 0;
+};
+
+// Static method to get the events a client missed since lastSeq.
+// Returns { resync: true } when the gap is too large or no longer retained.
+projectEventSchema.statics.getMissed = async function(projectId, lastSeq, maxEvents) {
+  const seq = await this.getCurrentSeq(projectId);
+
+  // Sequence from the future: the log was reset, start over
+  if (lastSeq > seq) {
+    return { resync: true, seq, events: [] };
+  }
+
+  if (lastSeq === seq) {
+    return { resync: false, seq, events: [] };
+  }
+
+  if (seq - lastSeq > maxEvents) {
+    return { resync: true, seq, events: [] };
+  }
+
+  const events = await this.find({ project: projectId, seq: { $gt: lastSeq, $lte: seq } })
+    .sort({ seq: 1 })
+    .lean();
+
+  // Replay only a complete run of events. One may be missing because it
+  // expired, or because record() bumped the sequence but its create failed
+  // or hasn't landed yet.
+  const complete = events.length === seq - lastSeq &&
+    events.every((event, index) => event.seq === lastSeq + 1 + index);
+
+  if (!complete) {
+    return { resync: true, seq, events: [] };
+  }
+
+  return { resync: false, seq, events };
+};
+
+module.exports = mongoose.model('ProjectEvent', projectEventSchema);
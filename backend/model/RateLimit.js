@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Fixed-window request counters, shared by every API instance and kept
+// across restarts. Expired windows are removed by the TTL index.
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Indexes for better performance
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to count a hit against a key; resolves to the window's entry
+rateLimitSchema.statics.hit = async function(key, windowMs) {
+  const now = new Date();
+
+  // The TTL monitor only runs once a minute, so clear a stale window here
+  await this.deleteOne({ key, expiresAt: { $lte: now } });
+
+  try {
+    return await this.findOneAndUpdate(
+      { key },
+      {
+        $inc: { count: 1 },
+        $setOnInsert: { expiresAt: new Date(now.getTime() + windowMs) }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two requests upserted the same new key at once; the retry updates it
+    if (error.code === 11000) {
+      return this.hit(key, windowMs);
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A signed-in device. Each session is one refresh token family: the refresh
+// token is rotated on every use and only the hash of the current token id is
+// kept, so presenting an older token means it was stolen or replayed.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Session must belong to a user']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_changed', 'password_reset', 'token_reuse', 'revoked', null],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Turn a user agent into a short label such as "Chrome on macOS"
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\//],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Safari', /Version\/.*Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['ChromeOS', /CrOS/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    // Scripts and API clients, e.g. "curl/8.4.0"
+    return userAgent.split(/[\s/]/)[0] || 'Unknown device';
+  }
+
+  return [browser && browser[0], system && system[0]].filter(Boolean).join(' on ');
+};
+
+// Indexes for better performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Virtual for a human readable device name
+sessionSchema.virtual('device').get(function() {
+  return describeDevice(this.userAgent);
+});
+
+// Static method to describe a user agent, e.g. "Chrome on macOS"
+sessionSchema.statics.describeDevice = describeDevice;
+
+// Static method to hash a refresh token id for storage
+sessionSchema.statics.hashTokenId = function(tokenId) {
+  return crypto.createHash('sha256').update(tokenId).digest('hex');
+};
+
+// Static method to check that an access token's session is still active
+sessionSchema.statics.isActiveById = async function(sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return false;
+  }
+
+  const session = await this.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  return Boolean(session);
+};
+
+// Static method to swap the current refresh token id for a new one. Matching
+// on the old hash makes concurrent use of the same token rotate only once;
+// resolves to null if the token was not the current one.
+sessionSchema.statics.rotate = function(sessionId, tokenId, newTokenId, { expiresAt, ip, userAgent }) {
+  return this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      tokenHash: this.hashTokenId(tokenId),
+      revokedAt: null
+    },
+    {
+      tokenHash: this.hashTokenId(newTokenId),
+      expiresAt,
+      ip,
+      userAgent,
+      lastUsedAt: new Date()
+    },
+    { new: true }
+  );
+};
+
+// Static method to revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Instance method to revoke this session
+sessionSchema.methods.revoke = function(reason = 'revoked') {
+  if (this.revokedAt) {
+    return Promise.resolve(this);
+  }
+
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
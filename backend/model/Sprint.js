@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+// A sprint or milestone within a project. Tasks point at the sprint they are
+// planned for; progress is rolled up from them until the sprint is closed,
+// when it is frozen and unfinished tasks move on.
+const SPRINT_STATES = ['planned', 'active', 'closed'];
+
+const sprintSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Sprint must belong to a project']
+  },
+  name: {
+    type: String,
+    required: [true, 'Sprint name is required'],
+    trim: true,
+    maxlength: [100, 'Sprint name cannot exceed 100 characters']
+  },
+  goal: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Sprint goal cannot exceed 500 characters'],
+    default: ''
+  },
+  startDate: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  state: {
+    type: String,
+    enum: SPRINT_STATES,
+    default: 'planned'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Where unfinished tasks went when the sprint closed; null for the backlog
+  rolledOverTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint',
+    default: null
+  },
+  rolledOverTasks: {
+    type: Number,
+    default: 0
+  },
+  progress: {
+    totalTasks: {
+      type: Number,
+      default: 0
+    },
+    completedTasks: {
+      type: Number,
+      default: 0
+    },
+    percentage: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+sprintSchema.index({ project: 1, state: 1 });
+sprintSchema.index({ project: 1, startDate: 1 });
+
+// Virtual for days left in an active or planned sprint
+sprintSchema.virtual('daysRemaining').get(function() {
+  if (!this.endDate || this.state === 'closed') return null;
+  const diffTime = new Date(this.endDate) - new Date();
+  return Math.max(0, Math.ceil(diffTime / (1000 * 60 * 60 * 24)));
+});
+
+// Pre-save middleware to update progress percentage
+sprintSchema.pre('save', function(next) {
+  if (this.progress.totalTasks > 0) {
+    this.progress.percentage = Math.round((this.progress.completedTasks / this.progress.totalTasks) * 100);
+  } else {
+    this.progress.percentage = 0;
+  }
+  next();
+});
+
+// Method to update progress from the sprint's tasks; closed sprints keep
+// the figures they were closed with
+sprintSchema.methods.updateProgress = async function() {
+  if (this.state === 'closed') {
+    return this;
+  }
+
+  const Task = mongoose.model('Task');
+  const [totalTasks, completedTasks] = await Promise.all([
+    Task.countDocuments({ sprint: this._id }),
+    Task.countDocuments({ sprint: this._id, statusCategory: 'done' })
+  ]);
+
+  this.progress.totalTasks = totalTasks;
+  this.progress.completedTasks = completedTasks;
+  return this.save();
+};
+
+// Static method to refresh the progress of the given sprints
+sprintSchema.statics.refreshProgress = async function(sprintIds) {
+  const ids = [...new Set(sprintIds.filter(Boolean).map(id => id.toString()))];
+  const sprints = await this.find({ _id: { $in: ids }, state: { $ne: 'closed' } });
+  return Promise.all(sprints.map(sprint => sprint.updateProgress()));
+};
+
+const Sprint = mongoose.model('Sprint', sprintSchema);
+
+Sprint.SPRINT_STATES = SPRINT_STATES;
+
+module.exports = Sprint;
@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 
+// Categories of statuses a task is finished in; only done counts as
+// completed work towards progress
+const CLOSED_CATEGORIES = ['done', 'cancelled'];
+
+// Hierarchy levels, outermost first; a child is always a later level than
+// its parent, so parent chains can't loop
+const TASK_TYPES = ['epic', 'story', 'task', 'sub-task'];
+
 const taskSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -27,9 +35,16 @@ const taskSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Task creator is required']
   },
+  // Key of a status in the project's workflow
   status: {
     type: String,
-    enum: ['todo', 'in-progress', 'in-review', 'completed', 'cancelled'],
+    default: 'todo'
+  },
+  // Category of that status, kept alongside it so queries don't need the
+  // workflow
+  statusCategory: {
+    type: String,
+    enum: ['todo', 'active', 'done', 'cancelled'],
     default: 'todo'
   },
   priority: {
@@ -58,11 +73,17 @@ const taskSchema = new mongoose.Schema({
     min: 0,
     default: null
   },
+  // Computed from the task's work logs
   actualHours: {
     type: Number,
     min: 0,
     default: null
   },
+  // Values for the project's custom fields, keyed by field key
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   progress: {
     type: Number,
     min: 0,
@@ -116,6 +137,10 @@ const taskSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    key: {
+      type: String,
+      default: null // Storage key; files without one are external links
+    },
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -157,7 +182,7 @@ const taskSchema = new mongoose.Schema({
   activity: [{
     type: {
       type: String,
-      enum: ['created', 'updated', 'assigned', 'status_changed', 'comment_added', 'attachment_added', 'due_date_changed'],
+      enum: ['created', 'updated', 'assigned', 'status_changed', 'comment_added', 'attachment_added', 'due_date_changed', 'dependency_added', 'dependency_removed'],
       required: true
     },
     user: {
@@ -176,6 +201,45 @@ const taskSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  taskType: {
+    type: String,
+    enum: TASK_TYPES,
+    default: 'task'
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Progress rolled up from child tasks, see updateRollup
+  rollup: {
+    totalChildren: {
+      type: Number,
+      default: 0
+    },
+    completedChildren: {
+      type: Number,
+      default: 0
+    },
+    percentage: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    }
+  },
+  // Sprint the task is planned for; null means the backlog
+  sprint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint',
+    default: null
+  },
+  // Recurring series this task is an occurrence of
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskSeries',
+    default: null
+  },
   isArchived: {
     type: Boolean,
     default: false
@@ -197,15 +261,20 @@ const taskSchema = new mongoose.Schema({
 
 // Indexes for better performance
 taskSchema.index({ project: 1, status: 1 });
+taskSchema.index({ project: 1, statusCategory: 1 });
 taskSchema.index({ assignee: 1, status: 1 });
 taskSchema.index({ dueDate: 1 });
 taskSchema.index({ priority: 1 });
 taskSchema.index({ createdAt: -1 });
 taskSchema.index({ 'activity.timestamp': -1 });
+taskSchema.index({ 'dependencies.task': 1 });
+taskSchema.index({ series: 1 });
+taskSchema.index({ sprint: 1, statusCategory: 1 });
+taskSchema.index({ parent: 1 });
 
 // Virtual for overdue status
 taskSchema.virtual('isOverdue').get(function() {
-  return this.dueDate && this.status !== 'completed' && new Date() > this.dueDate;
+  return this.dueDate && !CLOSED_CATEGORIES.includes(this.statusCategory) && new Date() > this.dueDate;
 });
 
 // Virtual for days until due
@@ -217,6 +286,11 @@ taskSchema.virtual('daysUntilDue').get(function() {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
+// Virtual for logged time exceeding the estimate
+taskSchema.virtual('isOverEstimate').get(function() {
+  return Boolean(this.estimatedHours) && (this.actualHours || 0) > this.estimatedHours;
+});
+
 // Virtual for completion percentage based on subtasks
 taskSchema.virtual('subtaskProgress').get(function() {
   if (this.subtasks.length === 0) return this.progress;
@@ -227,15 +301,33 @@ taskSchema.virtual('subtaskProgress').get(function() {
 // Pre-save middleware to update completedAt when status changes to completed
 taskSchema.pre('save', function(next) {
   if (this.isModified('status')) {
-    if (this.status === 'completed' && !this.completedAt) {
+    if (this.statusCategory === 'done' && !this.completedAt) {
       this.completedAt = new Date();
-    } else if (this.status !== 'completed') {
+    } else if (this.statusCategory !== 'done') {
       this.completedAt = null;
     }
   }
   next();
 });
 
+// Remember the sprint and parent the task was loaded with, so moving it
+// away can refresh the old sprint's and parent's progress too
+taskSchema.post('init', function() {
+  this.$locals.savedSprint = this.sprint;
+  this.$locals.savedParent = this.parent;
+});
+
+// Pre-save middleware to note sprints and parents whose progress this save changes
+taskSchema.pre('save', function(next) {
+  this.$locals.staleSprints = this.isModified('sprint') || this.isModified('statusCategory')
+    ? [this.sprint, this.$locals.savedSprint]
+    : [];
+  this.$locals.staleParents = this.isModified('parent') || this.isModified('statusCategory') || this.isModified('progress')
+    ? [this.parent, this.$locals.savedParent]
+    : [];
+  next();
+});
+
 // Post-save middleware to update project progress
 taskSchema.post('save', async function(doc) {
   try {
@@ -249,6 +341,34 @@ taskSchema.post('save', async function(doc) {
   }
 });
 
+// Post-save middleware to update sprint progress
+taskSchema.post('save', async function(doc) {
+  const staleSprints = doc.$locals.staleSprints || [];
+  doc.$locals.savedSprint = doc.sprint;
+
+  if (staleSprints.some(Boolean)) {
+    try {
+      await mongoose.model('Sprint').refreshProgress(staleSprints);
+    } catch (error) {
+      console.error('Error updating sprint progress:', error);
+    }
+  }
+});
+
+// Post-save middleware to roll progress up to the parent tasks
+taskSchema.post('save', async function(doc) {
+  const staleParents = doc.$locals.staleParents || [];
+  doc.$locals.savedParent = doc.parent;
+
+  try {
+    for (const parentId of new Set(staleParents.filter(Boolean).map(id => id.toString()))) {
+      await doc.constructor.updateRollup(parentId);
+    }
+  } catch (error) {
+    console.error('Error updating parent task progress:', error);
+  }
+});
+
 // Method to add activity log entry
 taskSchema.methods.addActivity = function(type, user, description, oldValue = null, newValue = null) {
   this.activity.push({
@@ -273,16 +393,19 @@ taskSchema.methods.addComment = function(authorId, content, mentions = []) {
   return this.save();
 };
 
-// Method to add attachment
-taskSchema.methods.addAttachment = function(name, url, size, type, uploadedBy) {
+// Method to add attachment; stored files pass { _id, key } so the URL can reference the attachment
+taskSchema.methods.addAttachment = function(name, url, size, type, uploadedBy, stored = {}) {
   this.attachments.push({
+    _id: stored._id,
     name,
     url,
     size,
     type,
+    key: stored.key || null,
     uploadedBy,
     uploadedAt: new Date()
   });
+  this.addActivity('attachment_added', uploadedBy, `Attached ${name}`, null, name);
   return this.save();
 };
 
@@ -309,10 +432,14 @@ taskSchema.methods.toggleSubtask = function(subtaskId) {
   return this.save();
 };
 
-// Method to update status with activity logging
-taskSchema.methods.updateStatus = function(newStatus, userId, description = null) {
+// Method to update status with activity logging; `category` is the new
+// status's workflow category
+taskSchema.methods.updateStatus = function(newStatus, userId, description = null, category = null) {
   const oldStatus = this.status;
   this.status = newStatus;
+  if (category) {
+    this.statusCategory = category;
+  }
   
   const statusDescription = description || `Status changed from ${oldStatus} to ${newStatus}`;
   this.addActivity('status_changed', userId, statusDescription, oldStatus, newStatus);
@@ -384,7 +511,7 @@ taskSchema.statics.getByProject = function(projectId, options = {}) {
 taskSchema.statics.getOverdueTasks = function(projectId = null) {
   const query = {
     dueDate: { $lt: new Date() },
-    status: { $nin: ['completed', 'cancelled'] }
+    statusCategory: { $nin: CLOSED_CATEGORIES }
   };
   
   if (projectId) {
@@ -397,4 +524,50 @@ taskSchema.statics.getOverdueTasks = function(projectId = null) {
     .sort({ dueDate: 1 });
 };
 
-module.exports = mongoose.model('Task', taskSchema);
\ No newline at end of file
+// Static method to set statusCategory on tasks saved before workflows
+// existed; those can only use the default workflow's statuses
+taskSchema.statics.backfillStatusCategories = function() {
+  const { statuses } = mongoose.model('Project').DEFAULT_WORKFLOW;
+
+  return Promise.all(statuses.map(status => this.updateMany(
+    { status: status.key, statusCategory: { $exists: false } },
+    { $set: { statusCategory: status.category } }
+  )));
+};
+
+// Static method to recompute a task's rollup from its children, then its
+// ancestors' in turn. Done children count as 100% and cancelled ones as 0%,
+// children with their own children by their rollup, and the rest by their
+// progress.
+taskSchema.statics.updateRollup = async function(taskId) {
+  let currentId = taskId;
+
+  for (let depth = 0; currentId && depth < TASK_TYPES.length; depth++) {
+    const children = await this.find({ parent: currentId }).select('statusCategory progress rollup');
+
+    const childPercentage = (child) => {
+      if (child.statusCategory === 'done') return 100;
+      if (child.statusCategory === 'cancelled') return 0;
+      if (child.rollup && child.rollup.totalChildren > 0) return child.rollup.percentage;
+      return child.progress || 0;
+    };
+
+    const rollup = {
+      totalChildren: children.length,
+      completedChildren: children.filter(child => child.statusCategory === 'done').length,
+      percentage: children.length > 0
+        ? Math.round(children.reduce((sum, child) => sum + childPercentage(child), 0) / children.length)
+        : 0
+    };
+
+    const task = await this.findByIdAndUpdate(currentId, { $set: { rollup } }, { new: true }).select('parent');
+    currentId = task ? task.parent : null;
+  }
+};
+
+const Task = mongoose.model('Task', taskSchema);
+
+Task.CLOSED_CATEGORIES = CLOSED_CATEGORIES;
+Task.TASK_TYPES = TASK_TYPES;
+
+module.exports = Task;
\ No newline at end of file
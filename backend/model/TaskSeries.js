@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// A recurring task. Each occurrence is an ordinary task pointing back here;
+// the series holds the rule and which occurrence the next one is copied from.
+// Dates are calculated in UTC.
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'after-completion'];
+
+const taskSeriesSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Series must belong to a project']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rule: {
+    frequency: {
+      type: String,
+      enum: RECURRENCE_FREQUENCIES,
+      required: [true, 'Recurrence frequency is required']
+    },
+    // Every N days, weeks or months; for after-completion, N days after
+    // the previous occurrence was completed
+    interval: {
+      type: Number,
+      min: 1,
+      max: 365,
+      default: 1
+    },
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6 // 0 is Sunday
+    }],
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31,
+      default: null
+    }
+  },
+  until: {
+    type: Date,
+    default: null
+  },
+  maxOccurrences: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  occurrenceCount: {
+    type: Number,
+    default: 1
+  },
+  // Due date of the next occurrence; null until known for after-completion
+  nextOccurrenceAt: {
+    type: Date,
+    default: null
+  },
+  lastTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  stoppedAt: {
+    type: Date,
+    default: null
+  },
+  stoppedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+taskSeriesSchema.index({ isActive: 1, nextOccurrenceAt: 1 });
+taskSeriesSchema.index({ project: 1 });
+
+// Static method to claim the right to create the occurrence after
+// fromTaskId; resolves to the updated series, or null if another request
+// already created it or the series was stopped
+taskSeriesSchema.statics.claimNext = function(seriesId, fromTaskId, newTaskId, nextOccurrenceAt) {
+  return this.findOneAndUpdate(
+    { _id: seriesId, isActive: true, lastTask: fromTaskId },
+    {
+      $set: { lastTask: newTaskId, nextOccurrenceAt },
+      $inc: { occurrenceCount: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Method to stop generating occurrences
+taskSeriesSchema.methods.stop = function(userId = null) {
+  this.isActive = false;
+  this.nextOccurrenceAt = null;
+  this.stoppedAt = new Date();
+  this.stoppedBy = userId;
+  return this.save();
+};
+
+const TaskSeries = mongoose.model('TaskSeries', taskSeriesSchema);
+
+TaskSeries.RECURRENCE_FREQUENCIES = RECURRENCE_FREQUENCIES;
+
+module.exports = TaskSeries;
@@ -26,6 +26,21 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  avatarVariants: [{
+    size: {
+      type: String,
+      enum: ['small', 'medium', 'large'],
+      required: true
+    },
+    url: {
+      type: String,
+      required: true
+    },
+    key: {
+      type: String,
+      required: true
+    }
+  }],
   role: {
     type: String,
     enum: ['user', 'admin'],
@@ -75,11 +90,96 @@ const userSchema = new mongoose.Schema({
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   emailVerificationToken: String,
+  emailVerificationExpire: Date,
   emailVerified: {
     type: Boolean,
     default: false
   },
-  emailVerifiedAt: Date
+  emailVerifiedAt: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Set by an admin; the user must enroll before they can sign in
+    required: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Time step of the last accepted code, so each code works only once
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: {
+          type: String,
+          required: true
+        },
+        usedAt: {
+          type: Date,
+          default: null
+        }
+      }],
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  security: {
+    failedLoginAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedLoginAt: {
+      type: Date,
+      default: null
+    },
+    lockUntil: {
+      type: Date,
+      default: null
+    },
+    // Recent IP / user agent pairs used to sign in, to spot new devices
+    knownDevices: {
+      type: [{
+        ip: String,
+        userAgent: String,
+        lastSeenAt: {
+          type: Date,
+          default: Date.now
+        }
+      }],
+      select: false
+    }
+  },
+  // Identity provider account linked for single sign-on
+  oidc: {
+    issuer: {
+      type: String,
+      default: null
+    },
+    subject: {
+      type: String,
+      default: null
+    }
+  },
+  // Access tokens issued before this time are rejected
+  tokensValidAfter: {
+    type: Date,
+    default: null
+  }
 }, {
   timestamps: true,
   toJSON: { 
@@ -89,6 +189,18 @@ const userSchema = new mongoose.Schema({
       delete ret.resetPasswordToken;
       delete ret.resetPasswordExpire;
       delete ret.emailVerificationToken;
+      delete ret.emailVerificationExpire;
+      // Users are embedded in realtime payloads seen by every project
+      // member, so lockout state and identity-provider links stay private
+      delete ret.security;
+      delete ret.oidc;
+      delete ret.tokensValidAfter;
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.lastUsedStep;
+        delete ret.twoFactor.recoveryCodes;
+      }
       return ret;
     }
   },
@@ -112,6 +224,7 @@ userSchema.virtual('assignedTasks', {
 // Index for better performance
 userSchema.index({ email: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ 'oidc.issuer': 1, 'oidc.subject': 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -147,11 +260,30 @@ userSchema.methods.getInitials = function() {
     .slice(0, 2);
 };
 
+// Get avatar URL for a size, falling back to the generated initials avatar
+userSchema.methods.getAvatarUrl = function(size = 'medium') {
+  const variant = this.avatarVariants.find(v => v.size === size);
+  if (variant) return variant.url;
+  if (this.avatar) return this.avatar;
+  return `/api/avatars/${this._id}?size=${size}`;
+};
+
 // Check if user is project member
 userSchema.methods.isMemberOf = function(projectId) {
   return this.projects.some(project => project._id.toString() === projectId.toString());
 };
 
+// Check whether an access token issued at `iat` (seconds) predates a revocation
+userSchema.methods.isTokenRevoked = function(iat) {
+  if (!this.tokensValidAfter) return false;
+  return iat < Math.floor(this.tokensValidAfter.getTime() / 1000);
+};
+
+// Check whether the account is temporarily locked after failed logins
+userSchema.methods.isLocked = function() {
+  return Boolean(this.security.lockUntil) && this.security.lockUntil > new Date();
+};
+
 // Update last login
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// Time spent on a task by one user, either a running/stopped timer or a
+// manual entry. Edits and deletions are recorded in `history`; deleted
+// entries are kept but no longer count towards the task's actualHours.
+const workLogSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Work log must belong to a task']
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    default: 'manual'
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  // Null while a timer is running
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  durationMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  isRunning: {
+    type: Boolean,
+    default: false
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  },
+  history: [{
+    action: {
+      type: String,
+      enum: ['updated', 'deleted'],
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    changes: mongoose.Schema.Types.Mixed,
+    reason: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+workLogSchema.index({ task: 1, deletedAt: 1 });
+workLogSchema.index({ user: 1, startedAt: -1 });
+workLogSchema.index({ project: 1, startedAt: -1 });
+// A user can only have one timer running at a time
+workLogSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { isRunning: true } });
+
+// Static method to get a user's running timer
+workLogSchema.statics.findRunning = function(userId) {
+  return this.findOne({ user: userId, isRunning: true });
+};
+
+// Static method to recompute a task's actualHours from its finished logs
+workLogSchema.statics.recalculateTaskHours = async function(taskId) {
+  const [result] = await this.aggregate([
+    { $match: { task: new mongoose.Types.ObjectId(taskId), deletedAt: null, isRunning: false } },
+    { $group: { _id: null, minutes: { $sum: '$durationMinutes' } } }
+  ]);
+
+  const actualHours = result ? Math.round((result.minutes / 60) * 100) / 100 : null;
+  await mongoose.model('Task').updateOne({ _id: taskId }, { actualHours });
+  return actualHours;
+};
+
+// Method to stop a running timer
+workLogSchema.methods.stop = function(endedAt = new Date()) {
+  this.endedAt = endedAt;
+  this.durationMinutes = Math.round(((endedAt - this.startedAt) / 60000) * 100) / 100;
+  this.isRunning = false;
+  return this.save();
+};
+
+// Method to record an edit or deletion in the audit trail
+workLogSchema.methods.addHistory = function(action, userId, changes = null, reason = null) {
+  this.history.push({
+    action,
+    user: userId,
+    changes,
+    reason,
+    timestamp: new Date()
+  });
+  return this;
+};
+
+module.exports = mongoose.model('WorkLog', workLogSchema);
@@ -1,16 +1,39 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const User = require('../models/User');
-const { 
-  generateToken, 
-  generateRefreshToken, 
-  verifyRefreshToken,
+const Invitation = require('../models/Invitation');
+const Session = require('../models/Session');
+const {
   authRateLimit,
-  authenticateToken
+  authenticateToken,
+  authenticateSession,
+  requireTokenScope,
+  requirePasswordLogin,
+  verifyChallengeToken,
+  getTwoFactorChallenge
 } = require('../middleware/auth');
 const { handleValidationErrors, catchAsync, AppError } = require('../middleware/errorHandler');
+const {
+  startSession,
+  refreshSession,
+  endSession,
+  endAllSessions
+} = require('../services/sessions');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  consumeRecoveryCode
+} = require('../services/twoFactor');
+const {
+  assertLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../services/loginSecurity');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/mail');
 
 const router = express.Router();
 
@@ -38,7 +61,13 @@ const registerValidation = [
         throw new Error('Password confirmation does not match password');
       }
       return true;
-    })
+    }),
+
+  body('invitationToken')
+    .optional()
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid invitation token')
 ];
 
 const loginValidation = [
@@ -75,15 +104,108 @@ const resetPasswordValidation = [
     })
 ];
 
+const twoFactorCodeValidation = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .isLength({ max: 20 })
+    .withMessage('Invalid recovery code'),
+
+  body()
+    .custom((value) => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('An authentication code or recovery code is required');
+      }
+      return true;
+    })
+];
+
+const EMAIL_VERIFICATION_EXPIRES_HOURS = 24;
+const RESET_PASSWORD_EXPIRES_MINUTES = 10;
+
+// Reset and verification tokens are emailed in full but stored hashed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Give the user a new email verification token; returns the unhashed token
+const setEmailVerificationToken = (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  user.emailVerificationToken = hashToken(token);
+  user.emailVerificationExpire = Date.now() + EMAIL_VERIFICATION_EXPIRES_HOURS * 60 * 60 * 1000;
+  return token;
+};
+
+// Two-factor fields that are hidden by default
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+// Check a TOTP code or recovery code against the user's second factor.
+// Marks the code as used on the document; the caller saves it.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    return consumeRecoveryCode(user.twoFactor.recoveryCodes, recoveryCode);
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+  if (step === null) {
+    return false;
+  }
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Finish signing a user in: record the login and start a session
+const signIn = async (req, user) => {
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+  await recordSuccessfulLogin(user, req);
+
+  const { accessToken, refreshToken } = await startSession(user, req);
+
+  return {
+    user: user.toJSON(),
+    accessToken,
+    refreshToken
+  };
+};
+
+// Enrollment accepts a normal access token or, for users an admin requires
+// to use two-factor authentication, the setup challenge issued by /login
+const authenticateForEnrollment = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticateSession(req, res, next);
+  }
+
+  try {
+    const decoded = verifyChallengeToken(req.body.challengeToken, 'setup');
+    const user = await User.findById(decoded.userId);
+
+    if (!user || !user.isActive) {
+      throw new Error('User not found');
+    }
+
+    req.user = user;
+    req.twoFactorChallenge = true;
+    next();
+  } catch (error) {
+    next(new AppError('Invalid or expired setup challenge - please sign in again', 401));
+  }
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
 router.post('/register', 
+  requirePasswordLogin,
   authRateLimit(5, 15 * 60 * 1000), // 5 attempts per 15 minutes
   registerValidation,
   handleValidationErrors,
   catchAsync(async (req, res) => {
-    const { name, email, password } = req.body;
+    const { name, email, password, invitationToken } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -95,15 +217,25 @@ router.post('/register',
     const user = new User({
       name,
       email,
-      password,
-      emailVerificationToken: crypto.randomBytes(32).toString('hex')
+      password
     });
+    const verificationToken = setEmailVerificationToken(user);
 
     await user.save();
 
-    // Generate tokens
-    const accessToken = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // A mail outage shouldn't block sign up; the user can ask for a new link
+    try {
+      await sendVerificationEmail(user, verificationToken, EMAIL_VERIFICATION_EXPIRES_HOURS);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+    }
+
+    // Claim project invitations sent to this email before it was registered
+    const joinedProjects = await Invitation.claimForUser(user, invitationToken);
+
+    // Start a session for this device
+    await recordSuccessfulLogin(user, req);
+    const { accessToken, refreshToken } = await startSession(user, req);
 
     // Remove password from response
     const userResponse = user.toObject();
@@ -115,7 +247,8 @@ router.post('/register',
       data: {
         user: userResponse,
         accessToken,
-        refreshToken
+        refreshToken,
+        joinedProjects
       }
     });
   })
@@ -125,6 +258,7 @@ router.post('/register',
 // @desc    Login user
 // @access  Public
 router.post('/login',
+  requirePasswordLogin,
   authRateLimit(5, 15 * 60 * 1000), // 5 attempts per 15 minutes
   loginValidation,
   handleValidationErrors,
@@ -143,38 +277,81 @@ router.post('/login',
       throw new AppError('Account is deactivated. Please contact support.', 401);
     }
 
+    // Locked or cooling down after failed attempts
+    assertLoginAllowed(user);
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await recordFailedLogin(user);
       throw new AppError('Invalid email or password', 401);
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save({ validateBeforeSave: false });
+    // Tokens are only issued once the second factor has been checked
+    const challenge = getTwoFactorChallenge(user);
+    if (challenge) {
+      return res.json({ success: true, ...challenge });
+    }
 
-    // Generate tokens
-    const accessToken = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: await signIn(req, user)
+    });
+  })
+);
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a password or single sign-on login with an authenticator or recovery code
+// @access  Public
+router.post('/login/2fa',
+  authRateLimit(5, 15 * 60 * 1000), // 5 attempts per 15 minutes, per IP
+  [
+    body('challengeToken')
+      .isJWT()
+      .withMessage('Login challenge is required'),
+    ...twoFactorCodeValidation
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken, 'login');
+    } catch (error) {
+      throw new AppError('Invalid or expired login challenge - please sign in again', 401);
+    }
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      throw new AppError('Invalid or expired login challenge - please sign in again', 401);
+    }
+
+    assertLoginAllowed(user);
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      await recordFailedLogin(user);
+      throw new AppError('Invalid authentication code', 401);
+    }
+
+    const data = await signIn(req, user);
+
+    if (recoveryCode) {
+      data.recoveryCodesRemaining = user.twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length;
+    }
 
     res.json({
       success: true,
       message: 'Login successful',
-      data: {
-        user: userResponse,
-        accessToken,
-        refreshToken
-      }
+      data
     });
   })
 );
 
 // @route   POST /api/auth/refresh
-// @desc    Refresh access token
+// @desc    Rotate a refresh token and issue a new token pair
 // @access  Public
 router.post('/refresh',
   catchAsync(async (req, res) => {
@@ -184,41 +361,33 @@ router.post('/refresh',
       throw new AppError('Refresh token is required', 401);
     }
 
-    try {
-      // Verify refresh token
-      const decoded = verifyRefreshToken(refreshToken);
-      
-      // Find user
-      const user = await User.findById(decoded.userId);
-      if (!user || !user.isActive) {
-        throw new AppError('Invalid refresh token', 401);
-      }
-
-      // Generate new access token
-      const newAccessToken = generateToken(user._id);
+    const tokens = await refreshSession(refreshToken, req);
 
-      res.json({
-        success: true,
-        message: 'Token refreshed successfully',
-        data: {
-          accessToken: newAccessToken
-        }
-      });
-    } catch (error) {
-      throw new AppError('Invalid or expired refresh token', 401);
-    }
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken
+      }
+    });
   })
 );
 
 // @route   POST /api/auth/logout
-// @desc    Logout user
+// @desc    Logout user by revoking the current session
 // @access  Private
 router.post('/logout',
-  authenticateToken,
+  authenticateSession,
   catchAsync(async (req, res) => {
-    // In a more sophisticated implementation, you might want to blacklist the token
-    // For now, we'll just return success (client should remove token)
-    
+    if (req.sessionId) {
+      const session = await Session.findById(req.sessionId);
+
+      if (session) {
+        await endSession(req.io, session, 'logout');
+      }
+    }
+
     res.json({
       success: true,
       message: 'Logout successful'
@@ -226,10 +395,292 @@ router.post('/logout',
   })
 );
 
+// @route   POST /api/auth/logout-all
+// @desc    Sign out everywhere by revoking every session of the user
+// @access  Private
+router.post('/logout-all',
+  authenticateSession,
+  catchAsync(async (req, res) => {
+    await endAllSessions(req.io, req.user._id, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Signed out of all sessions'
+    });
+  })
+);
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the current user is signed in on
+// @access  Private
+router.get('/sessions',
+  authenticateSession,
+  catchAsync(async (req, res) => {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          _id: session._id,
+          device: session.device,
+          ip: session.ip,
+          userAgent: session.userAgent,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: Boolean(req.sessionId) && session._id.toString() === req.sessionId.toString()
+        }))
+      }
+    });
+  })
+);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every other device, keeping the current session
+// @access  Private
+router.delete('/sessions',
+  authenticateSession,
+  catchAsync(async (req, res) => {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      _id: { $ne: req.sessionId }
+    });
+
+    for (const session of sessions) {
+      await endSession(req.io, session, 'revoked');
+    }
+
+    res.json({
+      success: true,
+      message: 'Signed out of other sessions',
+      data: { revoked: sessions.length }
+    });
+  })
+);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out a single device
+// @access  Private
+router.delete('/sessions/:id',
+  authenticateSession,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid session ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      throw new AppError('Session not found', 404);
+    }
+
+    await endSession(req.io, session, 'revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  })
+);
+
+// @route   GET /api/auth/2fa
+// @desc    Get the current user's two-factor authentication status
+// @access  Private
+router.get('/2fa',
+  authenticateSession,
+  catchAsync(async (req, res) => {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        required: user.twoFactor.required,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length
+      }
+    });
+  })
+);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: generate a secret and its otpauth URI for a QR code
+// @access  Private (or setup challenge)
+router.post('/2fa/setup',
+  authenticateForEnrollment,
+  catchAsync(async (req, res) => {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl(secret, user.email)
+      }
+    });
+  })
+);
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and receive recovery codes
+// @access  Private (or setup challenge)
+router.post('/2fa/enable',
+  authenticateForEnrollment,
+  [
+    body('code')
+      .matches(/^\d{6}$/)
+      .withMessage('Authentication code must be 6 digits')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      throw new AppError('Start two-factor setup first', 400);
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashed;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+
+    let data = {};
+    if (req.twoFactorChallenge) {
+      // A forced enrollment finishes the login that required it
+      data = await signIn(req, user);
+    } else {
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        ...data,
+        recoveryCodes: codes
+      }
+    });
+  })
+);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/2fa/disable',
+  authenticateSession,
+  [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+    ...twoFactorCodeValidation
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+    if (!user.twoFactor.enabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+
+    if (user.twoFactor.required) {
+      throw new AppError('Two-factor authentication is required for your account', 403);
+    }
+
+    if (!(await user.comparePassword(req.body.password))) {
+      throw new AppError('Password is incorrect', 400);
+    }
+
+    if (!verifySecondFactor(user, req.body)) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.enabledAt = null;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.recoveryCodes = [];
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  })
+);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes with a new set
+// @access  Private
+router.post('/2fa/recovery-codes',
+  authenticateSession,
+  [
+    body('code')
+      .matches(/^\d{6}$/)
+      .withMessage('Authentication code must be 6 digits')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashed;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes: codes }
+    });
+  })
+);
+
 // @route   POST /api/auth/forgot-password
 // @desc    Send password reset email
 // @access  Public
 router.post('/forgot-password',
+  requirePasswordLogin,
   authRateLimit(3, 15 * 60 * 1000), // 3 attempts per 15 minutes
   forgotPasswordValidation,
   handleValidationErrors,
@@ -247,19 +698,26 @@ router.post('/forgot-password',
 
     // Generate reset token
     const resetToken = crypto.randomBytes(32).toString('hex');
-    user.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
-    user.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
+    user.resetPasswordToken = hashToken(resetToken);
+    user.resetPasswordExpire = Date.now() + RESET_PASSWORD_EXPIRES_MINUTES * 60 * 1000;
 
     await user.save({ validateBeforeSave: false });
 
-    // In a real application, you would send an email here
-    // For now, we'll just return the token (remove this in production)
-    
+    try {
+      await sendPasswordResetEmail(user, resetToken, RESET_PASSWORD_EXPIRES_MINUTES);
+    } catch (error) {
+      console.error('Error sending password reset email:', error);
+
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      throw new AppError('Password reset email could not be sent. Please try again later.', 500);
+    }
+
     res.json({
       success: true,
-      message: 'Password reset email sent successfully',
-      // Remove this in production - only for development/testing
-      resetToken: process.env.NODE_ENV === 'development' ? resetToken : undefined
+      message: 'If an account with that email exists, we have sent a password reset link.'
     });
   })
 );
@@ -268,6 +726,7 @@ router.post('/forgot-password',
 // @desc    Reset password with token
 // @access  Public
 router.post('/reset-password/:token',
+  requirePasswordLogin,
   resetPasswordValidation,
   handleValidationErrors,
   catchAsync(async (req, res) => {
@@ -275,7 +734,7 @@ router.post('/reset-password/:token',
     const { password } = req.body;
 
     // Hash the token and find user
-    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+    const hashedToken = hashToken(token);
     
     const user = await User.findOne({
       resetPasswordToken: hashedToken,
@@ -293,9 +752,36 @@ router.post('/reset-password/:token',
 
     await user.save();
 
-    // Generate new tokens
-    const accessToken = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Sign out every device
+    await endAllSessions(req.io, user._id, 'password_reset');
+
+    // A reset link only proves access to the mailbox, so the second factor
+    // is still required before a session is started
+    const challenge = getTwoFactorChallenge(user);
+    if (challenge) {
+      return res.json({
+        success: true,
+        message: `Password reset successful. ${challenge.message}`,
+        data: challenge.data
+      });
+    }
+
+    // Deactivated or locked accounts sign in again once they are allowed to
+    let loginAllowed = user.isActive;
+    try {
+      assertLoginAllowed(user);
+    } catch (error) {
+      loginAllowed = false;
+    }
+
+    if (!loginAllowed) {
+      return res.json({
+        success: true,
+        message: 'Password reset successful. Please sign in again.'
+      });
+    }
+
+    const { accessToken, refreshToken } = await startSession(user, req);
 
     res.json({
       success: true,
@@ -312,7 +798,8 @@ router.post('/reset-password/:token',
 // @desc    Change password for authenticated user
 // @access  Private
 router.post('/change-password',
-  authenticateToken,
+  requirePasswordLogin,
+  authenticateSession,
   [
     body('currentPassword')
       .notEmpty()
@@ -355,9 +842,17 @@ router.post('/change-password',
     user.password = newPassword;
     await user.save();
 
+    // Sign out every device, then start a fresh session for this one
+    await endAllSessions(req.io, user._id, 'password_changed');
+    const { accessToken, refreshToken } = await startSession(user, req);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: {
+        accessToken,
+        refreshToken
+      }
     });
   })
 );
@@ -367,6 +862,7 @@ router.post('/change-password',
 // @access  Private
 router.get('/me',
   authenticateToken,
+  requireTokenScope('users'),
   catchAsync(async (req, res) => {
     const user = await User.findById(req.user._id)
       .populate('projects', 'name description status priority')
@@ -382,29 +878,30 @@ router.get('/me',
 );
 
 // @route   POST /api/auth/verify-email
-// @desc    Verify email address
-// @access  Private
+// @desc    Verify email address with the emailed token
+// @access  Public
 router.post('/verify-email',
-  authenticateToken,
+  [
+    body('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Valid verification token is required')
+  ],
+  handleValidationErrors,
   catchAsync(async (req, res) => {
-    const { token } = req.body;
-
-    if (!token) {
-      throw new AppError('Verification token is required', 400);
-    }
-
     const user = await User.findOne({
-      _id: req.user._id,
-      emailVerificationToken: token
+      emailVerificationToken: hashToken(req.body.token),
+      emailVerificationExpire: { $gt: Date.now() }
     });
 
     if (!user) {
-      throw new AppError('Invalid verification token', 400);
+      throw new AppError('Invalid or expired verification token', 400);
     }
 
     user.emailVerified = true;
     user.emailVerifiedAt = new Date();
     user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
 
     await user.save({ validateBeforeSave: false });
 
@@ -415,4 +912,34 @@ router.post('/verify-email',
   })
 );
 
+// @route   POST /api/auth/resend-verification
+// @desc    Email a new verification link
+// @access  Private
+router.post('/resend-verification',
+  authenticateSession,
+  authRateLimit(3, 15 * 60 * 1000), // 3 attempts per 15 minutes
+  catchAsync(async (req, res) => {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      throw new AppError('Email is already verified', 400);
+    }
+
+    const verificationToken = setEmailVerificationToken(user);
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendVerificationEmail(user, verificationToken, EMAIL_VERIFICATION_EXPIRES_HOURS);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+      throw new AppError('Verification email could not be sent. Please try again later.', 500);
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  })
+);
+
 module.exports = router;
\ No newline at end of file
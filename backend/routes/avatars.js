@@ -0,0 +1,46 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const User = require('../models/User');
+const { handleValidationErrors, catchAsync, AppError } = require('../middleware/errorHandler');
+const { AVATAR_SIZES, getStoredAvatarUrl, renderInitialsAvatar } = require('../services/avatar');
+
+const router = express.Router();
+
+// @route   GET /api/avatars/:userId
+// @desc    Get a user's avatar: redirects to the stored image, or renders initials
+// @access  Public (used directly in <img> tags)
+router.get('/:userId',
+  [
+    param('userId')
+      .isMongoId()
+      .withMessage('Invalid user ID'),
+
+    query('size')
+      .optional()
+      .isIn(Object.keys(AVATAR_SIZES))
+      .withMessage(`Size must be one of ${Object.keys(AVATAR_SIZES).join(', ')}`)
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { size = 'medium' } = req.query;
+
+    const user = await User.findById(req.params.userId).select('name avatar avatarVariants');
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+
+    const avatarUrl = getStoredAvatarUrl(user, size);
+    if (avatarUrl) {
+      return res.redirect(302, avatarUrl);
+    }
+
+    res.set('Content-Type', 'image/svg+xml');
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.send(renderInitialsAvatar(user, size));
+  })
+);
+
+module.exports = router;
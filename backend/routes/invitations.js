@@ -0,0 +1,344 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const Invitation = require('../models/Invitation');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const { handleValidationErrors, catchAsync, AppError } = require('../middleware/errorHandler');
+const { requireProjectPermission } = require('../middleware/auth');
+const { emitProjectEvent } = require('../services/realtime');
+const { sendInvitationEmail } = require('../services/mail');
+
+const router = express.Router();
+
+// Validation rules
+const createInvitationValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  body('role')
+    .optional()
+    .isIn(['admin', 'member', 'viewer'])
+    .withMessage('Role must be admin, member, or viewer'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Invitation message cannot exceed 500 characters')
+];
+
+const tokenValidation = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Valid invitation token is required')
+];
+
+// Accept or decline an invitation and let the project know
+const respondToInvitation = async (req, res, invitation, action) => {
+  let project;
+
+  try {
+    if (action === 'accept') {
+      project = await invitation.accept(req.user);
+    } else {
+      await invitation.decline(req.user);
+      project = await Project.findById(invitation.project);
+    }
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  if (project && action === 'accept') {
+    const systemMessage = await Message.createSystemMessage(
+      project._id,
+      req.user._id,
+      'member_added',
+      `${req.user.name} joined the project as ${invitation.role}`
+    );
+
+    await emitProjectEvent(req.io, project._id, 'member_added', {
+      projectId: project._id,
+      user: { _id: req.user._id, name: req.user.name, email: req.user.email, avatar: req.user.avatar },
+      by: invitation.invitedBy
+    });
+
+    await emitProjectEvent(req.io, project._id, 'new_message', {
+      message: systemMessage,
+      author: req.user
+    });
+  }
+
+  if (project) {
+    await Notification.createNotification({
+      recipient: invitation.invitedBy,
+      sender: req.user._id,
+      type: action === 'accept' ? 'member_added' : 'project_updated',
+      title: action === 'accept' ? 'Invitation Accepted' : 'Invitation Declined',
+      message: `${req.user.name} ${action}ed your invitation to "${project.name}"`,
+      data: { project: project._id },
+      priority: 'low'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Invitation ${action}ed successfully`,
+    data: {
+      invitation,
+      project: project ? { _id: project._id, name: project.name } : null
+    }
+  });
+};
+
+// @route   GET /api/invitations
+// @desc    Get pending invitations for the current user's email
+// @access  Private
+router.get('/',
+  catchAsync(async (req, res) => {
+    const invitations = await Invitation.getPendingForEmail(req.user.email);
+
+    res.json({
+      success: true,
+      // Leave out invitations to projects deleted since they were sent
+      data: { invitations: invitations.filter(invitation => invitation.project) }
+    });
+  })
+);
+
+// @route   POST /api/invitations/accept
+// @desc    Accept an invitation using the emailed token
+// @access  Private (Invitee)
+router.post('/accept',
+  tokenValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const invitation = await Invitation.findPendingByToken(req.body.token);
+
+    if (!invitation) {
+      throw new AppError('Invalid or expired invitation token', 400);
+    }
+
+    await respondToInvitation(req, res, invitation, 'accept');
+  })
+);
+
+// @route   POST /api/invitations/decline
+// @desc    Decline an invitation using the emailed token
+// @access  Private (Invitee)
+router.post('/decline',
+  tokenValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const invitation = await Invitation.findPendingByToken(req.body.token);
+
+    if (!invitation) {
+      throw new AppError('Invalid or expired invitation token', 400);
+    }
+
+    await respondToInvitation(req, res, invitation, 'decline');
+  })
+);
+
+// @route   GET /api/invitations/project/:projectId
+// @desc    Get invitations sent for a project
+// @access  Private (Project Member with Manage Members Permission)
+router.get('/project/:projectId',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID')
+  ],
+  handleValidationErrors,
+  requireProjectPermission('canManageMembers'),
+  catchAsync(async (req, res) => {
+    const invitations = await Invitation.find({ project: req.params.projectId })
+      .populate('invitedBy', 'name email avatar')
+      .populate('invitee', 'name email avatar')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { invitations }
+    });
+  })
+);
+
+// @route   POST /api/invitations/project/:projectId
+// @desc    Invite someone to a project by email; re-inviting refreshes the pending invitation
+// @access  Private (Project Member with Manage Members Permission)
+router.post('/project/:projectId',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID')
+  ],
+  createInvitationValidation,
+  handleValidationErrors,
+  requireProjectPermission('canManageMembers'),
+  catchAsync(async (req, res) => {
+    const { email, role = 'member', message } = req.body;
+    const project = req.project;
+
+    // Only the owner may grant the admin role
+    if (role === 'admin' && project.owner.toString() !== req.user._id.toString()) {
+      throw new AppError('Access denied - only the project owner can invite admins', 403);
+    }
+
+    const existingUser = await User.findOne({ email });
+
+    if (existingUser) {
+      const isMember = project.owner.toString() === existingUser._id.toString() ||
+        project.members.some(member => member.user.toString() === existingUser._id.toString());
+
+      if (isMember) {
+        throw new AppError('User is already a member of this project', 400);
+      }
+    }
+
+    let invitation = await Invitation.findOne({
+      project: project._id,
+      email,
+      status: 'pending'
+    });
+
+    if (!invitation) {
+      invitation = new Invitation({
+        project: project._id,
+        email
+      });
+    }
+
+    invitation.role = role;
+    invitation.message = message;
+    invitation.invitedBy = req.user._id;
+    invitation.invitee = existingUser ? existingUser._id : null;
+
+    const inviteToken = invitation.generateToken();
+    await invitation.save();
+
+    // People without an account can only accept through the emailed link, so
+    // a failed send fails the invite; inviting again issues a fresh token
+    try {
+      await sendInvitationEmail(invitation, inviteToken, { project, inviter: req.user });
+    } catch (error) {
+      console.error('Error sending invitation email:', error);
+      throw new AppError('Invitation email could not be sent. Please try again later.', 500);
+    }
+
+    if (existingUser) {
+      await Notification.createNotification({
+        recipient: existingUser._id,
+        sender: req.user._id,
+        type: 'project_invitation',
+        title: 'Project Invitation',
+        message: `${req.user.name} invited you to join project "${project.name}"`,
+        data: {
+          project: project._id,
+          metadata: { invitation: invitation._id, role }
+        },
+        actionUrl: `/invitations/${invitation._id}`,
+        actionText: 'View Invitation',
+        priority: 'high',
+        expiresAt: invitation.expiresAt
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: { invitation }
+    });
+  })
+);
+
+// @route   POST /api/invitations/:id/accept
+// @desc    Accept an invitation from the in-app list
+// @access  Private (Invitee)
+router.post('/:id/accept',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid invitation ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation || invitation.email !== req.user.email) {
+      throw new AppError('Invitation not found', 404);
+    }
+
+    await respondToInvitation(req, res, invitation, 'accept');
+  })
+);
+
+// @route   POST /api/invitations/:id/decline
+// @desc    Decline an invitation from the in-app list
+// @access  Private (Invitee)
+router.post('/:id/decline',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid invitation ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation || invitation.email !== req.user.email) {
+      throw new AppError('Invitation not found', 404);
+    }
+
+    await respondToInvitation(req, res, invitation, 'decline');
+  })
+);
+
+// @route   DELETE /api/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private (Project Member with Manage Members Permission)
+router.delete('/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid invitation ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const invitation = await Invitation.findById(req.params.id).populate('project');
+
+    if (!invitation) {
+      throw new AppError('Invitation not found', 404);
+    }
+
+    if (!invitation.project || !invitation.project.hasPermission(req.user._id, 'canManageMembers')) {
+      throw new AppError('Access denied - canManageMembers permission required', 403);
+    }
+
+    try {
+      await invitation.revoke();
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    // Withdraw the in-app notification if the invitee already has an account
+    if (invitation.invitee) {
+      await Notification.deleteMany({
+        recipient: invitation.invitee,
+        type: 'project_invitation',
+        'data.metadata.invitation': invitation._id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  })
+);
+
+module.exports = router;
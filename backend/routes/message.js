@@ -1,19 +1,31 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, param, query } = require('express-validator');
 const Message = require('../models/Message');
 const Project = require('../models/Project');
 const Notification = require('../models/Notification');
 const { handleValidationErrors, catchAsync, AppError } = require('../middleware/errorHandler');
 const { requireProjectMember } = require('../middleware/auth');
+const { attachmentUpload } = require('../middleware/upload');
+const { saveProjectAttachments, deleteProjectAttachments, sendAttachment } = require('../services/attachments');
+const { emitProjectEvent } = require('../services/realtime');
 
 const router = express.Router();
 
 // Validation rules
 const sendMessageValidation = [
   body('content')
+    .default('')
     .trim()
-    .isLength({ min: 1, max: 5000 })
-    .withMessage('Message content must be between 1 and 5000 characters'),
+    .isLength({ max: 5000 })
+    .withMessage('Message content must be between 1 and 5000 characters')
+    .custom((value, { req }) => {
+      // Content may only be empty when files are attached
+      if (!value && !(req.files && req.files.length > 0)) {
+        throw new Error('Message content must be between 1 and 5000 characters');
+      }
+      return true;
+    }),
   
   body('mentions')
     .optional()
@@ -187,7 +199,7 @@ router.get('/project/:projectId',
 );
 
 // @route   POST /api/messages/project/:projectId
-// @desc    Send a message to project
+// @desc    Send a message to project (JSON, or multipart with attachments in "files")
 // @access  Private (Project Member)
 router.post('/project/:projectId',
   [
@@ -195,9 +207,12 @@ router.post('/project/:projectId',
       .isMongoId()
       .withMessage('Invalid project ID')
   ],
-  sendMessageValidation,
   handleValidationErrors,
+  // Check membership before buffering any upload in memory
   requireProjectMember,
+  attachmentUpload,
+  sendMessageValidation,
+  handleValidationErrors,
   catchAsync(async (req, res) => {
     const { projectId } = req.params;
     const { content, mentions = [], parentMessage } = req.body;
@@ -240,7 +255,34 @@ router.post('/project/:projectId',
       }]
     });
 
-    await message.save();
+    // Store uploaded files against the project quota
+    if (req.files && req.files.length > 0) {
+      const stored = await saveProjectAttachments(projectId, req.files);
+
+      stored.forEach(file => {
+        const attachmentId = new mongoose.Types.ObjectId();
+        message.attachments.push({
+          _id: attachmentId,
+          name: file.name,
+          url: `/api/messages/${message._id}/attachments/${attachmentId}/download`,
+          size: file.size,
+          type: file.type,
+          key: file.key
+        });
+      });
+
+      if (!message.content) {
+        message.content = stored.map(file => file.name).join(', ');
+      }
+    }
+
+    try {
+      await message.save();
+    } catch (error) {
+      // Give back the stored files and their quota
+      await deleteProjectAttachments(projectId, message.attachments);
+      throw error;
+    }
 
     // Populate the response
     await message.populate([
@@ -274,7 +316,7 @@ router.post('/project/:projectId',
     memberIds.push(project.owner.toString());
 
     // Emit real-time event to project room
-    req.io.to(`project_${projectId}`).emit('new_message', {
+    await emitProjectEvent(req.io, projectId, 'new_message', {
       message,
       author: req.user
     });
@@ -386,7 +428,7 @@ router.put('/:id',
     ]);
 
     // Emit real-time event
-    req.io.to(`project_${message.project._id}`).emit('message_edited', {
+    await emitProjectEvent(req.io, message.project._id, 'message_edited', {
       messageId: message._id,
       newContent: content,
       editedBy: req.user
@@ -430,7 +472,7 @@ router.delete('/:id',
     await message.softDelete();
 
     // Emit real-time event
-    req.io.to(`project_${message.project._id}`).emit('message_deleted', {
+    await emitProjectEvent(req.io, message.project._id, 'message_deleted', {
       messageId: message._id,
       deletedBy: req.user
     });
@@ -484,7 +526,7 @@ router.post('/:id/reactions',
     const updatedReaction = message.reactions.find(r => r.emoji === emoji);
 
     // Emit real-time event
-    req.io.to(`project_${message.project._id}`).emit('message_reaction', {
+    await emitProjectEvent(req.io, message.project._id, 'message_reaction', {
       messageId: message._id,
       emoji,
       action,
@@ -543,7 +585,7 @@ router.post('/:id/pin',
     await message.populate('pinnedBy', 'name email avatar');
 
     // Emit real-time event
-    req.io.to(`project_${message.project._id}`).emit('message_pin_toggled', {
+    await emitProjectEvent(req.io, message.project._id, 'message_pin_toggled', {
       messageId: message._id,
       isPinned: !wasPinned,
       pinnedBy: !wasPinned ? req.user : null
@@ -827,4 +869,100 @@ router.get('/search',
   })
 );
 
+// @route   GET /api/messages/:id/attachments/:attachmentId/download
+// @desc    Download a message attachment
+// @access  Private (Project Member)
+router.get('/:id/attachments/:attachmentId/download',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid message ID'),
+
+    param('attachmentId')
+      .isMongoId()
+      .withMessage('Invalid attachment ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const message = await Message.findById(req.params.id)
+      .populate('project', 'members owner');
+
+    if (!message || message.isDeleted) {
+      throw new AppError('Message not found', 404);
+    }
+
+    // Check if user is project member
+    const project = message.project;
+    const isOwner = project.owner.toString() === req.user._id.toString();
+    const isMember = project.members.some(member =>
+      member.user.toString() === req.user._id.toString()
+    );
+
+    if (!isOwner && !isMember) {
+      throw new AppError('Access denied - not a project member', 403);
+    }
+
+    const attachment = message.attachments.id(req.params.attachmentId);
+
+    if (!attachment || !(await sendAttachment(res, attachment))) {
+      throw new AppError('Attachment not found', 404);
+    }
+  })
+);
+
+// @route   DELETE /api/messages/:id/attachments/:attachmentId
+// @desc    Delete a message attachment
+// @access  Private (Message Author or Project Owner)
+router.delete('/:id/attachments/:attachmentId',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid message ID'),
+
+    param('attachmentId')
+      .isMongoId()
+      .withMessage('Invalid attachment ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const message = await Message.findById(req.params.id)
+      .populate('project', 'members owner');
+
+    if (!message) {
+      throw new AppError('Message not found', 404);
+    }
+
+    // Check if user is the author or project owner
+    const isAuthor = message.author.toString() === req.user._id.toString();
+    const isProjectOwner = message.project.owner.toString() === req.user._id.toString();
+
+    if (!isAuthor && !isProjectOwner) {
+      throw new AppError('Access denied - can only delete attachments on your own messages', 403);
+    }
+
+    const attachment = message.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      throw new AppError('Attachment not found', 404);
+    }
+
+    message.attachments.pull(attachment._id);
+    await message.save();
+
+    await deleteProjectAttachments(message.project._id, [attachment]);
+
+    // Emit real-time event
+    await emitProjectEvent(req.io, message.project._id, 'message_attachment_deleted', {
+      messageId: message._id,
+      attachmentId: attachment._id,
+      deletedBy: req.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  })
+);
+
 module.exports = router;
\ No newline at end of file
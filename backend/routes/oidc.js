@@ -0,0 +1,214 @@
+const express = require('express');
+const crypto = require('crypto');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const OidcState = require('../models/OidcState');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { isPasswordLoginEnabled, getTwoFactorChallenge } = require('../middleware/auth');
+const { startSession } = require('../services/sessions');
+const { recordSuccessfulLogin } = require('../services/loginSecurity');
+const oidc = require('../services/oidc');
+
+const router = express.Router();
+
+const CLIENT_URL = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+const STATE_COOKIE = 'oidc_state';
+const STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/oidc'
+};
+
+// Read a cookie without pulling in cookie-parser for a single value
+const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';');
+
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+
+  return null;
+};
+
+// Only allow returning to paths on the frontend itself
+const safeRedirectPath = (path) => {
+  return typeof path === 'string' && path.startsWith('/') && !path.startsWith('//') ? path : '/dashboard';
+};
+
+const redirectWithError = (res, message) => {
+  res.redirect(`${CLIENT_URL}/login?error=${encodeURIComponent(message)}`);
+};
+
+// Hand tokens or a two-factor challenge to the client's callback page. They
+// go in the fragment so they never reach server logs
+const redirectToClient = (res, values) => {
+  const fragment = new URLSearchParams(values);
+  res.redirect(`${CLIENT_URL}/auth/callback#${fragment.toString()}`);
+};
+
+// Find the user for a verified identity: by linked subject first, then by
+// verified email; new users are created unless OIDC_AUTO_PROVISION is false
+const findOrProvisionUser = async (identity) => {
+  let user = await User.findOne({
+    'oidc.issuer': identity.issuer,
+    'oidc.subject': identity.subject
+  });
+
+  if (user) {
+    return user;
+  }
+
+  if (!identity.email || !identity.emailVerified) {
+    throw new AppError('Your identity provider did not share a verified email address', 403);
+  }
+
+  const allowedDomains = (process.env.OIDC_ALLOWED_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (allowedDomains.length > 0 && !allowedDomains.includes(identity.email.split('@')[1])) {
+    throw new AppError('Your email domain is not allowed to sign in', 403);
+  }
+
+  user = await User.findOne({ email: identity.email });
+
+  if (user) {
+    if (user.oidc.subject && (user.oidc.subject !== identity.subject || user.oidc.issuer !== identity.issuer)) {
+      throw new AppError('This account is linked to a different single sign-on identity', 403);
+    }
+
+    user.oidc = { issuer: identity.issuer, subject: identity.subject };
+    user.emailVerified = true;
+    user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+    await user.save({ validateBeforeSave: false });
+    return user;
+  }
+
+  if (process.env.OIDC_AUTO_PROVISION === 'false') {
+    throw new AppError('No account exists for this email address', 403);
+  }
+
+  user = new User({
+    name: (identity.name || identity.email.split('@')[0]).slice(0, 50),
+    email: identity.email,
+    // Unusable random password; the account signs in through the provider
+    password: crypto.randomBytes(32).toString('hex'),
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    oidc: { issuer: identity.issuer, subject: identity.subject }
+  });
+  await user.save();
+
+  // Claim project invitations sent to this email before it was registered
+  await Invitation.claimForUser(user);
+
+  return user;
+};
+
+// @route   GET /api/auth/oidc
+// @desc    Describe the available sign in methods for the login page
+// @access  Public
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: oidc.isEnabled(),
+      providerName: oidc.getConfig().providerName,
+      passwordLoginEnabled: isPasswordLoginEnabled()
+    }
+  });
+});
+
+// @route   GET /api/auth/oidc/login
+// @desc    Redirect to the identity provider to sign in
+// @access  Public
+router.get('/login',
+  catchAsync(async (req, res) => {
+    if (!oidc.isEnabled()) {
+      return redirectWithError(res, 'Single sign-on is not configured');
+    }
+
+    let request;
+    try {
+      request = await oidc.createAuthorizationRequest();
+    } catch (error) {
+      console.error('OIDC login error:', error);
+      return redirectWithError(res, 'The identity provider is unavailable');
+    }
+
+    await OidcState.create({
+      state: request.state,
+      nonce: request.nonce,
+      codeVerifier: request.codeVerifier,
+      redirectTo: safeRedirectPath(req.query.redirect)
+    });
+
+    // Tie the login to this browser so a callback can't be replayed elsewhere
+    res.cookie(STATE_COOKIE, request.state, { ...STATE_COOKIE_OPTIONS, maxAge: 10 * 60 * 1000 });
+    res.redirect(request.url);
+  })
+);
+
+// @route   GET /api/auth/oidc/callback
+// @desc    Finish signing in after the identity provider redirects back
+// @access  Public
+router.get('/callback',
+  catchAsync(async (req, res) => {
+    const { code, state, error, error_description: errorDescription } = req.query;
+    const cookieState = readCookie(req, STATE_COOKIE);
+
+    res.clearCookie(STATE_COOKIE, STATE_COOKIE_OPTIONS);
+
+    if (error) {
+      return redirectWithError(res, errorDescription || error);
+    }
+
+    if (!code || !state || state !== cookieState) {
+      return redirectWithError(res, 'Invalid single sign-on response. Please try again.');
+    }
+
+    const pending = await OidcState.consume(state);
+    if (!pending) {
+      return redirectWithError(res, 'Your sign in attempt expired. Please try again.');
+    }
+
+    let user;
+    try {
+      const identity = await oidc.completeAuthorization({
+        code,
+        codeVerifier: pending.codeVerifier,
+        nonce: pending.nonce
+      });
+      user = await findOrProvisionUser(identity);
+    } catch (error) {
+      console.error('OIDC callback error:', error);
+      return redirectWithError(res, error.isOperational ? error.message : 'Single sign-on failed. Please try again.');
+    }
+
+    if (!user.isActive) {
+      return redirectWithError(res, 'Account is deactivated. Please contact support.');
+    }
+
+    // The identity provider stands in for the password only; the second
+    // factor is checked through /login/2fa like any other login
+    const challenge = getTwoFactorChallenge(user);
+    if (challenge) {
+      return redirectToClient(res, { ...challenge.data, redirect: pending.redirectTo });
+    }
+
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false });
+    await recordSuccessfulLogin(user, req);
+
+    const { accessToken, refreshToken } = await startSession(user, req);
+
+    redirectToClient(res, { accessToken, refreshToken, redirect: pending.redirectTo });
+  })
+);
+
+module.exports = router;
@@ -1,30 +1,1267 @@
 const express = require('express');
+const { body, param, query } = require('express-validator');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const Invitation = require('../models/Invitation');
+const ProjectEvent = require('../models/ProjectEvent');
+const TaskSeries = require('../models/TaskSeries');
+const WorkLog = require('../models/WorkLog');
+const Sprint = require('../models/Sprint');
+const { handleValidationErrors, catchAsync, AppError } = require('../middleware/errorHandler');
+const { requireProjectMember, requireProjectPermission } = require('../middleware/auth');
+const { removeAttachments } = require('../services/attachments');
+const presence = require('../services/presence');
+const { emitProjectEvent } = require('../services/realtime');
+const { computeProjectSchedule } = require('../services/schedule');
+const { getProjectTimesheet } = require('../services/timesheets');
+const { toFieldKey, cleanUpTaskValues } = require('../services/customFields');
+const { updateWorkflow } = require('../services/workflows');
+
 const router = express.Router();
 
-// Placeholder for project controllers
-const projectController = {
-  getAllProjects: (req, res) => {
-    res.status(200).json({ message: 'Get all projects' });
-  },
-  getProjectById: (req, res) => {
-    res.status(200).json({ message: `Get project by ID: ${req.params.id}` });
-  },
-  createProject: (req, res) => {
-    res.status(201).json({ message: 'Create new project' });
-  },
-  updateProject: (req, res) => {
-    res.status(200).json({ message: `Update project by ID: ${req.params.id}` });
-  },
-  deleteProject: (req, res) => {
-    res.status(200).json({ message: `Delete project by ID: ${req.params.id}` });
-  },
+// Validation rules
+const createProjectValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Project name must be between 2 and 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Project description cannot exceed 1000 characters'),
+
+  body('status')
+    .optional()
+    .isIn(['planning', 'active', 'on-hold', 'completed', 'archived'])
+    .withMessage('Status must be planning, active, on-hold, completed, or archived'),
+
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Priority must be low, medium, high, or urgent'),
+
+  body('startDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  body('dueDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+
+  body('color')
+    .optional()
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+    .withMessage('Color must be a valid hex color'),
+
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+
+  body('tags.*')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Each tag must be 50 characters or less')
+];
+
+const updateProjectValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Project name must be between 2 and 100 characters'),
+
+  ...createProjectValidation.slice(1),
+
+  body('settings.isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be boolean'),
+
+  body('settings.allowGuestAccess')
+    .optional()
+    .isBoolean()
+    .withMessage('allowGuestAccess must be boolean'),
+
+  body('settings.notifications.*')
+    .optional()
+    .isBoolean()
+    .withMessage('Notification settings must be boolean')
+];
+
+const customFieldDefinitionValidation = (isNew = false) => {
+  const field = (name) => (isNew ? body(name) : body(name).optional());
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Field name must be between 1 and 50 characters'),
+
+    body('key')
+      .optional()
+      .matches(/^[a-z][a-z0-9_]{0,39}$/)
+      .withMessage('Field key must start with a letter and contain only lowercase letters, digits or underscores'),
+
+    field('type')
+      .isIn(Project.CUSTOM_FIELD_TYPES)
+      .withMessage(`Field type must be one of: ${Project.CUSTOM_FIELD_TYPES.join(', ')}`),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Field description cannot exceed 200 characters'),
+
+    body('options')
+      .optional()
+      .isArray({ min: 1, max: 100 })
+      .withMessage('Options must be a list of 1 to 100 choices'),
+
+    body('options.*')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Each option must be between 1 and 50 characters'),
+
+    body('required')
+      .optional()
+      .isBoolean()
+      .withMessage('Required must be a boolean')
+      .toBoolean()
+  ];
 };
 
-// Project routes
-router.get('/', projectController.getAllProjects);
-router.get('/:id', projectController.getProjectById);
-router.post('/', projectController.createProject);
-router.put('/:id', projectController.updateProject);
-router.delete('/:id', projectController.deleteProject);
+const workflowValidation = [
+  body('statuses')
+    .isArray({ min: 1 })
+    .withMessage('Statuses must be a non-empty list'),
+
+  body('statuses.*.key')
+    .matches(Project.STATUS_KEY_PATTERN)
+    .withMessage('Status keys must start with a letter and contain only lowercase letters, digits, dashes or underscores'),
+
+  body('statuses.*.name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Status names must be between 1 and 50 characters'),
+
+  body('statuses.*.category')
+    .isIn(Project.STATUS_CATEGORIES)
+    .withMessage(`Status category must be one of: ${Project.STATUS_CATEGORIES.join(', ')}`),
+
+  body('statuses.*.color')
+    .optional({ values: 'null' })
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+    .withMessage('Status color must be a valid hex color'),
+
+  body('transitions')
+    .optional()
+    .isArray()
+    .withMessage('Transitions must be a list'),
+
+  body('transitions.*.from')
+    .custom(value => value === '*' || Project.STATUS_KEY_PATTERN.test(value))
+    .withMessage('Transition from must be a status key or *'),
+
+  body('transitions.*.to')
+    .matches(Project.STATUS_KEY_PATTERN)
+    .withMessage('Transition to must be a status key'),
+
+  body('transitions.*.guards')
+    .optional()
+    .isArray()
+    .withMessage('Transition guards must be a list'),
+
+  body('transitions.*.guards.*')
+    .isIn(Project.TRANSITION_GUARDS)
+    .withMessage(`Transition guards must be one of: ${Project.TRANSITION_GUARDS.join(', ')}`),
+
+  body('statusMap')
+    .optional()
+    .isObject()
+    .withMessage('Status map must map removed status keys to new ones')
+];
+
+const memberRoleValidation = () => body('role')
+  .isIn(['admin', 'member', 'viewer'])
+  .withMessage('Role must be admin, member, or viewer');
+
+// Fields a project editor is allowed to change through PUT
+const EDITABLE_FIELDS = ['name', 'description', 'status', 'priority', 'startDate', 'dueDate', 'tags', 'color'];
+
+// @route   GET /api/projects
+// @desc    Get projects the user owns or is a member of
+// @access  Private
+router.get('/',
+  [
+    query('status')
+      .optional()
+      .isIn(['planning', 'active', 'on-hold', 'completed', 'archived'])
+      .withMessage('Invalid status filter'),
+
+    query('priority')
+      .optional()
+      .isIn(['low', 'medium', 'high', 'urgent'])
+      .withMessage('Invalid priority filter'),
+
+    query('tags')
+      .optional()
+      .isString()
+      .withMessage('Tags filter must be a comma-separated list'),
+
+    query('search')
+      .optional()
+      .isLength({ min: 2 })
+      .withMessage('Search query must be at least 2 characters'),
+
+    query('includeArchived')
+      .optional()
+      .isBoolean()
+      .withMessage('includeArchived must be boolean'),
+
+    query('sortBy')
+      .optional()
+      .isIn(['name', 'createdAt', 'updatedAt', 'dueDate', 'priority', 'status'])
+      .withMessage('Invalid sort field'),
+
+    query('sortOrder')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Sort order must be asc or desc'),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const {
+      status,
+      priority,
+      tags,
+      search,
+      includeArchived,
+      sortBy = 'updatedAt',
+      sortOrder = 'desc',
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    // Only projects the user owns or belongs to
+    const query = {
+      $or: [
+        { owner: req.user._id },
+        { 'members.user': req.user._id }
+      ]
+    };
+
+    // Apply filters
+    if (status) {
+      query.status = status;
+    } else if (includeArchived !== 'true') {
+      query.status = { $ne: 'archived' };
+    }
+
+    if (priority) query.priority = priority;
+
+    if (tags) {
+      const tagList = tags.split(',').map(tag => tag.trim()).filter(Boolean);
+      if (tagList.length > 0) {
+        query.tags = { $all: tagList };
+      }
+    }
+
+    // Search filter
+    if (search) {
+      query.$and = [{
+        $or: [
+          { name: { $regex: search, $options: 'i' } },
+          { description: { $regex: search, $options: 'i' } }
+        ]
+      }];
+    }
+
+    // Build sort
+    const sort = {};
+    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+
+    // Execute query with pagination
+    const projects = await Project.find(query)
+      .populate('owner', 'name email avatar')
+      .populate('members.user', 'name email avatar')
+      .sort(sort)
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Project.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        projects,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalProjects: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+  })
+);
+
+// @route   POST /api/projects
+// @desc    Create a new project
+// @access  Private
+router.post('/',
+  createProjectValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { name, description, status, priority, startDate, dueDate, tags, color } = req.body;
+
+    if (startDate && dueDate && new Date(dueDate) < new Date(startDate)) {
+      throw new AppError('Due date cannot be before start date', 400);
+    }
+
+    const project = new Project({
+      name,
+      description,
+      owner: req.user._id,
+      status,
+      priority,
+      startDate,
+      dueDate,
+      tags,
+      color
+    });
+
+    // Owner is always listed as a member so membership queries stay uniform
+    await project.addMember(req.user._id, 'owner');
+
+    await project.populate([
+      { path: 'owner', select: 'name email avatar' },
+      { path: 'members.user', select: 'name email avatar' }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created successfully',
+      data: { project }
+    });
+  })
+);
+
+// @route   GET /api/projects/:projectId
+// @desc    Get project details
+// @access  Private (Project Member)
+router.get('/:projectId',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID')
+  ],
+  handleValidationErrors,
+  requireProjectMember,
+  catchAsync(async (req, res) => {
+    const project = await req.project.populate([
+      { path: 'owner', select: 'name email avatar' },
+      { path: 'members.user', select: 'name email avatar lastLogin' }
+    ]);
+
+    res.json({
+      success: true,
+      data: { project }
+    });
+  })
+);
+
+// @route   PUT /api/projects/:projectId
+// @desc    Update project
+// @access  Private (Project Member with Edit Project Permission)
+router.put('/:projectId',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID')
+  ],
+  updateProjectValidation,
+  handleValidationErrors,
+  requireProjectPermission('canEditProject'),
+  catchAsync(async (req, res) => {
+    const project = req.project;
+    const changedFields = [];
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        project[field] = req.body[field];
+        changedFields.push(field);
+      }
+    });
+
+    // Settings are merged so partial updates don't reset other flags
+    if (req.body.settings) {
+      const { isPublic, allowGuestAccess, notifications = {} } = req.body.settings;
+
+      if (isPublic !== undefined) project.settings.isPublic = isPublic;
+      if (allowGuestAccess !== undefined) project.settings.allowGuestAccess = allowGuestAccess;
+
+      Object.keys(notifications).forEach(key => {
+        if (project.settings.notifications[key] !== undefined) {
+          project.settings.notifications[key] = notifications[key];
+        }
+      });
+
+      changedFields.push('settings');
+    }
+
+    if (project.startDate && project.dueDate && project.dueDate < project.startDate) {
+      throw new AppError('Due date cannot be before start date', 400);
+    }
+
+    // Track completion time
+    if (project.isModified('status')) {
+      project.completedAt = project.status === 'completed' ? new Date() : null;
+    }
+
+    project.statistics.lastActivity = new Date();
+    await project.save();
+
+    // Warn when the new due date is earlier than the work allows
+    const warnings = [];
+    if (changedFields.includes('dueDate') && project.dueDate) {
+      const schedule = await computeProjectSchedule(project);
+      if (schedule.isLate) {
+        warnings.push(`The current schedule finishes on ${schedule.projectedFinish.toISOString()}, after the due date`);
+      }
+    }
+
+    await project.populate([
+      { path: 'owner', select: 'name email avatar' },
+      { path: 'members.user', select: 'name email avatar' }
+    ]);
+
+    // Notify other members about project changes
+    if (changedFields.length > 0) {
+      const memberIds = project.members.map(m => m.user._id.toString());
+
+      for (const memberId of new Set(memberIds)) {
+        if (memberId !== req.user._id.toString()) {
+          await Notification.createNotification({
+            recipient: memberId,
+            sender: req.user._id,
+            type: 'project_updated',
+            title: 'Project Updated',
+            message: `${req.user.name} updated project "${project.name}"`,
+            data: { project: project._id },
+            actionUrl: `/projects/${project._id}`,
+            priority: 'low'
+          });
+        }
+      }
+    }
+
+    // Emit real-time event
+    await emitProjectEvent(req.io, project._id, 'project_updated', {
+      project,
+      updatedBy: req.user,
+      changes: changedFields
+    });
+
+    res.json({
+      success: true,
+      message: 'Project updated successfully',
+      data: { project, warnings }
+    });
+  })
+);
+
+// @route   DELETE /api/projects/:projectId
+// @desc    Delete project and its tasks, messages and notifications,
+//          or archive everything when ?archive=true
+// @access  Private (Project Owner to delete, Edit Project Permission to archive)
+router.delete('/:projectId',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID'),
+
+    query('archive')
+      .optional()
+      .isBoolean()
+      .withMessage('Archive flag must be boolean')
+  ],
+  handleValidationErrors,
+  requireProjectPermission('canEditProject'),
+  catchAsync(async (req, res) => {
+    const project = req.project;
+    const archive = req.query.archive === 'true';
+
+    if (archive) {
+      project.status = 'archived';
+      project.statistics.lastActivity = new Date();
+      await project.save();
+
+      await Task.updateMany(
+        { project: project._id },
+        { $set: { isArchived: true } }
+      );
+
+      await emitProjectEvent(req.io, project._id, 'project_archived', {
+        projectId: project._id,
+        archivedBy: req.user
+      });
+
+      return res.json({
+        success: true,
+        message: 'Project archived successfully'
+      });
+    }
+
+    // Permanent deletion is reserved for the owner
+    if (project.owner.toString() !== req.user._id.toString()) {
+      throw new AppError('Access denied - only the project owner can delete the project', 403);
+    }
+
+    // Remove uploaded files before their owning documents disappear
+    const [taskFiles, messageFiles] = await Promise.all([
+      Task.find({ project: project._id, 'attachments.key': { $ne: null } }).select('attachments'),
+      Message.find({ project: project._id, 'attachments.key': { $ne: null } }).select('attachments')
+    ]);
+    await removeAttachments([...taskFiles, ...messageFiles].flatMap(doc => doc.attachments));
+
+    const [tasks, messages, notifications] = await Promise.all([
+      Task.deleteMany({ project: project._id }),
+      Message.deleteMany({ project: project._id }),
+      Notification.deleteMany({ 'data.project': project._id }),
+      ProjectEvent.deleteMany({ project: project._id }),
+      TaskSeries.deleteMany({ project: project._id }),
+      WorkLog.deleteMany({ project: project._id }),
+      Sprint.deleteMany({ project: project._id }),
+      Invitation.deleteMany({ project: project._id })
+    ]);
+
+    await project.deleteOne();
+
+    // Emit real-time event
+    await emitProjectEvent(req.io, project._id, 'project_deleted', {
+      projectId: project._id,
+      deletedBy: req.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Project deleted successfully',
+      data: {
+        deletedTasks: tasks.deletedCount,
+        deletedMessages: messages.deletedCount,
+        deletedNotifications: notifications.deletedCount
+      }
+    });
+  })
+);
+
+// Post the chat system message, notify the affected user and broadcast a membership change
+const announceMembershipChange = async (req, project, { type, targetUser, content, title, message }) => {
+  const systemMessage = await Message.createSystemMessage(project._id, req.user._id, type, content);
+
+  if (targetUser._id.toString() !== req.user._id.toString()) {
+    await Notification.createNotification({
+      recipient: targetUser._id,
+      sender: req.user._id,
+      type,
+      title,
+      message,
+      data: { project: project._id },
+      actionUrl: type === 'member_added' ? `/projects/${project._id}` : null
+    });
+  }
+
+  await emitProjectEvent(req.io, project._id, type, {
+    projectId: project._id,
+    user: { _id: targetUser._id, name: targetUser.name, email: targetUser.email, avatar: targetUser.avatar },
+    by: req.user
+  });
+
+  await emitProjectEvent(req.io, project._id, 'new_message', {
+    message: systemMessage,
+    author: req.user
+  });
+
+  // Removed members stop receiving the project's realtime events
+  if (type === 'member_removed') {
+    req.io.in(`user_${targetUser._id}`).socketsLeave(`project_${project._id}`);
+
+    if (presence.removeUser(project._id, targetUser._id)) {
+      req.io.to(`project_${project._id}`).emit('presence_updated', {
+        projectId: project._id,
+        users: presence.getSnapshot(project._id)
+      });
+    }
+  }
+};
+
+// Only the owner may grant or revoke the admin role
+const assertCanAssignRole = (project, actorId, member, newRole) => {
+  const isOwner = project.owner.toString() === actorId.toString();
+  if (!isOwner && (newRole === 'admin' || (member && member.role === 'admin'))) {
+    throw new AppError('Access denied - only the project owner can manage admins', 403);
+  }
+};
+
+// @route   GET /api/projects/:projectId/members
+// @desc    Get project members
+// @access  Private (Project Member)
+router.get('/:projectId/members',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID')
+  ],
+  handleValidationErrors,
+  requireProjectMember,
+  catchAsync(async (req, res) => {
+    await req.project.populate('members.user', 'name email avatar lastLogin');
+
+    res.json({
+      success: true,
+      data: {
+        members: req.project.members,
+        owner: req.project.owner
+      }
+    });
+  })
+);
+
+// @route   GET /api/projects/:projectId/presence
+// @desc    Get who is currently viewing the project and which tasks they have open
+// @access  Private (Project Member)
+router.get('/:projectId/presence',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID')
+  ],
+  handleValidationErrors,
+  requireProjectMember,
+  catchAsync(async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        users: presence.getSnapshot(req.params.projectId)
+      }
+    });
+  })
+);
+
+// @route   GET /api/projects/:projectId/schedule
+// @desc    Get the project's critical path, per-task slack and projected finish
+// @access  Private (Project Member)
+router.get('/:projectId/schedule',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID')
+  ],
+  handleValidationErrors,
+  requireProjectMember,
+  catchAsync(async (req, res) => {
+    const schedule = await computeProjectSchedule(req.project);
+
+    res.json({
+      success: true,
+      data: { schedule }
+    });
+  })
+);
+
+// @route   GET /api/projects/:projectId/timesheet
+// @desc    Get the project's weekly logged hours per member and estimate overruns
+// @access  Private (Project Member)
+router.get('/:projectId/timesheet',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID'),
+
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date'),
+
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid date')
+  ],
+  handleValidationErrors,
+  requireProjectMember,
+  catchAsync(async (req, res) => {
+    const timesheet = await getProjectTimesheet(req.project._id, req.query);
+
+    res.json({
+      success: true,
+      data: { timesheet }
+    });
+  })
+);
+
+// @route   GET /api/projects/:projectId/workflow
+// @desc    Get the project's task statuses and allowed transitions
+// @access  Private (Project Member)
+router.get('/:projectId/workflow',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID')
+  ],
+  handleValidationErrors,
+  requireProjectMember,
+  catchAsync(async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        workflow: req.project.getWorkflow(),
+        isDefault: req.project.workflow.statuses.length === 0,
+        categories: Project.STATUS_CATEGORIES,
+        guards: Project.TRANSITION_GUARDS
+      }
+    });
+  })
+);
+
+// @route   PUT /api/projects/:projectId/workflow
+// @desc    Replace the project's workflow; tasks in removed statuses are
+//          moved to the statuses given in statusMap
+// @access  Private (Project Member with Edit Project Permission)
+router.put('/:projectId/workflow',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID')
+  ],
+  workflowValidation,
+  handleValidationErrors,
+  requireProjectPermission('canEditProject'),
+  catchAsync(async (req, res) => {
+    const { statuses, transitions, statusMap } = req.body;
+    const { workflow, moved } = await updateWorkflow(req.project, { statuses, transitions }, statusMap);
+
+    await emitProjectEvent(req.io, req.project._id, 'workflow_updated', {
+      workflow,
+      moved,
+      updatedBy: req.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Workflow updated successfully',
+      data: { workflow, moved }
+    });
+  })
+);
+
+// @route   GET /api/projects/:projectId/custom-fields
+// @desc    Get the project's custom task field definitions
+// @access  Private (Project Member)
+router.get('/:projectId/custom-fields',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID')
+  ],
+  handleValidationErrors,
+  requireProjectMember,
+  catchAsync(async (req, res) => {
+    res.json({
+      success: true,
+      data: { customFields: req.project.customFields }
+    });
+  })
+);
+
+// @route   POST /api/projects/:projectId/custom-fields
+// @desc    Define a custom task field
+// @access  Private (Project Member with Edit Project Permission)
+router.post('/:projectId/custom-fields',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID')
+  ],
+  customFieldDefinitionValidation(true),
+  handleValidationErrors,
+  requireProjectPermission('canEditProject'),
+  catchAsync(async (req, res) => {
+    const project = req.project;
+    const { name, type, description, options = [], required = false } = req.body;
+    const key = req.body.key || toFieldKey(name);
+
+    if (!key) {
+      throw new AppError('Field name must contain a letter, or a key must be given', 400);
+    }
+
+    if (project.customFields.length >= Project.MAX_CUSTOM_FIELDS) {
+      throw new AppError(`Projects can have at most ${Project.MAX_CUSTOM_FIELDS} custom fields`, 400);
+    }
+
+    if (project.getCustomField(key)) {
+      throw new AppError(`A custom field with key "${key}" already exists`, 409);
+    }
+
+    const hasOptions = type === 'select' || type === 'multi-select';
+    if (hasOptions && options.length === 0) {
+      throw new AppError('Select fields need at least one option', 400);
+    }
+
+    project.customFields.push({
+      key,
+      name,
+      type,
+      description,
+      options: hasOptions ? [...new Set(options)] : [],
+      required
+    });
+    await project.save();
+
+    const customField = project.getCustomField(key);
+
+    await emitProjectEvent(req.io, project._id, 'custom_fields_updated', {
+      customFields: project.customFields,
+      updatedBy: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Custom field created successfully',
+      data: { customField }
+    });
+  })
+);
+
+// @route   PUT /api/projects/:projectId/custom-fields/:fieldId
+// @desc    Update a custom task field; its key and type can't change
+// @access  Private (Project Member with Edit Project Permission)
+router.put('/:projectId/custom-fields/:fieldId',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID'),
+
+    param('fieldId')
+      .isMongoId()
+      .withMessage('Invalid field ID')
+  ],
+  customFieldDefinitionValidation(),
+  handleValidationErrors,
+  requireProjectPermission('canEditProject'),
+  catchAsync(async (req, res) => {
+    const project = req.project;
+    const customField = project.customFields.id(req.params.fieldId);
+
+    if (!customField) {
+      throw new AppError('Custom field not found', 404);
+    }
+
+    if ((req.body.key && req.body.key !== customField.key) || (req.body.type && req.body.type !== customField.type)) {
+      throw new AppError('The key and type of a custom field cannot be changed', 400);
+    }
+
+    ['name', 'description', 'required'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        customField[field] = req.body[field];
+      }
+    });
+
+    const hasOptions = customField.type === 'select' || customField.type === 'multi-select';
+    const optionsChanged = hasOptions && req.body.options !== undefined;
+    if (optionsChanged) {
+      customField.options = [...new Set(req.body.options)];
+    }
+
+    await project.save();
+
+    // Values for removed options are dropped from tasks
+    if (optionsChanged) {
+      await cleanUpTaskValues(project._id, customField);
+    }
+
+    await emitProjectEvent(req.io, project._id, 'custom_fields_updated', {
+      customFields: project.customFields,
+      updatedBy: req.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Custom field updated successfully',
+      data: { customField }
+    });
+  })
+);
+
+// @route   DELETE /api/projects/:projectId/custom-fields/:fieldId
+// @desc    Delete a custom task field and its values on every task
+// @access  Private (Project Member with Edit Project Permission)
+router.delete('/:projectId/custom-fields/:fieldId',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID'),
+
+    param('fieldId')
+      .isMongoId()
+      .withMessage('Invalid field ID')
+  ],
+  handleValidationErrors,
+  requireProjectPermission('canEditProject'),
+  catchAsync(async (req, res) => {
+    const project = req.project;
+    const customField = project.customFields.id(req.params.fieldId);
+
+    if (!customField) {
+      throw new AppError('Custom field not found', 404);
+    }
+
+    project.customFields.pull(customField._id);
+    await project.save();
+    await cleanUpTaskValues(project._id, customField, { deleted: true });
+
+    await emitProjectEvent(req.io, project._id, 'custom_fields_updated', {
+      customFields: project.customFields,
+      updatedBy: req.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Custom field deleted successfully'
+    });
+  })
+);
+
+// @route   POST /api/projects/:projectId/members
+// @desc    Add a registered user to the project
+// @access  Private (Project Member with Manage Members Permission)
+router.post('/:projectId/members',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID'),
+
+    body('userId')
+      .isMongoId()
+      .withMessage('Valid user ID is required'),
+
+    memberRoleValidation().optional()
+  ],
+  handleValidationErrors,
+  requireProjectPermission('canManageMembers'),
+  catchAsync(async (req, res) => {
+    const { userId, role = 'member' } = req.body;
+    const project = req.project;
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      throw new AppError('User not found', 404);
+    }
+
+    assertCanAssignRole(project, req.user._id, null, role);
+
+    try {
+      await project.addMember(user._id, role);
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    await announceMembershipChange(req, project, {
+      type: 'member_added',
+      targetUser: user,
+      content: `${req.user.name} added ${user.name} to the project as ${role}`,
+      title: 'Added to Project',
+      message: `${req.user.name} added you to project "${project.name}"`
+    });
+
+    await project.populate('members.user', 'name email avatar');
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      data: { members: project.members }
+    });
+  })
+);
+
+// @route   PUT /api/projects/:projectId/members/:userId
+// @desc    Change a member's role
+// @access  Private (Project Member with Manage Members Permission)
+router.put('/:projectId/members/:userId',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID'),
+
+    param('userId')
+      .isMongoId()
+      .withMessage('Invalid user ID'),
+
+    memberRoleValidation()
+  ],
+  handleValidationErrors,
+  requireProjectPermission('canManageMembers'),
+  catchAsync(async (req, res) => {
+    const { userId } = req.params;
+    const { role } = req.body;
+    const project = req.project;
+
+    const member = project.members.find(m => m.user.toString() === userId);
+    if (!member) {
+      throw new AppError('User is not a member of this project', 404);
+    }
+
+    assertCanAssignRole(project, req.user._id, member, role);
+
+    const oldRole = member.role;
+
+    try {
+      await project.updateMemberRole(userId, role);
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    if (oldRole !== role) {
+      await Notification.createNotification({
+        recipient: userId,
+        sender: req.user._id,
+        type: 'project_updated',
+        title: 'Project Role Changed',
+        message: `${req.user.name} changed your role in "${project.name}" from ${oldRole} to ${role}`,
+        data: { project: project._id },
+        actionUrl: `/projects/${project._id}`
+      });
+
+      await emitProjectEvent(req.io, project._id, 'member_role_updated', {
+        projectId: project._id,
+        userId,
+        oldRole,
+        newRole: role,
+        updatedBy: req.user
+      });
+    }
+
+    await project.populate('members.user', 'name email avatar');
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: { members: project.members }
+    });
+  })
+);
+
+// @route   DELETE /api/projects/:projectId/members/:userId
+// @desc    Remove a member from the project
+// @access  Private (Project Member with Manage Members Permission)
+router.delete('/:projectId/members/:userId',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID'),
+
+    param('userId')
+      .isMongoId()
+      .withMessage('Invalid user ID')
+  ],
+  handleValidationErrors,
+  requireProjectPermission('canManageMembers'),
+  catchAsync(async (req, res) => {
+    const { userId } = req.params;
+    const project = req.project;
+
+    const member = project.members.find(m => m.user.toString() === userId);
+    if (!member) {
+      throw new AppError('User is not a member of this project', 404);
+    }
+
+    if (userId === req.user._id.toString()) {
+      throw new AppError('Use the leave endpoint to remove yourself from a project', 400);
+    }
+
+    assertCanAssignRole(project, req.user._id, member, member.role);
+
+    try {
+      await project.removeMember(userId);
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    // Removed members stop receiving updates for tasks in this project
+    await Task.updateMany(
+      { project: project._id, watchers: userId },
+      { $pull: { watchers: userId } }
+    );
+
+    const user = await User.findById(userId);
+
+    await announceMembershipChange(req, project, {
+      type: 'member_removed',
+      targetUser: user,
+      content: `${req.user.name} removed ${user.name} from the project`,
+      title: 'Removed from Project',
+      message: `${req.user.name} removed you from project "${project.name}"`
+    });
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  })
+);
+
+// @route   POST /api/projects/:projectId/leave
+// @desc    Leave a project
+// @access  Private (Project Member other than the owner)
+router.post('/:projectId/leave',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID')
+  ],
+  handleValidationErrors,
+  requireProjectMember,
+  catchAsync(async (req, res) => {
+    const project = req.project;
+
+    if (project.owner.toString() === req.user._id.toString()) {
+      throw new AppError('The project owner must transfer ownership before leaving', 400);
+    }
+
+    await project.removeMember(req.user._id);
+
+    await Task.updateMany(
+      { project: project._id, watchers: req.user._id },
+      { $pull: { watchers: req.user._id } }
+    );
+
+    await Notification.createNotification({
+      recipient: project.owner,
+      sender: req.user._id,
+      type: 'member_removed',
+      title: 'Member Left Project',
+      message: `${req.user.name} left project "${project.name}"`,
+      data: { project: project._id },
+      priority: 'low'
+    });
+
+    await announceMembershipChange(req, project, {
+      type: 'member_removed',
+      targetUser: req.user,
+      content: `${req.user.name} left the project`
+    });
+
+    res.json({
+      success: true,
+      message: 'You have left the project'
+    });
+  })
+);
+
+// @route   POST /api/projects/:projectId/transfer-ownership
+// @desc    Hand project ownership to another member; the previous owner becomes an admin
+// @access  Private (Project Owner)
+router.post('/:projectId/transfer-ownership',
+  [
+    param('projectId')
+      .isMongoId()
+      .withMessage('Invalid project ID'),
+
+    body('userId')
+      .isMongoId()
+      .withMessage('Valid user ID is required')
+  ],
+  handleValidationErrors,
+  requireProjectMember,
+  catchAsync(async (req, res) => {
+    const { userId } = req.body;
+    const project = req.project;
+    const previousOwnerId = project.owner;
+
+    if (previousOwnerId.toString() !== req.user._id.toString()) {
+      throw new AppError('Access denied - only the project owner can transfer ownership', 403);
+    }
+
+    if (userId === req.user._id.toString()) {
+      throw new AppError('You already own this project', 400);
+    }
+
+    const newOwner = project.members.find(m => m.user.toString() === userId);
+    if (!newOwner) {
+      throw new AppError('New owner must be a project member', 400);
+    }
+
+    project.owner = newOwner.user;
+    await project.updateMemberRole(newOwner.user, 'owner');
+
+    // Older projects may not list the owner in members
+    if (project.members.some(m => m.user.toString() === previousOwnerId.toString())) {
+      await project.updateMemberRole(previousOwnerId, 'admin');
+    } else {
+      await project.addMember(previousOwnerId, 'admin');
+    }
+
+    await Notification.createNotification({
+      recipient: userId,
+      sender: req.user._id,
+      type: 'project_updated',
+      title: 'Project Ownership Transferred',
+      message: `${req.user.name} made you the owner of project "${project.name}"`,
+      data: { project: project._id },
+      actionUrl: `/projects/${project._id}`,
+      priority: 'high'
+    });
+
+    const systemMessage = await Message.createSystemMessage(
+      project._id,
+      req.user._id,
+      'project_updated',
+      `${req.user.name} transferred project ownership`
+    );
+
+    await emitProjectEvent(req.io, project._id, 'project_ownership_transferred', {
+      projectId: project._id,
+      previousOwner: previousOwnerId,
+      newOwner: userId,
+      transferredBy: req.user
+    });
+
+    await emitProjectEvent(req.io, project._id, 'new_message', {
+      message: systemMessage,
+      author: req.user
+    });
+
+    await project.populate([
+      { path: 'owner', select: 'name email avatar' },
+      { path: 'members.user', select: 'name email avatar' }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Project ownership transferred successfully',
+      data: { project }
+    });
+  })
+);
 
 module.exports = router;
@@ -0,0 +1,333 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const Sprint = require('../models/Sprint');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { handleValidationErrors, catchAsync, AppError } = require('../middleware/errorHandler');
+const { emitProjectEvent } = require('../services/realtime');
+const { startSprint, closeSprint } = require('../services/sprints');
+
+const router = express.Router();
+
+// Validation rules
+const sprintValidation = (isNew = false) => {
+  const field = (name) => (isNew ? body(name) : body(name).optional());
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Sprint name must be between 1 and 100 characters'),
+
+    body('goal')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Sprint goal cannot exceed 500 characters'),
+
+    body('startDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Start date must be a valid date')
+      .toDate(),
+
+    body('endDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('End date must be a valid date')
+      .toDate()
+  ];
+};
+
+// Load a sprint and check the user's access to its project; `permission`
+// is required on top of membership when given
+const loadSprint = async (sprintId, user, permission = null) => {
+  const sprint = await Sprint.findById(sprintId);
+  if (!sprint) {
+    throw new AppError('Sprint not found', 404);
+  }
+
+  const project = await Project.findById(sprint.project);
+  if (!project) {
+    throw new AppError('Project not found', 404);
+  }
+
+  const isOwner = project.owner.toString() === user._id.toString();
+  const isMember = project.members.some(member => member.user.toString() === user._id.toString());
+
+  if (!isOwner && !isMember) {
+    throw new AppError('Access denied - not a project member', 403);
+  }
+
+  if (permission && !project.hasPermission(user._id, permission)) {
+    throw new AppError('Access denied - cannot manage sprints in this project', 403);
+  }
+
+  return { sprint, project };
+};
+
+const checkDates = (sprint) => {
+  if (sprint.startDate && sprint.endDate && sprint.endDate <= sprint.startDate) {
+    throw new AppError('Sprint end date must be after its start date', 400);
+  }
+};
+
+// @route   GET /api/sprints
+// @desc    Get a project's sprints
+// @access  Private (Project Member)
+router.get('/',
+  [
+    query('project')
+      .isMongoId()
+      .withMessage('Valid project ID is required'),
+
+    query('state')
+      .optional()
+      .isIn(Sprint.SPRINT_STATES)
+      .withMessage(`State must be one of: ${Sprint.SPRINT_STATES.join(', ')}`)
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const project = await Project.findById(req.query.project);
+    if (!project) {
+      throw new AppError('Project not found', 404);
+    }
+
+    const isOwner = project.owner.toString() === req.user._id.toString();
+    const isMember = project.members.some(member =>
+      member.user.toString() === req.user._id.toString()
+    );
+
+    if (!isOwner && !isMember) {
+      throw new AppError('Access denied - not a project member', 403);
+    }
+
+    const filter = { project: project._id };
+    if (req.query.state) {
+      filter.state = req.query.state;
+    }
+
+    const sprints = await Sprint.find(filter).sort({ startDate: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { sprints }
+    });
+  })
+);
+
+// @route   POST /api/sprints
+// @desc    Plan a new sprint
+// @access  Private (Project Member with Edit Project Permission)
+router.post('/',
+  [
+    body('project')
+      .isMongoId()
+      .withMessage('Valid project ID is required')
+  ],
+  sprintValidation(true),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { project: projectId, name, goal, startDate, endDate } = req.body;
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      throw new AppError('Project not found', 404);
+    }
+
+    if (!project.hasPermission(req.user._id, 'canEditProject')) {
+      throw new AppError('Access denied - cannot manage sprints in this project', 403);
+    }
+
+    const sprint = new Sprint({
+      project: project._id,
+      name,
+      goal,
+      startDate,
+      endDate,
+      createdBy: req.user._id
+    });
+    checkDates(sprint);
+    await sprint.save();
+
+    await emitProjectEvent(req.io, project._id, 'sprint_created', {
+      sprint,
+      createdBy: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Sprint created successfully',
+      data: { sprint }
+    });
+  })
+);
+
+// @route   GET /api/sprints/:id
+// @desc    Get a sprint with its tasks
+// @access  Private (Project Member)
+router.get('/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid sprint ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { sprint } = await loadSprint(req.params.id, req.user);
+
+    const tasks = await Task.find({ sprint: sprint._id })
+      .select('title status statusCategory taskType parent priority assignee dueDate estimatedHours position')
+      .populate('assignee', 'name email avatar')
+      .sort({ position: 1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { sprint, tasks }
+    });
+  })
+);
+
+// @route   PUT /api/sprints/:id
+// @desc    Update a sprint's name, goal or dates
+// @access  Private (Project Member with Edit Project Permission)
+router.put('/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid sprint ID')
+  ],
+  sprintValidation(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { sprint } = await loadSprint(req.params.id, req.user, 'canEditProject');
+
+    if (sprint.state === 'closed') {
+      throw new AppError('Closed sprints cannot be changed', 409);
+    }
+
+    ['name', 'goal', 'startDate', 'endDate'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        sprint[field] = req.body[field];
+      }
+    });
+
+    if (sprint.state === 'active' && (!sprint.startDate || !sprint.endDate)) {
+      throw new AppError('Active sprints need a start and end date', 400);
+    }
+    checkDates(sprint);
+    await sprint.save();
+
+    await emitProjectEvent(req.io, sprint.project, 'sprint_updated', {
+      sprint,
+      updatedBy: req.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Sprint updated successfully',
+      data: { sprint }
+    });
+  })
+);
+
+// @route   POST /api/sprints/:id/start
+// @desc    Start a planned sprint
+// @access  Private (Project Member with Edit Project Permission)
+router.post('/:id/start',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid sprint ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { sprint } = await loadSprint(req.params.id, req.user, 'canEditProject');
+
+    await startSprint(sprint, req.user);
+
+    await emitProjectEvent(req.io, sprint.project, 'sprint_started', {
+      sprint,
+      startedBy: req.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Sprint started',
+      data: { sprint }
+    });
+  })
+);
+
+// @route   POST /api/sprints/:id/close
+// @desc    Close the active sprint, rolling unfinished tasks over to the
+//          next planned sprint, a chosen one, or the backlog
+// @access  Private (Project Member with Edit Project Permission)
+router.post('/:id/close',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid sprint ID'),
+
+    body('rollOverTo')
+      .optional()
+      .custom(value => value === 'backlog' || /^[a-f\d]{24}$/i.test(value))
+      .withMessage('Roll over target must be a sprint ID or "backlog"')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { sprint } = await loadSprint(req.params.id, req.user, 'canEditProject');
+
+    const { rolledOverTo, rolledOverTasks } = await closeSprint(sprint, req.user, {
+      rollOverTo: req.body.rollOverTo
+    });
+
+    await emitProjectEvent(req.io, sprint.project, 'sprint_closed', {
+      sprint,
+      rolledOverTo,
+      rolledOverTasks,
+      closedBy: req.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Sprint closed',
+      data: { sprint, rolledOverTo, rolledOverTasks }
+    });
+  })
+);
+
+// @route   DELETE /api/sprints/:id
+// @desc    Delete a sprint that isn't running; its tasks go back to the backlog
+// @access  Private (Project Member with Edit Project Permission)
+router.delete('/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid sprint ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { sprint } = await loadSprint(req.params.id, req.user, 'canEditProject');
+
+    if (sprint.state === 'active') {
+      throw new AppError('Close the sprint before deleting it', 409);
+    }
+
+    await Task.updateMany({ sprint: sprint._id }, { $set: { sprint: null } });
+    await Sprint.updateMany({ rolledOverTo: sprint._id }, { $set: { rolledOverTo: null } });
+    await sprint.deleteOne();
+
+    await emitProjectEvent(req.io, sprint.project, 'sprint_deleted', {
+      sprintId: sprint._id,
+      deletedBy: req.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Sprint deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
@@ -1,14 +1,106 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, param, query } = require('express-validator');
 const Task = require('../models/Task');
 const Project = require('../models/Project');
 const Notification = require('../models/Notification');
+const TaskSeries = require('../models/TaskSeries');
+const WorkLog = require('../models/WorkLog');
+const Sprint = require('../models/Sprint');
 const { handleValidationErrors, catchAsync, AppError } = require('../middleware/errorHandler');
 const { requireProjectMember, requireProjectPermission } = require('../middleware/auth');
+const { attachmentUpload } = require('../middleware/upload');
+const { saveProjectAttachments, deleteProjectAttachments, sendAttachment } = require('../services/attachments');
+const { emitProjectEvent } = require('../services/realtime');
+const { getEndPosition, getMovePosition } = require('../services/taskOrdering');
+const { createSeries, updateSeries, handleTaskCompleted } = require('../services/recurrence');
+const { DEPENDENCY_TYPES, addDependency, removeDependency, getDependencyGraph } = require('../services/taskDependencies');
+const { getInitialStatus, checkTransition } = require('../services/workflows');
+const { resolveSprint } = require('../services/sprints');
+const { resolveParent, checkChildTypes, getTaskTree, convertSubtasks, detachChildren } = require('../services/taskHierarchy');
+const { normalizeCustomFieldValues, mergeCustomFieldValues, buildCustomFieldFilter, getCustomSortKey } = require('../services/customFields');
 
 const router = express.Router();
 
 // Validation rules
+// Recurrence rules are validated under `prefix`; when optional, only if present
+const recurrenceValidation = (prefix = '', optional = false) => {
+  const field = (name) => {
+    const chain = body(`${prefix}${name}`);
+    return optional ? chain.if(body(prefix.replace(/\.$/, '')).exists({ values: 'null' })) : chain;
+  };
+
+  return [
+    field('frequency')
+      .isIn(TaskSeries.RECURRENCE_FREQUENCIES)
+      .withMessage(`Frequency must be one of: ${TaskSeries.RECURRENCE_FREQUENCIES.join(', ')}`),
+
+    field('interval')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Interval must be between 1 and 365')
+      .toInt(),
+
+    field('daysOfWeek')
+      .optional()
+      .isArray({ min: 1, max: 7 })
+      .withMessage('Days of week must be a list of 1 to 7 days'),
+
+    field('daysOfWeek.*')
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)')
+      .toInt(),
+
+    field('dayOfMonth')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 31 })
+      .withMessage('Day of month must be between 1 and 31')
+      .toInt(),
+
+    field('until')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Until must be a valid date')
+      .toDate(),
+
+    field('maxOccurrences')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('Max occurrences must be between 1 and 1000')
+      .toInt()
+  ];
+};
+
+// Custom field values are checked against the definitions of the task's
+// project; a missing project or task is reported by the route itself
+const customFieldValidation = (isNew = false) => {
+  const chain = body('customFields');
+
+  return (isNew ? chain.default({}) : chain.optional())
+    .isObject()
+    .withMessage('Custom fields must be an object keyed by field key')
+    .bail()
+    .custom(async (values, { req }) => {
+      let projectId = req.body.project;
+      if (!isNew && mongoose.isValidObjectId(req.params.id)) {
+        const task = await Task.findById(req.params.id).select('project');
+        projectId = task && task.project;
+      }
+
+      if (!mongoose.isValidObjectId(projectId)) {
+        return true;
+      }
+
+      const project = await Project.findById(projectId).select('owner members customFields');
+      if (project) {
+        normalizeCustomFieldValues(project, values, { isNew });
+      }
+      return true;
+    });
+};
+
+const SORT_FIELDS = ['title', 'createdAt', 'updatedAt', 'dueDate', 'priority', 'status', 'position'];
+
 const createTaskValidation = [
   body('title')
     .trim()
@@ -54,7 +146,26 @@ const createTaskValidation = [
     .optional()
     .trim()
     .isLength({ max: 50 })
-    .withMessage('Each tag must be 50 characters or less')
+    .withMessage('Each tag must be 50 characters or less'),
+
+  body('sprint')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid sprint ID'),
+
+  body('taskType')
+    .optional()
+    .isIn(Task.TASK_TYPES)
+    .withMessage(`Task type must be one of: ${Task.TASK_TYPES.join(', ')}`),
+
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent task ID'),
+
+  ...recurrenceValidation('recurrence.', true),
+
+  customFieldValidation(true)
 ];
 
 const updateTaskValidation = [
@@ -75,10 +186,11 @@ const updateTaskValidation = [
     .isMongoId()
     .withMessage('Invalid assignee ID'),
   
+  // Checked against the project's workflow by the route
   body('status')
     .optional()
-    .isIn(['todo', 'in-progress', 'in-review', 'completed', 'cancelled'])
-    .withMessage('Status must be todo, in-progress, in-review, completed, or cancelled'),
+    .matches(Project.STATUS_KEY_PATTERN)
+    .withMessage('Status must be a workflow status key'),
   
   body('priority')
     .optional()
@@ -94,11 +206,43 @@ const updateTaskValidation = [
     .optional()
     .isInt({ min: 0, max: 100 })
     .withMessage('Progress must be between 0 and 100'),
+
+  body('sprint')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid sprint ID'),
+
+  body('taskType')
+    .optional()
+    .isIn(Task.TASK_TYPES)
+    .withMessage(`Task type must be one of: ${Task.TASK_TYPES.join(', ')}`),
+
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent task ID'),
   
-  body('actualHours')
+  body('force')
     .optional()
-    .isFloat({ min: 0 })
-    .withMessage('Actual hours must be a positive number')
+    .isBoolean()
+    .withMessage('Force must be a boolean')
+    .toBoolean(),
+
+  customFieldValidation()
+];
+
+const dependencyValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid task ID'),
+
+  body('task')
+    .isMongoId()
+    .withMessage('Valid dependency task ID is required'),
+
+  body('type')
+    .isIn(DEPENDENCY_TYPES)
+    .withMessage(`Dependency type must be one of: ${DEPENDENCY_TYPES.join(', ')}`)
 ];
 
 const commentValidation = [
@@ -135,8 +279,28 @@ router.get('/',
     
     query('status')
       .optional()
-      .isIn(['todo', 'in-progress', 'in-review', 'completed', 'cancelled'])
+      .matches(Project.STATUS_KEY_PATTERN)
       .withMessage('Invalid status filter'),
+
+    query('sprint')
+      .optional()
+      .custom(value => value === 'none' || /^[a-f\d]{24}$/i.test(value))
+      .withMessage('Sprint filter must be a sprint ID or "none"'),
+
+    query('parent')
+      .optional()
+      .custom(value => value === 'none' || /^[a-f\d]{24}$/i.test(value))
+      .withMessage('Parent filter must be a task ID or "none"'),
+
+    query('taskType')
+      .optional()
+      .isIn(Task.TASK_TYPES)
+      .withMessage(`Task type must be one of: ${Task.TASK_TYPES.join(', ')}`),
+
+    query('statusCategory')
+      .optional()
+      .isIn(Project.STATUS_CATEGORIES)
+      .withMessage(`Status category must be one of: ${Project.STATUS_CATEGORIES.join(', ')}`),
     
     query('priority')
       .optional()
@@ -163,9 +327,14 @@ router.get('/',
       .isLength({ min: 2 })
       .withMessage('Search query must be at least 2 characters'),
     
+    query('customFields')
+      .optional()
+      .isObject()
+      .withMessage('Custom field filters must be keyed by field key'),
+
     query('sortBy')
       .optional()
-      .isIn(['title', 'createdAt', 'updatedAt', 'dueDate', 'priority', 'status'])
+      .custom(value => SORT_FIELDS.includes(value) || /^customFields\.[a-z][a-z0-9_]{0,39}$/.test(value))
       .withMessage('Invalid sort field'),
     
     query('sortOrder')
@@ -189,11 +358,16 @@ router.get('/',
       project,
       assignee,
       status,
+      statusCategory,
+      sprint,
+      parent,
+      taskType,
       priority,
       overdue,
       dueDateFrom,
       dueDateTo,
       search,
+      customFields,
       sortBy = 'createdAt',
       sortOrder = 'desc',
       page = 1,
@@ -202,10 +376,11 @@ router.get('/',
 
     // Build query
     const query = {};
+    let projectDoc = null;
     
     // If project filter is provided, check if user is a member
     if (project) {
-      const projectDoc = await Project.findById(project);
+      projectDoc = await Project.findById(project);
       if (!projectDoc) {
         throw new AppError('Project not found', 404);
       }
@@ -235,6 +410,10 @@ router.get('/',
     // Apply filters
     if (assignee) query.assignee = assignee;
     if (status) query.status = status;
+    if (statusCategory) query.statusCategory = statusCategory;
+    if (sprint) query.sprint = sprint === 'none' ? null : sprint;
+    if (parent) query.parent = parent === 'none' ? null : parent;
+    if (taskType) query.taskType = taskType;
     if (priority) query.priority = priority;
     
     // Date filters
@@ -247,7 +426,7 @@ router.get('/',
     // Overdue filter
     if (overdue === 'true') {
       query.dueDate = { $lt: new Date() };
-      query.status = { $nin: ['completed', 'cancelled'] };
+      query.statusCategory = { $nin: Task.CLOSED_CATEGORIES };
     }
     
     // Search filter
@@ -258,6 +437,19 @@ router.get('/',
       ];
     }
 
+    // Custom fields are defined per project, so filtering needs one
+    if (customFields) {
+      if (!projectDoc) {
+        throw new AppError('Filtering by custom fields requires a project', 400);
+      }
+      Object.assign(query, buildCustomFieldFilter(projectDoc, customFields));
+    }
+
+    const customSortKey = getCustomSortKey(sortBy);
+    if (customSortKey && projectDoc && !projectDoc.getCustomField(customSortKey)) {
+      throw new AppError(`Unknown custom field: ${customSortKey}`, 400);
+    }
+
     // Build sort
     const sort = {};
     sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
@@ -297,7 +489,7 @@ router.post('/',
   createTaskValidation,
   handleValidationErrors,
   catchAsync(async (req, res) => {
-    const { project: projectId, assignee, title, description, dueDate, priority, estimatedHours, tags } = req.body;
+    const { project: projectId, assignee, title, description, dueDate, priority, estimatedHours, tags, recurrence, customFields, sprint, taskType = 'task', parent } = req.body;
 
     // Check if user is project member with create permission
     const project = await Project.findById(projectId);
@@ -322,6 +514,10 @@ router.post('/',
       }
     }
 
+    const initialStatus = getInitialStatus(project);
+    const plannedSprint = await resolveSprint(project._id, sprint);
+    const parentTask = await resolveParent(project._id, parent, taskType);
+
     const task = new Task({
       title,
       description,
@@ -331,7 +527,14 @@ router.post('/',
       dueDate,
       priority,
       estimatedHours,
-      tags
+      tags,
+      customFields: mergeCustomFieldValues({}, normalizeCustomFieldValues(project, customFields, { isNew: true })) || {},
+      status: initialStatus.key,
+      statusCategory: initialStatus.category,
+      sprint: plannedSprint ? plannedSprint._id : null,
+      taskType,
+      parent: parentTask ? parentTask._id : null,
+      position: await getEndPosition(projectId, initialStatus.key)
     });
 
     // Add initial activity log
@@ -339,11 +542,17 @@ router.post('/',
 
     await task.save();
 
+    // Make the task the first occurrence of a recurring series
+    if (recurrence) {
+      await createSeries(task, recurrence, req.user._id);
+    }
+
     // Populate the response
     await task.populate([
       { path: 'assignee', select: 'name email avatar' },
       { path: 'creator', select: 'name email avatar' },
-      { path: 'project', select: 'name color' }
+      { path: 'project', select: 'name color' },
+      { path: 'series' }
     ]);
 
     // Create notification for assignee if different from creator
@@ -385,7 +594,7 @@ router.post('/',
     }
 
     // Emit real-time event
-    req.io.to(`project_${projectId}`).emit('task_created', {
+    await emitProjectEvent(req.io, projectId, 'task_created', {
       task,
       createdBy: req.user
     });
@@ -416,7 +625,8 @@ router.get('/:id',
       .populate('comments.author', 'name email avatar')
       .populate('watchers', 'name email avatar')
       .populate('dependencies.task', 'title status')
-      .populate('attachments.uploadedBy', 'name email avatar');
+      .populate('attachments.uploadedBy', 'name email avatar')
+      .populate('series');
 
     if (!task) {
       throw new AppError('Task not found', 404);
@@ -433,9 +643,12 @@ router.get('/:id',
       throw new AppError('Access denied - not a project member', 403);
     }
 
+    const dependencyGraph = await getDependencyGraph(task);
+    const tree = await getTaskTree(task);
+
     res.json({
       success: true,
-      data: { task }
+      data: { task, dependencyGraph, tree }
     });
   })
 );
@@ -468,9 +681,43 @@ router.put('/:id',
       throw new AppError('Access denied - cannot edit tasks in this project', 403);
     }
 
-    const updateData = req.body;
+    // Dependencies are kept symmetric through the dependency endpoints and
+    // recurrence is managed through the recurrence endpoints
+    const { force, dependencies, series, recurrence, actualHours, customFields, statusCategory, ...updateData } = req.body;
     const oldValues = {};
 
+    // Tasks can only be planned into their project's open sprints
+    if (updateData.sprint !== undefined) {
+      const plannedSprint = await resolveSprint(project._id, updateData.sprint);
+      updateData.sprint = plannedSprint ? plannedSprint._id : null;
+    }
+
+    // The task must still fit under its parent, and its children under it
+    if (updateData.taskType !== undefined || updateData.parent !== undefined) {
+      const taskType = updateData.taskType || task.taskType;
+      const parentId = updateData.parent !== undefined ? updateData.parent : task.parent;
+
+      if (parentId && parentId.toString() === task._id.toString()) {
+        throw new AppError('A task cannot be its own parent', 400);
+      }
+
+      const parentTask = await resolveParent(project._id, parentId, taskType);
+      if (updateData.parent !== undefined) {
+        updateData.parent = parentTask ? parentTask._id : null;
+      }
+      if (taskType !== task.taskType) {
+        await checkChildTypes(task, taskType);
+      }
+    }
+
+    // Custom field values are merged into the task's existing ones
+    if (customFields) {
+      const merged = mergeCustomFieldValues(task.customFields, normalizeCustomFieldValues(project, customFields));
+      if (merged) {
+        updateData.customFields = merged;
+      }
+    }
+
     // Track changes for activity log
     const changedFields = [];
     
@@ -499,8 +746,15 @@ router.put('/:id',
     }
 
     // Special handling for status change
+    let nextOccurrence = null;
     if (updateData.status && updateData.status !== task.status) {
-      await task.updateStatus(updateData.status, req.user._id);
+      const wasDone = task.statusCategory === 'done';
+      const { status: target } = await checkTransition(task, project, updateData.status, { force });
+      task.position = await getEndPosition(project._id, target.key);
+      await task.updateStatus(target.key, req.user._id, null, target.category);
+      if (target.category === 'done' && !wasDone) {
+        nextOccurrence = await handleTaskCompleted(req.io, task, req.user);
+      }
       delete updateData.status; // Remove from updateData as it's already handled
     }
 
@@ -555,7 +809,7 @@ router.put('/:id',
     }
 
     // Emit real-time event
-    req.io.to(`project_${task.project._id}`).emit('task_updated', {
+    await emitProjectEvent(req.io, task.project._id, 'task_updated', {
       task,
       updatedBy: req.user,
       changes: changedFields
@@ -564,7 +818,7 @@ router.put('/:id',
     res.json({
       success: true,
       message: 'Task updated successfully',
-      data: { task }
+      data: { task, nextOccurrence }
     });
   })
 );
@@ -602,10 +856,23 @@ router.delete('/:id',
       { $pull: { dependencies: { task: task._id } } }
     );
 
-    await task.deleteOne();
+    await Promise.all([
+      task.deleteOne(),
+      WorkLog.deleteMany({ task: task._id })
+    ]);
+
+    if (task.sprint) {
+      await Sprint.refreshProgress([task.sprint]);
+    }
+
+    // Child tasks move to the top level
+    await detachChildren(task);
+
+    // Free the task's uploaded files and their share of the project quota
+    await deleteProjectAttachments(project._id, task.attachments);
 
     // Emit real-time event
-    req.io.to(`project_${project._id}`).emit('task_deleted', {
+    await emitProjectEvent(req.io, project._id, 'task_deleted', {
       taskId: task._id,
       deletedBy: req.user
     });
@@ -700,7 +967,7 @@ router.post('/:id/comments',
     }
 
     // Emit real-time event
-    req.io.to(`project_${task.project._id}`).emit('task_comment_added', {
+    await emitProjectEvent(req.io, task.project._id, 'task_comment_added', {
       taskId: task._id,
       comment: newComment,
       author: req.user
@@ -727,12 +994,18 @@ router.put('/:id/status',
       .withMessage('Invalid task ID'),
     
     body('status')
-      .isIn(['todo', 'in-progress', 'in-review', 'completed', 'cancelled'])
-      .withMessage('Status must be todo, in-progress, in-review, completed, or cancelled')
+      .matches(Project.STATUS_KEY_PATTERN)
+      .withMessage('Status must be a workflow status key'),
+
+    body('force')
+      .optional()
+      .isBoolean()
+      .withMessage('Force must be a boolean')
+      .toBoolean()
   ],
   handleValidationErrors,
   catchAsync(async (req, res) => {
-    const { status } = req.body;
+    const { status, force } = req.body;
     
     const task = await Task.findById(req.params.id).populate('project');
     
@@ -754,9 +1027,29 @@ router.put('/:id/status',
     }
 
     const oldStatus = task.status;
+    const wasDone = task.statusCategory === 'done';
+
+    // The workflow decides which moves are allowed; completing a task with
+    // open blockers needs force, and the blockers are still reported back
+    // so the client can warn about them
+    const { status: target, openBlockers } = await checkTransition(task, project, status, { force });
+    const isClosing = target.category === 'done' && !wasDone;
     
+    // Status changes outside the board land at the bottom of the new column
+    if (status !== oldStatus) {
+      task.position = await getEndPosition(project._id, status);
+    }
+
     // Update status using model method
-    await task.updateStatus(status, req.user._id);
+    const description = openBlockers.length > 0
+      ? `Status changed from ${oldStatus} to ${status} with ${openBlockers.length} open blocker(s)`
+      : null;
+    await task.updateStatus(status, req.user._id, description, target.category);
+
+    // Recurring tasks roll over to their next occurrence
+    const nextOccurrence = isClosing
+      ? await handleTaskCompleted(req.io, task, req.user)
+      : null;
 
     // Populate for response
     await task.populate([
@@ -779,16 +1072,16 @@ router.put('/:id/status',
     });
 
     // Special notification for task completion
-    if (status === 'completed') {
+    if (isClosing) {
       const notificationType = 'task_completed';
-      const message = `${req.user.name} completed task "${task.title}"`;
+      const message = `${req.user.name} moved task "${task.title}" to ${target.name}`;
       
       for (const userId of [...new Set(notifyUsers)]) {
         await Notification.createNotification({
           recipient: userId,
           sender: req.user._id,
           type: notificationType,
-          title: 'Task Completed',
+          title: `Task ${target.name}`,
           message,
           data: { 
             project: task.project._id, 
@@ -799,10 +1092,11 @@ router.put('/:id/status',
     }
 
     // Emit real-time event
-    req.io.to(`project_${task.project._id}`).emit('task_status_updated', {
+    await emitProjectEvent(req.io, task.project._id, 'task_status_updated', {
       taskId: task._id,
       oldStatus,
       newStatus: status,
+      statusCategory: target.category,
       updatedBy: req.user
     });
 
@@ -814,7 +1108,9 @@ router.put('/:id/status',
           _id: task._id,
           status: task.status,
           completedAt: task.completedAt
-        }
+        },
+        openBlockers,
+        nextOccurrence
       }
     });
   })
@@ -861,7 +1157,7 @@ router.post('/:id/subtasks',
     const newSubtask = task.subtasks[task.subtasks.length - 1];
 
     // Emit real-time event
-    req.io.to(`project_${task.project._id}`).emit('subtask_added', {
+    await emitProjectEvent(req.io, task.project._id, 'subtask_added', {
       taskId: task._id,
       subtask: newSubtask,
       addedBy: req.user
@@ -916,7 +1212,7 @@ router.put('/:id/subtasks/:subtaskId/toggle',
     const updatedSubtask = task.subtasks.id(req.params.subtaskId);
 
     // Emit real-time event
-    req.io.to(`project_${task.project._id}`).emit('subtask_toggled', {
+    await emitProjectEvent(req.io, task.project._id, 'subtask_toggled', {
       taskId: task._id,
       subtaskId: req.params.subtaskId,
       completed: updatedSubtask.completed,
@@ -934,6 +1230,63 @@ router.put('/:id/subtasks/:subtaskId/toggle',
   })
 );
 
+// @route   POST /api/tasks/:id/subtasks/convert
+// @desc    Convert checklist subtasks into child tasks (all of them unless subtaskIds is given)
+// @access  Private (Project Member with Edit Permission)
+router.post('/:id/subtasks/convert',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid task ID'),
+
+    body('subtaskIds')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Subtask IDs must be a non-empty array'),
+
+    body('subtaskIds.*')
+      .isMongoId()
+      .withMessage('Invalid subtask ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const task = await Task.findById(req.params.id).populate('project');
+
+    if (!task) {
+      throw new AppError('Task not found', 404);
+    }
+
+    // Check permissions
+    const project = task.project;
+    const isOwner = project.owner.toString() === req.user._id.toString();
+    const member = project.members.find(m => m.user.toString() === req.user._id.toString());
+
+    if (!isOwner && (!member || !member.permissions.canEditTasks)) {
+      throw new AppError('Access denied - cannot edit tasks in this project', 403);
+    }
+
+    const { children, rollup } = await convertSubtasks(task, project, req.user, req.body.subtaskIds);
+
+    // Emit real-time event
+    await emitProjectEvent(req.io, project._id, 'subtasks_converted', {
+      taskId: task._id,
+      children,
+      rollup,
+      convertedBy: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${children.length} subtask(s) converted into tasks`,
+      data: {
+        taskId: task._id,
+        children,
+        rollup
+      }
+    });
+  })
+);
+
 // @route   POST /api/tasks/:id/watch
 // @desc    Watch/Unwatch task
 // @access  Private (Project Member)
@@ -981,6 +1334,312 @@ router.post('/:id/watch',
   })
 );
 
+// @route   PUT /api/tasks/:id/move
+// @desc    Move a task on the kanban board, between two neighbours and
+//          optionally into another status column
+// @access  Private (Project Member)
+router.put('/:id/move',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid task ID'),
+
+    body('status')
+      .optional()
+      .matches(Project.STATUS_KEY_PATTERN)
+      .withMessage('Status must be a workflow status key'),
+
+    body('previousTaskId')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid previous task ID'),
+
+    body('nextTaskId')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid next task ID'),
+
+    body('force')
+      .optional()
+      .isBoolean()
+      .withMessage('Force must be a boolean')
+      .toBoolean()
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { previousTaskId, nextTaskId, force } = req.body;
+
+    const task = await Task.findById(req.params.id).populate('project');
+
+    if (!task) {
+      throw new AppError('Task not found', 404);
+    }
+
+    const project = task.project;
+
+    // Check permissions
+    const isOwner = project.owner.toString() === req.user._id.toString();
+    const isMember = project.members.some(member =>
+      member.user.toString() === req.user._id.toString()
+    );
+
+    if (!isOwner && !isMember) {
+      throw new AppError('Access denied - not a project member', 403);
+    }
+
+    const oldStatus = task.status;
+    const status = req.body.status || oldStatus;
+    const wasDone = task.statusCategory === 'done';
+
+    const { status: target, openBlockers } = await checkTransition(task, project, status, { force });
+
+    const { position, rebalanced } = await getMovePosition(task, status, { previousTaskId, nextTaskId });
+    task.position = position;
+
+    let nextOccurrence = null;
+    if (status !== oldStatus) {
+      await task.updateStatus(status, req.user._id, null, target.category);
+
+      if (target.category === 'done' && !wasDone) {
+        nextOccurrence = await handleTaskCompleted(req.io, task, req.user);
+      }
+    } else {
+      await task.save();
+    }
+
+    // Emit real-time event
+    await emitProjectEvent(req.io, project._id, 'task_moved', {
+      taskId: task._id,
+      oldStatus,
+      status,
+      position,
+      rebalanced,
+      movedBy: req.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Task moved successfully',
+      data: {
+        task: {
+          _id: task._id,
+          status: task.status,
+          statusCategory: task.statusCategory,
+          position: task.position,
+          completedAt: task.completedAt
+        },
+        rebalanced,
+        openBlockers,
+        nextOccurrence
+      }
+    });
+  })
+);
+
+// @route   PUT /api/tasks/:id/recurrence
+// @desc    Make a task recurring, or change the rule of its series
+// @access  Private (Project Member with Edit Permission)
+router.put('/:id/recurrence',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid task ID')
+  ],
+  recurrenceValidation(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const task = await Task.findById(req.params.id).populate('project');
+
+    if (!task) {
+      throw new AppError('Task not found', 404);
+    }
+
+    const project = task.project;
+
+    // Check permissions
+    const isOwner = project.owner.toString() === req.user._id.toString();
+    const member = project.members.find(m => m.user.toString() === req.user._id.toString());
+
+    if (!isOwner && (!member || !member.permissions.canEditTasks)) {
+      throw new AppError('Access denied - cannot edit tasks in this project', 403);
+    }
+
+    const existing = task.series ? await TaskSeries.findById(task.series) : null;
+    let series;
+
+    if (existing && existing.isActive) {
+      series = await updateSeries(existing, req.body);
+    } else {
+      // Stopped series aren't restarted; the task starts a new one
+      series = await createSeries(task, req.body, req.user._id);
+    }
+
+    // Emit real-time event
+    await emitProjectEvent(req.io, project._id, 'task_recurrence_updated', {
+      taskId: task._id,
+      series,
+      updatedBy: req.user
+    });
+
+    res.json({
+      success: true,
+      message: existing && existing.isActive ? 'Recurrence updated successfully' : 'Task is now recurring',
+      data: { series }
+    });
+  })
+);
+
+// @route   DELETE /api/tasks/:id/recurrence
+// @desc    Stop a task's series; existing occurrences are kept
+// @access  Private (Project Member with Edit Permission)
+router.delete('/:id/recurrence',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid task ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const task = await Task.findById(req.params.id).populate('project');
+
+    if (!task) {
+      throw new AppError('Task not found', 404);
+    }
+
+    const project = task.project;
+
+    // Check permissions
+    const isOwner = project.owner.toString() === req.user._id.toString();
+    const member = project.members.find(m => m.user.toString() === req.user._id.toString());
+
+    if (!isOwner && (!member || !member.permissions.canEditTasks)) {
+      throw new AppError('Access denied - cannot edit tasks in this project', 403);
+    }
+
+    const series = task.series ? await TaskSeries.findById(task.series) : null;
+    if (!series || !series.isActive) {
+      throw new AppError('Task is not recurring', 404);
+    }
+
+    await series.stop(req.user._id);
+
+    // Emit real-time event
+    await emitProjectEvent(req.io, project._id, 'task_recurrence_updated', {
+      taskId: task._id,
+      series,
+      updatedBy: req.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Recurrence stopped successfully',
+      data: { series }
+    });
+  })
+);
+
+// @route   POST /api/tasks/:id/dependencies
+// @desc    Link a task to another task in the same project
+// @access  Private (Project Member with Edit Permission)
+router.post('/:id/dependencies',
+  dependencyValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const task = await Task.findById(req.params.id).populate('project');
+
+    if (!task) {
+      throw new AppError('Task not found', 404);
+    }
+
+    const project = task.project;
+
+    // Check permissions
+    const isOwner = project.owner.toString() === req.user._id.toString();
+    const member = project.members.find(m => m.user.toString() === req.user._id.toString());
+
+    if (!isOwner && (!member || !member.permissions.canEditTasks)) {
+      throw new AppError('Access denied - cannot edit tasks in this project', 403);
+    }
+
+    const otherTask = await Task.findById(req.body.task);
+    if (!otherTask) {
+      throw new AppError('Dependency task not found', 404);
+    }
+
+    await addDependency(task, otherTask, req.body.type, req.user._id);
+
+    const dependencyGraph = await getDependencyGraph(
+      await Task.findById(task._id).populate('dependencies.task', 'title status')
+    );
+
+    // Emit real-time event
+    await emitProjectEvent(req.io, project._id, 'task_dependencies_updated', {
+      taskIds: [task._id, otherTask._id],
+      updatedBy: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dependency added successfully',
+      data: { dependencyGraph }
+    });
+  })
+);
+
+// @route   DELETE /api/tasks/:id/dependencies/:dependencyId
+// @desc    Remove the link between two tasks
+// @access  Private (Project Member with Edit Permission)
+router.delete('/:id/dependencies/:dependencyId',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid task ID'),
+
+    param('dependencyId')
+      .isMongoId()
+      .withMessage('Invalid dependency task ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const task = await Task.findById(req.params.id).populate('project');
+
+    if (!task) {
+      throw new AppError('Task not found', 404);
+    }
+
+    const project = task.project;
+
+    // Check permissions
+    const isOwner = project.owner.toString() === req.user._id.toString();
+    const member = project.members.find(m => m.user.toString() === req.user._id.toString());
+
+    if (!isOwner && (!member || !member.permissions.canEditTasks)) {
+      throw new AppError('Access denied - cannot edit tasks in this project', 403);
+    }
+
+    const removed = await removeDependency(task, req.params.dependencyId, req.user._id);
+    if (!removed) {
+      throw new AppError('Dependency not found', 404);
+    }
+
+    const dependencyGraph = await getDependencyGraph(
+      await Task.findById(task._id).populate('dependencies.task', 'title status')
+    );
+
+    // Emit real-time event
+    await emitProjectEvent(req.io, project._id, 'task_dependencies_updated', {
+      taskIds: [task._id, req.params.dependencyId],
+      updatedBy: req.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Dependency removed successfully',
+      data: { dependencyGraph }
+    });
+  })
+);
+
 // @route   GET /api/tasks/overdue
 // @desc    Get overdue tasks for user
 // @access  Private
@@ -997,7 +1656,7 @@ router.get('/overdue',
     const overdueTasks = await Task.find({
       project: { $in: userProjects.map(p => p._id) },
       assignee: req.user._id,
-      status: { $nin: ['completed', 'cancelled'] },
+      statusCategory: { $nin: Task.CLOSED_CATEGORIES },
       dueDate: { $lt: new Date() }
     })
       .populate('project', 'name color')
@@ -1011,4 +1670,178 @@ router.get('/overdue',
   })
 );
 
+// @route   POST /api/tasks/:id/attachments
+// @desc    Upload attachments to a task (multipart field "files")
+// @access  Private (Project Member with Edit Permission)
+router.post('/:id/attachments',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid task ID')
+  ],
+  handleValidationErrors,
+  // Check the task and permission before buffering any upload in memory
+  catchAsync(async (req, res, next) => {
+    const task = await Task.findById(req.params.id).populate('project');
+
+    if (!task) {
+      throw new AppError('Task not found', 404);
+    }
+
+    // Check permissions
+    if (!task.project.hasPermission(req.user._id, 'canEditTasks')) {
+      throw new AppError('Access denied - cannot edit tasks in this project', 403);
+    }
+
+    req.task = task;
+    next();
+  }),
+  attachmentUpload,
+  catchAsync(async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+      throw new AppError('At least one file is required', 400);
+    }
+
+    const task = req.task;
+    const project = task.project;
+
+    const stored = await saveProjectAttachments(project._id, req.files);
+    let added = 0;
+
+    // Add attachments using model method
+    try {
+      for (const file of stored) {
+        const attachmentId = new mongoose.Types.ObjectId();
+
+        await task.addAttachment(
+          file.name,
+          `/api/tasks/${task._id}/attachments/${attachmentId}/download`,
+          file.size,
+          file.type,
+          req.user._id,
+          { _id: attachmentId, key: file.key }
+        );
+        added += 1;
+      }
+    } catch (error) {
+      // Give back the files that never made it onto the task, and their quota
+      await deleteProjectAttachments(project._id, stored.slice(added));
+      throw error;
+    }
+
+    const newAttachments = task.attachments.slice(-stored.length);
+
+    // Emit real-time event
+    await emitProjectEvent(req.io, project._id, 'task_attachments_added', {
+      taskId: task._id,
+      attachments: newAttachments,
+      uploadedBy: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachments uploaded successfully',
+      data: {
+        attachments: newAttachments,
+        taskId: task._id
+      }
+    });
+  })
+);
+
+// @route   GET /api/tasks/:id/attachments/:attachmentId/download
+// @desc    Download a task attachment
+// @access  Private (Project Member)
+router.get('/:id/attachments/:attachmentId/download',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid task ID'),
+
+    param('attachmentId')
+      .isMongoId()
+      .withMessage('Invalid attachment ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const task = await Task.findById(req.params.id).populate('project', 'members owner');
+
+    if (!task) {
+      throw new AppError('Task not found', 404);
+    }
+
+    // Check if user is project member
+    const project = task.project;
+    const isOwner = project.owner.toString() === req.user._id.toString();
+    const isMember = project.members.some(member =>
+      member.user.toString() === req.user._id.toString()
+    );
+
+    if (!isOwner && !isMember) {
+      throw new AppError('Access denied - not a project member', 403);
+    }
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+
+    if (!attachment || !(await sendAttachment(res, attachment))) {
+      throw new AppError('Attachment not found', 404);
+    }
+  })
+);
+
+// @route   DELETE /api/tasks/:id/attachments/:attachmentId
+// @desc    Delete a task attachment
+// @access  Private (Uploader or Project Member with Delete Permission)
+router.delete('/:id/attachments/:attachmentId',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid task ID'),
+
+    param('attachmentId')
+      .isMongoId()
+      .withMessage('Invalid attachment ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const task = await Task.findById(req.params.id).populate('project');
+
+    if (!task) {
+      throw new AppError('Task not found', 404);
+    }
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      throw new AppError('Attachment not found', 404);
+    }
+
+    const project = task.project;
+    const isUploader = attachment.uploadedBy.toString() === req.user._id.toString();
+
+    if (!(isUploader && project.hasPermission(req.user._id, 'canEditTasks')) &&
+        !project.hasPermission(req.user._id, 'canDeleteTasks')) {
+      throw new AppError('Access denied - cannot delete this attachment', 403);
+    }
+
+    task.attachments.pull(attachment._id);
+    task.addActivity('updated', req.user._id, `Removed attachment ${attachment.name}`, attachment.name, null);
+    await task.save();
+
+    await deleteProjectAttachments(project._id, [attachment]);
+
+    // Emit real-time event
+    await emitProjectEvent(req.io, project._id, 'task_attachment_deleted', {
+      taskId: task._id,
+      attachmentId: attachment._id,
+      deletedBy: req.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  })
+);
+
 module.exports = router;
\ No newline at end of file
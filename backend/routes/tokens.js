@@ -0,0 +1,118 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const ApiToken = require('../models/ApiToken');
+const { handleValidationErrors, catchAsync, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+const MAX_TOKENS_PER_USER = 50;
+
+// Validation rules
+const createTokenValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name must be between 1 and 100 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+
+  body('scopes.*')
+    .isIn(ApiToken.API_TOKEN_SCOPES)
+    .withMessage(`Scopes must be one of: ${ApiToken.API_TOKEN_SCOPES.join(', ')}`),
+
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+    .toInt()
+];
+
+// @route   GET /api/tokens
+// @desc    List the current user's personal API tokens
+// @access  Private (Session)
+router.get('/',
+  catchAsync(async (req, res) => {
+    const tokens = await ApiToken.find({
+      user: req.user._id,
+      revokedAt: null
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        tokens,
+        availableScopes: ApiToken.API_TOKEN_SCOPES
+      }
+    });
+  })
+);
+
+// @route   POST /api/tokens
+// @desc    Create a personal API token; the token is only shown once
+// @access  Private (Session)
+router.post('/',
+  createTokenValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const activeTokens = await ApiToken.countDocuments({ user: req.user._id, revokedAt: null });
+    if (activeTokens >= MAX_TOKENS_PER_USER) {
+      throw new AppError(`You can have at most ${MAX_TOKENS_PER_USER} API tokens`, 400);
+    }
+
+    const { token, tokenHash, prefix } = ApiToken.generate();
+
+    const apiToken = await ApiToken.create({
+      user: req.user._id,
+      name,
+      tokenHash,
+      prefix,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API token created. Copy it now - it will not be shown again.',
+      data: {
+        token: apiToken,
+        value: token
+      }
+    });
+  })
+);
+
+// @route   DELETE /api/tokens/:id
+// @desc    Revoke a personal API token
+// @access  Private (Session)
+router.delete('/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid token ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const apiToken = await ApiToken.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!apiToken) {
+      throw new AppError('API token not found', 404);
+    }
+
+    await apiToken.revoke();
+
+    res.json({
+      success: true,
+      message: 'API token revoked successfully'
+    });
+  })
+);
+
+module.exports = router;
@@ -1,26 +1,522 @@
 const express = require('express');
+const { body, param, query } = require('express-validator');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const { handleValidationErrors, catchAsync, AppError } = require('../middleware/errorHandler');
+const { requireAdmin } = require('../middleware/auth');
+const { avatarUpload } = require('../middleware/upload');
+const { processAvatar, removeAvatar } = require('../services/avatar');
+const { endAllSessions } = require('../services/sessions');
+const { unlockAccount } = require('../services/loginSecurity');
+
 const router = express.Router();
 
-// Placeholder for user controllers
-const userController = {
-  getAllUsers: (req, res) => {
-    res.status(200).json({ message: 'Get all users' });
-  },
-  getUserById: (req, res) => {
-    res.status(200).json({ message: `Get user by ID: ${req.params.id}` });
-  },
-  updateUser: (req, res) => {
-    res.status(200).json({ message: `Update user by ID: ${req.params.id}` });
-  },
-  deleteUser: (req, res) => {
-    res.status(200).json({ message: `Delete user by ID: ${req.params.id}` });
-  },
+// Validation rules
+const updateProfileValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+
+  body('avatar')
+    .optional({ nullable: true })
+    .isURL({ require_tld: false })
+    .withMessage('Avatar must be a valid URL'),
+
+  body('preferences.theme')
+    .optional()
+    .isIn(['light', 'dark', 'system'])
+    .withMessage('Theme must be light, dark, or system'),
+
+  body('preferences.language')
+    .optional()
+    .matches(/^[a-z]{2}(-[A-Z]{2})?$/)
+    .withMessage('Language must be a valid language code'),
+
+  body('preferences.notifications.*')
+    .optional()
+    .isBoolean()
+    .withMessage('Notification preferences must be boolean')
+];
+
+const NOTIFICATION_PREFERENCES = ['email', 'push', 'taskAssigned', 'taskDue', 'projectUpdates'];
+
+// Get the projects a user owns or belongs to
+const getUserProjects = (userId, select = '_id owner members.user') => {
+  return Project.find({
+    $or: [
+      { owner: userId },
+      { 'members.user': userId }
+    ]
+  }).select(select);
 };
 
-// User routes
-router.get('/', userController.getAllUsers);
-router.get('/:id', userController.getUserById);
-router.put('/:id', userController.updateUser);
-router.delete('/:id', userController.deleteUser);
+// Get the IDs of everyone who shares at least one project with the user
+const getCollaboratorIds = async (userId, projectId = null) => {
+  let projects = await getUserProjects(userId);
+
+  if (projectId) {
+    projects = projects.filter(project => project._id.toString() === projectId);
+
+    if (projects.length === 0) {
+      throw new AppError('Access denied - not a project member', 403);
+    }
+  }
+
+  const ids = new Set();
+  projects.forEach(project => {
+    ids.add(project.owner.toString());
+    project.members.forEach(member => ids.add(member.user.toString()));
+  });
+
+  return [...ids];
+};
+
+// Escape regex characters so searches like "a.b" match literally
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @route   GET /api/users
+// @desc    Get all users
+// @access  Private (Admin)
+router.get('/',
+  requireAdmin,
+  [
+    query('search')
+      .optional()
+      .isString()
+      .isLength({ min: 2 })
+      .withMessage('Search query must be at least 2 characters'),
+
+    query('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive filter must be boolean'),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { search, isActive, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const users = await User.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalUsers: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+  })
+);
+
+// @route   GET /api/users/search
+// @desc    Search users who share a project with the current user
+// @access  Private
+router.get('/search',
+  [
+    query('q')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Search query must be between 1 and 100 characters'),
+
+    query('project')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid project ID'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { q, project, limit = 10 } = req.query;
+
+    const collaboratorIds = await getCollaboratorIds(req.user._id, project);
+
+    const query = {
+      _id: { $in: collaboratorIds },
+      isActive: true
+    };
+
+    if (q) {
+      const pattern = escapeRegex(q);
+      query.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const users = await User.find(query)
+      .select('name email avatar')
+      .sort({ name: 1 })
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: { users }
+    });
+  })
+);
+
+// @route   PUT /api/users/me
+// @desc    Update current user's profile and preferences
+// @access  Private
+router.put('/me',
+  updateProfileValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { name, avatar, preferences = {} } = req.body;
+
+    const user = await User.findById(req.user._id);
+
+    if (name !== undefined) user.name = name;
+
+    // An externally hosted avatar replaces any uploaded one
+    if (avatar !== undefined && avatar !== user.avatar) {
+      await removeAvatar(user.avatarVariants);
+      user.avatarVariants = [];
+      user.avatar = avatar;
+    }
+
+    if (preferences.theme !== undefined) user.preferences.theme = preferences.theme;
+    if (preferences.language !== undefined) user.preferences.language = preferences.language;
+
+    if (preferences.notifications) {
+      NOTIFICATION_PREFERENCES.forEach(key => {
+        if (preferences.notifications[key] !== undefined) {
+          user.preferences.notifications[key] = preferences.notifications[key];
+        }
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: { user }
+    });
+  })
+);
+
+// @route   POST /api/users/me/avatar
+// @desc    Upload a new avatar image
+// @access  Private
+router.post('/me/avatar',
+  avatarUpload,
+  catchAsync(async (req, res) => {
+    if (!req.file) {
+      throw new AppError('Avatar image is required', 400);
+    }
+
+    let variants;
+    try {
+      variants = await processAvatar(req.user._id, req.file.buffer);
+    } catch (error) {
+      // sharp rejects files whose content is not actually an image
+      throw new AppError('Uploaded file is not a valid image', 400);
+    }
+
+    const user = await User.findById(req.user._id);
+    const previousVariants = user.avatarVariants;
+
+    user.avatarVariants = variants;
+    user.avatar = variants.find(v => v.size === 'medium').url;
+    await user.save();
+
+    await removeAvatar(previousVariants);
+
+    res.json({
+      success: true,
+      message: 'Avatar uploaded successfully',
+      data: {
+        avatar: user.avatar,
+        variants: user.avatarVariants.map(({ size, url }) => ({ size, url }))
+      }
+    });
+  })
+);
+
+// @route   DELETE /api/users/me/avatar
+// @desc    Remove the current avatar and fall back to initials
+// @access  Private
+router.delete('/me/avatar',
+  catchAsync(async (req, res) => {
+    const user = await User.findById(req.user._id);
+
+    await removeAvatar(user.avatarVariants);
+
+    user.avatarVariants = [];
+    user.avatar = null;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Avatar removed successfully',
+      data: { avatar: user.getAvatarUrl() }
+    });
+  })
+);
+
+// @route   GET /api/users/:id
+// @desc    Get a user's public profile
+// @access  Private
+router.get('/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid user ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user || (!user.isActive && req.user.role !== 'admin')) {
+      throw new AppError('User not found', 404);
+    }
+
+    // Only reveal projects both users can already see
+    const projects = await getUserProjects(req.user._id, 'name color owner members.user');
+    const sharedProjects = projects
+      .filter(project =>
+        project.owner.toString() === user._id.toString() ||
+        project.members.some(member => member.user.toString() === user._id.toString())
+      )
+      .map(project => ({ _id: project._id, name: project.name, color: project.color }));
+
+    const isSelf = user._id.toString() === req.user._id.toString();
+    const isCollaborator = sharedProjects.length > 0;
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          _id: user._id,
+          name: user.name,
+          avatar: user.getAvatarUrl(),
+          initials: user.getInitials(),
+          email: isSelf || isCollaborator || req.user.role === 'admin' ? user.email : undefined,
+          isActive: user.isActive,
+          createdAt: user.createdAt,
+          sharedProjects
+        }
+      }
+    });
+  })
+);
+
+// @route   PUT /api/users/:id/deactivate
+// @desc    Deactivate a user account
+// @access  Private (Admin)
+router.put('/:id/deactivate',
+  requireAdmin,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid user ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    if (req.params.id === req.user._id.toString()) {
+      throw new AppError('You cannot deactivate your own account', 400);
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { isActive: false } },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    // Let open clients know the account was deactivated, then drop their connections
+    req.io.to(`user_${user._id}`).emit('account_deactivated');
+    req.io.in(`user_${user._id}`).disconnectSockets(true);
+
+    res.json({
+      success: true,
+      message: 'User deactivated successfully',
+      data: { user }
+    });
+  })
+);
+
+// @route   PUT /api/users/:id/reactivate
+// @desc    Reactivate a user account
+// @access  Private (Admin)
+router.put('/:id/reactivate',
+  requireAdmin,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid user ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { isActive: true } },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    res.json({
+      success: true,
+      message: 'User reactivated successfully',
+      data: { user }
+    });
+  })
+);
+
+// @route   PUT /api/users/:id/unlock
+// @desc    Unlock an account locked after failed login attempts
+// @access  Private (Admin)
+router.put('/:id/unlock',
+  requireAdmin,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid user ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const user = await unlockAccount(req.params.id);
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    res.json({
+      success: true,
+      message: 'User unlocked successfully',
+      data: { user }
+    });
+  })
+);
+
+// @route   PUT /api/users/:id/2fa
+// @desc    Require (or stop requiring) two-factor authentication for a user
+// @access  Private (Admin)
+router.put('/:id/2fa',
+  requireAdmin,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid user ID'),
+
+    body('required')
+      .isBoolean()
+      .withMessage('Required must be a boolean')
+      .toBoolean()
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { 'twoFactor.required': req.body.required } },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    // Sign the user out so their next login goes through enrollment
+    if (user.twoFactor.required && !user.twoFactor.enabled) {
+      await endAllSessions(req.io, user._id, 'revoked');
+    }
+
+    res.json({
+      success: true,
+      message: `Two-factor authentication ${user.twoFactor.required ? 'required' : 'no longer required'} for user`,
+      data: { user }
+    });
+  })
+);
+
+// @route   DELETE /api/users/:id/2fa
+// @desc    Reset a user's two-factor authentication, e.g. after a lost device
+// @access  Private (Admin)
+router.delete('/:id/2fa',
+  requireAdmin,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid user ID')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        $set: {
+          'twoFactor.enabled': false,
+          'twoFactor.enabledAt': null,
+          'twoFactor.recoveryCodes': []
+        },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.lastUsedStep': 1
+        }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    await endAllSessions(req.io, user._id, 'revoked');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully',
+      data: { user }
+    });
+  })
+);
 
 module.exports = router;
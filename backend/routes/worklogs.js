@@ -0,0 +1,465 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const WorkLog = require('../models/WorkLog');
+const Task = require('../models/Task');
+const { handleValidationErrors, catchAsync, AppError } = require('../middleware/errorHandler');
+const { emitProjectEvent } = require('../services/realtime');
+const { getUserTimesheet } = require('../services/timesheets');
+
+const router = express.Router();
+
+const MAX_ENTRY_MINUTES = 24 * 60;
+
+// Validation rules
+const noteValidation = body('note')
+  .optional()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage('Note cannot exceed 500 characters');
+
+const manualEntryValidation = [
+  body('task')
+    .isMongoId()
+    .withMessage('Valid task ID is required'),
+
+  body('startedAt')
+    .isISO8601()
+    .withMessage('Start time must be a valid date')
+    .toDate(),
+
+  body('endedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid date')
+    .toDate(),
+
+  body('durationMinutes')
+    .optional()
+    .isFloat({ min: 1, max: MAX_ENTRY_MINUTES })
+    .withMessage(`Duration must be between 1 and ${MAX_ENTRY_MINUTES} minutes`)
+    .toFloat(),
+
+  noteValidation
+];
+
+const updateEntryValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid work log ID'),
+
+  body('startedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be a valid date')
+    .toDate(),
+
+  body('endedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid date')
+    .toDate(),
+
+  body('durationMinutes')
+    .optional()
+    .isFloat({ min: 1, max: MAX_ENTRY_MINUTES })
+    .withMessage(`Duration must be between 1 and ${MAX_ENTRY_MINUTES} minutes`)
+    .toFloat(),
+
+  noteValidation,
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+];
+
+// Load a task the current user may log time on
+const loadTaskForLogging = async (taskId, user) => {
+  const task = await Task.findById(taskId).populate('project');
+
+  if (!task) {
+    throw new AppError('Task not found', 404);
+  }
+
+  if (!task.project.hasPermission(user._id, 'canEditTasks')) {
+    throw new AppError('Access denied - cannot log time in this project', 403);
+  }
+
+  return task;
+};
+
+// Log owners can change their own entries; project owners and admins can
+// change anyone's
+const assertCanEditLog = async (log, user) => {
+  const task = await Task.findById(log.task).populate('project', 'owner members');
+  const project = task && task.project;
+
+  if (!project) {
+    throw new AppError('Task not found', 404);
+  }
+
+  const isOwnLog = log.user.toString() === user._id.toString();
+  const isOwner = project.owner.toString() === user._id.toString();
+  const member = project.members.find(m => m.user.toString() === user._id.toString());
+
+  if (!isOwner && !(member && (member.role === 'admin' || isOwnLog))) {
+    throw new AppError('Access denied - cannot edit this work log', 403);
+  }
+};
+
+// Recompute the task's hours from its logs and tell the project
+const syncTaskHours = async (io, log, user) => {
+  const actualHours = await WorkLog.recalculateTaskHours(log.task);
+
+  await emitProjectEvent(io, log.project, 'task_time_updated', {
+    taskId: log.task,
+    actualHours,
+    updatedBy: user
+  });
+
+  return actualHours;
+};
+
+// @route   GET /api/worklogs
+// @desc    List work logs for a task, or the current user's recent logs
+// @access  Private
+router.get('/',
+  [
+    query('task')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid task ID'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be between 1 and 200')
+      .toInt()
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const filter = { deletedAt: null };
+
+    if (req.query.task) {
+      const task = await Task.findById(req.query.task).populate('project', 'owner members');
+      if (!task) {
+        throw new AppError('Task not found', 404);
+      }
+
+      const project = task.project;
+      const isOwner = project.owner.toString() === req.user._id.toString();
+      const isMember = project.members.some(member =>
+        member.user.toString() === req.user._id.toString()
+      );
+
+      if (!isOwner && !isMember) {
+        throw new AppError('Access denied - not a project member', 403);
+      }
+
+      filter.task = task._id;
+    } else {
+      filter.user = req.user._id;
+    }
+
+    const workLogs = await WorkLog.find(filter)
+      .populate('user', 'name email avatar')
+      .populate('task', 'title')
+      .sort({ startedAt: -1 })
+      .limit(req.query.limit || 50);
+
+    res.json({
+      success: true,
+      data: { workLogs }
+    });
+  })
+);
+
+// @route   GET /api/worklogs/timer
+// @desc    Get the current user's running timer, if any
+// @access  Private
+router.get('/timer',
+  catchAsync(async (req, res) => {
+    const timer = await WorkLog.findRunning(req.user._id).populate('task', 'title project');
+
+    res.json({
+      success: true,
+      data: { timer }
+    });
+  })
+);
+
+// @route   POST /api/worklogs/timer/start
+// @desc    Start a timer on a task, stopping any timer already running
+// @access  Private (Project Member with Edit Permission)
+router.post('/timer/start',
+  [
+    body('task')
+      .isMongoId()
+      .withMessage('Valid task ID is required'),
+
+    noteValidation
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const task = await loadTaskForLogging(req.body.task, req.user);
+
+    const stopped = await WorkLog.findRunning(req.user._id);
+    if (stopped) {
+      await stopped.stop();
+      await syncTaskHours(req.io, stopped, req.user);
+    }
+
+    let timer;
+    try {
+      timer = await WorkLog.create({
+        task: task._id,
+        project: task.project._id,
+        user: req.user._id,
+        source: 'timer',
+        startedAt: new Date(),
+        isRunning: true,
+        note: req.body.note
+      });
+    } catch (error) {
+      // Another request started a timer at the same moment
+      if (error.code === 11000) {
+        throw new AppError('A timer is already running', 409);
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Timer started',
+      data: { timer, stopped }
+    });
+  })
+);
+
+// @route   POST /api/worklogs/timer/stop
+// @desc    Stop the current user's running timer
+// @access  Private
+router.post('/timer/stop',
+  [noteValidation],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const timer = await WorkLog.findRunning(req.user._id);
+
+    if (!timer) {
+      throw new AppError('No timer is running', 404);
+    }
+
+    if (req.body.note !== undefined) {
+      timer.note = req.body.note;
+    }
+    await timer.stop();
+
+    const actualHours = await syncTaskHours(req.io, timer, req.user);
+
+    res.json({
+      success: true,
+      message: 'Timer stopped',
+      data: { workLog: timer, actualHours }
+    });
+  })
+);
+
+// @route   GET /api/worklogs/timesheet
+// @desc    Get the current user's weekly timesheet
+// @access  Private
+router.get('/timesheet',
+  [
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date'),
+
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid date')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const timesheet = await getUserTimesheet(req.user._id, req.query);
+
+    res.json({
+      success: true,
+      data: { timesheet }
+    });
+  })
+);
+
+// @route   POST /api/worklogs
+// @desc    Add a manual work log entry
+// @access  Private (Project Member with Edit Permission)
+router.post('/',
+  manualEntryValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { startedAt, endedAt, durationMinutes, note } = req.body;
+    const task = await loadTaskForLogging(req.body.task, req.user);
+
+    if (!endedAt && !durationMinutes) {
+      throw new AppError('Either an end time or a duration is required', 400);
+    }
+
+    const end = endedAt || new Date(startedAt.getTime() + durationMinutes * 60000);
+    const minutes = (end - startedAt) / 60000;
+
+    if (minutes <= 0 || minutes > MAX_ENTRY_MINUTES) {
+      throw new AppError(`Entries must be between 1 minute and ${MAX_ENTRY_MINUTES / 60} hours long`, 400);
+    }
+
+    if (end > new Date()) {
+      throw new AppError('Work logs cannot end in the future', 400);
+    }
+
+    const workLog = await WorkLog.create({
+      task: task._id,
+      project: task.project._id,
+      user: req.user._id,
+      source: 'manual',
+      startedAt,
+      endedAt: end,
+      durationMinutes: Math.round(minutes * 100) / 100,
+      note
+    });
+
+    const actualHours = await syncTaskHours(req.io, workLog, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Time logged successfully',
+      data: { workLog, actualHours }
+    });
+  })
+);
+
+// @route   PUT /api/worklogs/:id
+// @desc    Edit a work log entry; the change is kept in its history
+// @access  Private (Log Owner or Project Admin)
+router.put('/:id',
+  updateEntryValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const workLog = await WorkLog.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!workLog) {
+      throw new AppError('Work log not found', 404);
+    }
+
+    await assertCanEditLog(workLog, req.user);
+
+    const { startedAt, endedAt, durationMinutes, note, reason } = req.body;
+
+    if (workLog.isRunning && (startedAt || endedAt || durationMinutes)) {
+      throw new AppError('Stop the timer before changing its times', 400);
+    }
+
+    const before = {
+      startedAt: workLog.startedAt,
+      endedAt: workLog.endedAt,
+      durationMinutes: workLog.durationMinutes,
+      note: workLog.note
+    };
+
+    if (note !== undefined) {
+      workLog.note = note;
+    }
+
+    if (!workLog.isRunning && (startedAt || endedAt || durationMinutes)) {
+      const start = startedAt || workLog.startedAt;
+      let end;
+
+      if (endedAt) {
+        end = endedAt;
+      } else if (durationMinutes) {
+        end = new Date(start.getTime() + durationMinutes * 60000);
+      } else {
+        // Moving the start keeps the duration
+        end = new Date(start.getTime() + workLog.durationMinutes * 60000);
+      }
+
+      const minutes = (end - start) / 60000;
+      if (minutes <= 0 || minutes > MAX_ENTRY_MINUTES) {
+        throw new AppError(`Entries must be between 1 minute and ${MAX_ENTRY_MINUTES / 60} hours long`, 400);
+      }
+
+      workLog.startedAt = start;
+      workLog.endedAt = end;
+      workLog.durationMinutes = Math.round(minutes * 100) / 100;
+    }
+
+    const changes = {};
+    Object.keys(before).forEach(field => {
+      const from = before[field];
+      const to = workLog[field];
+      if (String(from) !== String(to)) {
+        changes[field] = { from, to };
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return res.json({
+        success: true,
+        message: 'No changes',
+        data: { workLog }
+      });
+    }
+
+    workLog.addHistory('updated', req.user._id, changes, reason);
+    await workLog.save();
+
+    const actualHours = await syncTaskHours(req.io, workLog, req.user);
+
+    res.json({
+      success: true,
+      message: 'Work log updated successfully',
+      data: { workLog, actualHours }
+    });
+  })
+);
+
+// @route   DELETE /api/worklogs/:id
+// @desc    Delete a work log entry; it is kept for the audit trail
+// @access  Private (Log Owner or Project Admin)
+router.delete('/:id',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid work log ID'),
+
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Reason cannot exceed 200 characters')
+  ],
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const workLog = await WorkLog.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!workLog) {
+      throw new AppError('Work log not found', 404);
+    }
+
+    await assertCanEditLog(workLog, req.user);
+
+    workLog.deletedAt = new Date();
+    workLog.isRunning = false;
+    workLog.addHistory('deleted', req.user._id, null, req.body.reason);
+    await workLog.save();
+
+    const actualHours = await syncTaskHours(req.io, workLog, req.user);
+
+    res.json({
+      success: true,
+      message: 'Work log deleted successfully',
+      data: { actualHours }
+    });
+  })
+);
+
+module.exports = router;
@@ -1,4 +1,5 @@
 const express = require('express');
+const path = require('path');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -11,15 +12,24 @@ require('dotenv').config();
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const oidcRoutes = require('./routes/oidc');
 const userRoutes = require('./routes/users');
 const projectRoutes = require('./routes/projects');
 const taskRoutes = require('./routes/tasks');
 const messageRoutes = require('./routes/messages');
 const notificationRoutes = require('./routes/notifications');
+const invitationRoutes = require('./routes/invitations');
+const avatarRoutes = require('./routes/avatars');
+const tokenRoutes = require('./routes/tokens');
+const worklogRoutes = require('./routes/worklogs');
+const sprintRoutes = require('./routes/sprints');
 
 // Import middleware
-const { authenticateToken } = require('./middleware/auth');
+const { authenticateToken, authenticateSession, requireTokenScope } = require('./middleware/auth');
 const errorHandler = require('./middleware/errorHandler');
+const { initSocket } = require('./socket');
+const { startRecurringTaskScheduler } = require('./services/recurrence');
+const Task = require('./models/Task');
 
 const app = express();
 const server = createServer(app);
@@ -60,7 +70,12 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/synergysp
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  startRecurringTaskScheduler(io);
+  Task.backfillStatusCategories()
+    .catch((error) => console.error('Status category backfill error:', error));
+})
 .catch((error) => console.error('MongoDB connection error:', error));
 
 // Make io accessible to routes
@@ -79,44 +94,31 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Uploaded avatars are public; other uploads are served through access-checked routes
+app.use('/uploads/avatars', express.static(
+  path.join(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'), 'avatars'),
+  {
+    maxAge: '7d',
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }
+));
+
 // API Routes
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/auth', authRoutes);
-app.use('/api/users', authenticateToken, userRoutes);
-app.use('/api/projects', authenticateToken, projectRoutes);
-app.use('/api/tasks', authenticateToken, taskRoutes);
-app.use('/api/messages', authenticateToken, messageRoutes);
-app.use('/api/notifications', authenticateToken, notificationRoutes);
+app.use('/api/avatars', avatarRoutes);
+app.use('/api/users', authenticateToken, requireTokenScope('users'), userRoutes);
+app.use('/api/projects', authenticateToken, requireTokenScope('projects'), projectRoutes);
+app.use('/api/tasks', authenticateToken, requireTokenScope('tasks'), taskRoutes);
+app.use('/api/worklogs', authenticateToken, requireTokenScope('tasks'), worklogRoutes);
+app.use('/api/sprints', authenticateToken, requireTokenScope('projects'), sprintRoutes);
+app.use('/api/messages', authenticateToken, requireTokenScope('messages'), messageRoutes);
+app.use('/api/notifications', authenticateToken, requireTokenScope('notifications'), notificationRoutes);
+app.use('/api/invitations', authenticateToken, requireTokenScope('invitations'), invitationRoutes);
+app.use('/api/tokens', authenticateSession, tokenRoutes);
 
 // Socket.io connection handling
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  // Join project rooms
-  socket.on('join_project', (projectId) => {
-    socket.join(`project_${projectId}`);
-    console.log(`User ${socket.id} joined project ${projectId}`);
-  });
-
-  // Leave project rooms
-  socket.on('leave_project', (projectId) => {
-    socket.leave(`project_${projectId}`);
-    console.log(`User ${socket.id} left project ${projectId}`);
-  });
-
-  // Handle real-time messages
-  socket.on('send_message', (data) => {
-    socket.to(`project_${data.projectId}`).emit('new_message', data);
-  });
-
-  // Handle task updates
-  socket.on('task_update', (data) => {
-    socket.to(`project_${data.projectId}`).emit('task_updated', data);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+initSocket(io);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const path = require('path');
+const Project = require('../models/Project');
+const { AppError } = require('../middleware/errorHandler');
+const { getStorage } = require('./storage');
+
+// Keep original names readable but safe to use as part of a storage key
+const sanitizeFilename = (name) => {
+  const ext = path.extname(name).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const base = path.basename(name, path.extname(name))
+    .normalize('NFKD')
+    .replace(/[^\w.-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+
+  return `${base || 'file'}${ext}`;
+};
+
+// Store multer files for a project; returns attachment metadata
+// ({ name, key, size, type }) in the same order as the files
+const storeAttachments = async (projectId, files) => {
+  const storage = getStorage();
+  const stored = [];
+
+  try {
+    for (const file of files) {
+      const key = `attachments/${projectId}/${crypto.randomBytes(12).toString('hex')}-${sanitizeFilename(file.originalname)}`;
+      await storage.save(key, file.buffer, file.mimetype);
+
+      stored.push({
+        name: file.originalname,
+        key,
+        size: file.size,
+        type: file.mimetype || 'application/octet-stream'
+      });
+    }
+  } catch (error) {
+    // Don't leave half an upload behind
+    await removeAttachments(stored);
+    throw error;
+  }
+
+  return stored;
+};
+
+// Delete stored attachment files, ignoring entries without a storage key
+const removeAttachments = async (attachments = []) => {
+  const storage = getStorage();
+
+  for (const attachment of attachments) {
+    if (!attachment.key) continue;
+
+    try {
+      await storage.remove(attachment.key);
+    } catch (error) {
+      console.error('Error removing attachment:', error);
+    }
+  }
+};
+
+// Reserve quota for uploaded files, then store them under the project
+const saveProjectAttachments = async (projectId, files) => {
+  const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+
+  const project = await Project.reserveStorage(projectId, totalSize, files.length);
+  if (!project) {
+    throw new AppError('Project storage quota exceeded', 413);
+  }
+
+  try {
+    return await storeAttachments(projectId, files);
+  } catch (error) {
+    await Project.releaseStorage(projectId, totalSize, files.length);
+    throw error;
+  }
+};
+
+// Delete stored files and give their space back to the project quota
+const deleteProjectAttachments = async (projectId, attachments = []) => {
+  const stored = attachments.filter(attachment => attachment.key);
+  if (stored.length === 0) return;
+
+  await removeAttachments(stored);
+
+  const totalSize = stored.reduce((sum, attachment) => sum + attachment.size, 0);
+  await Project.releaseStorage(projectId, totalSize, stored.length);
+};
+
+// Stream an attachment to the client as a download
+const sendAttachment = async (res, attachment) => {
+  const storage = getStorage();
+
+  if (!attachment.key || !(await storage.exists(attachment.key))) {
+    return false;
+  }
+
+  const stream = await storage.createReadStream(attachment.key);
+
+  res.set({
+    'Content-Type': attachment.type,
+    'Content-Length': attachment.size,
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  stream.on('error', (error) => {
+    console.error('Error streaming attachment:', error);
+    res.destroy(error);
+  });
+
+  stream.pipe(res);
+  return true;
+};
+
+module.exports = {
+  sanitizeFilename,
+  storeAttachments,
+  removeAttachments,
+  saveProjectAttachments,
+  deleteProjectAttachments,
+  sendAttachment
+};
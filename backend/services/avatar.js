@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+// Square variants generated for every uploaded avatar
+const AVATAR_SIZES = {
+  small: 64,
+  medium: 128,
+  large: 256
+};
+
+// Background colors for generated initials avatars
+const INITIALS_COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899', '#14B8A6', '#6366F1'];
+
+// Resize an uploaded image into every avatar size and store the results.
+// Returns [{ size, url, key }] suitable for User.avatarVariants.
+const processAvatar = async (userId, buffer) => {
+  const storage = getStorage();
+  const stamp = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const variants = [];
+
+  for (const [size, pixels] of Object.entries(AVATAR_SIZES)) {
+    const output = await sharp(buffer)
+      .rotate() // Respect EXIF orientation from phone cameras
+      .resize(pixels, pixels, { fit: 'cover' })
+      .webp({ quality: 85 })
+      .toBuffer();
+
+    const key = `avatars/${userId}/${stamp}-${size}.webp`;
+    const url = await storage.save(key, output, 'image/webp');
+
+    variants.push({ size, url, key });
+  }
+
+  return variants;
+};
+
+// Delete previously stored avatar variants
+const removeAvatar = async (variants = []) => {
+  const storage = getStorage();
+
+  for (const variant of variants) {
+    try {
+      await storage.remove(variant.key);
+    } catch (error) {
+      console.error('Error removing avatar variant:', error);
+    }
+  }
+};
+
+// URL the public avatar endpoint may redirect to: a stored variant, or an
+// avatar under the storage base URL. External URLs set on a profile get
+// null, so the endpoint can't be used as an open redirect.
+const getStoredAvatarUrl = (user, size = 'medium') => {
+  const storage = getStorage();
+
+  const variant = user.avatarVariants.find(v => v.size === size);
+  if (variant) {
+    return storage.getUrl(variant.key);
+  }
+
+  if (user.avatar && user.avatar.startsWith(storage.getUrl(''))) {
+    return user.avatar;
+  }
+
+  return null;
+};
+
+// Render an SVG avatar with the user's initials on a color derived from their ID
+const renderInitialsAvatar = (user, size = 'medium') => {
+  const pixels = AVATAR_SIZES[size] || AVATAR_SIZES.medium;
+  const hash = crypto.createHash('md5').update(user._id.toString()).digest();
+  const color = INITIALS_COLORS[hash[0] % INITIALS_COLORS.length];
+  const initials = user.getInitials().replace(/[^\p{L}\p{N}]/gu, '') || '?';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${pixels}" height="${pixels}" viewBox="0 0 100 100">` +
+    `<rect width="100" height="100" fill="${color}"/>` +
+    `<text x="50" y="50" dy=".35em" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" ` +
+    `font-size="40" font-weight="600" fill="#FFFFFF">${initials}</text>` +
+    '</svg>';
+};
+
+module.exports = {
+  AVATAR_SIZES,
+  processAvatar,
+  removeAvatar,
+  getStoredAvatarUrl,
+  renderInitialsAvatar
+};
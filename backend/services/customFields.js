@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const { isDeepStrictEqual } = require('util');
+const { AppError } = require('../middleware/errorHandler');
+
+// Project custom fields: definitions live on Project.customFields and task
+// values in Task.customFields keyed by field key. Values are stored in a
+// sortable form: numbers, Dates, booleans, strings and string arrays.
+const MAX_TEXT_LENGTH = 1000;
+const SORT_PREFIX = 'customFields.';
+
+// Derive a field key from its name, e.g. "Story Points" -> "story_points"
+const toFieldKey = (name) => name
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^[^a-z]+/, '')
+  .slice(0, 40)
+  .replace(/_+$/, '');
+
+const isEmptyValue = (value) =>
+  value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+const isProjectMember = (project, userId) =>
+  project.owner.toString() === userId ||
+  project.members.some(member => member.user.toString() === userId);
+
+const invalid = (field, message) => new AppError(`${field.name} ${message}`, 400);
+
+// Convert one submitted value to its stored form
+const normalizeValue = (field, value, project) => {
+  switch (field.type) {
+    case 'text':
+      if (typeof value !== 'string') throw invalid(field, 'must be text');
+      if (value.trim().length > MAX_TEXT_LENGTH) {
+        throw invalid(field, `cannot exceed ${MAX_TEXT_LENGTH} characters`);
+      }
+      return value.trim();
+
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) throw invalid(field, 'must be a number');
+      return number;
+    }
+
+    case 'date': {
+      const date = new Date(value);
+      if (typeof value !== 'string' || Number.isNaN(date.getTime())) throw invalid(field, 'must be a valid date');
+      return date;
+    }
+
+    case 'select':
+      if (!field.options.includes(value)) {
+        throw invalid(field, `must be one of: ${field.options.join(', ')}`);
+      }
+      return value;
+
+    case 'multi-select': {
+      const values = Array.isArray(value) ? value : [value];
+      const unknown = values.filter(option => !field.options.includes(option));
+      if (unknown.length > 0) {
+        throw invalid(field, `must only contain: ${field.options.join(', ')}`);
+      }
+      return [...new Set(values)];
+    }
+
+    case 'user':
+      if (!mongoose.isValidObjectId(value) || !isProjectMember(project, String(value))) {
+        throw invalid(field, 'must be a project member');
+      }
+      return String(value);
+
+    case 'checkbox':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      throw invalid(field, 'must be true or false');
+
+    default:
+      throw invalid(field, 'has an unsupported type');
+  }
+};
+
+// Check submitted values against the project's definitions. Resolves to the
+// values to store, with null for cleared fields. New tasks must have every
+// required field; updates only touch the keys they send.
+const normalizeCustomFieldValues = (project, values = {}, { isNew = false } = {}) => {
+  const normalized = {};
+
+  Object.entries(values || {}).forEach(([key, value]) => {
+    const field = project.getCustomField(key);
+    if (!field) {
+      throw new AppError(`Unknown custom field: ${key}`, 400);
+    }
+
+    if (isEmptyValue(value)) {
+      if (field.required) throw invalid(field, 'is required');
+      normalized[key] = null;
+      return;
+    }
+
+    normalized[key] = normalizeValue(field, value, project);
+  });
+
+  if (isNew) {
+    const missing = project.customFields.filter(field => field.required && isEmptyValue(normalized[field.key]));
+    if (missing.length > 0) {
+      throw new AppError(`Missing required custom fields: ${missing.map(field => field.name).join(', ')}`, 400);
+    }
+  }
+
+  return normalized;
+};
+
+// Merge normalized values into a task's current ones; resolves to the new
+// values, or null when nothing changed
+const mergeCustomFieldValues = (current = {}, normalized) => {
+  const merged = { ...current };
+
+  Object.entries(normalized).forEach(([key, value]) => {
+    if (value === null) {
+      delete merged[key];
+    } else {
+      merged[key] = value;
+    }
+  });
+
+  return isDeepStrictEqual(merged, { ...current }) ? null : merged;
+};
+
+// Parse one filter value from the query string for `field`
+const parseFilterValue = (field, value, project) => {
+  // Filtering by a user or option doesn't require them to still be valid
+  if (field.type === 'user' || field.type === 'select' || field.type === 'multi-select') {
+    if (typeof value !== 'string') throw invalid(field, 'filter must be a single value');
+    return value;
+  }
+
+  return normalizeValue(field, value, project);
+};
+
+// Build Task query conditions from `?customFields[key]=value`. Number and
+// date fields also take ranges: `?customFields[points][gte]=3`.
+const buildCustomFieldFilter = (project, filters = {}) => {
+  const conditions = {};
+
+  Object.entries(filters).forEach(([key, value]) => {
+    const field = project.getCustomField(key);
+    if (!field) {
+      throw new AppError(`Unknown custom field: ${key}`, 400);
+    }
+
+    const path = `${SORT_PREFIX}${key}`;
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      if (field.type !== 'number' && field.type !== 'date') {
+        throw invalid(field, 'does not support range filters');
+      }
+
+      const range = {};
+      ['gt', 'gte', 'lt', 'lte'].forEach(operator => {
+        if (value[operator] !== undefined) {
+          range[`$${operator}`] = normalizeValue(field, value[operator], project);
+        }
+      });
+
+      if (Object.keys(range).length === 0) {
+        throw invalid(field, 'range must use gt, gte, lt or lte');
+      }
+      conditions[path] = range;
+      return;
+    }
+
+    // An empty value matches tasks without one
+    conditions[path] = value === '' ? { $exists: false } : parseFilterValue(field, value, project);
+  });
+
+  return conditions;
+};
+
+// Field key for `sortBy=customFields.<key>`, or null for other sorts
+const getCustomSortKey = (sortBy) =>
+  sortBy.startsWith(SORT_PREFIX) ? sortBy.slice(SORT_PREFIX.length) : null;
+
+// Drop stored values a changed or deleted definition no longer allows
+const cleanUpTaskValues = async (projectId, field, { deleted = false } = {}) => {
+  const Task = mongoose.model('Task');
+  const path = `${SORT_PREFIX}${field.key}`;
+
+  if (deleted) {
+    return Task.updateMany({ project: projectId, [path]: { $exists: true } }, { $unset: { [path]: '' } });
+  }
+
+  if (field.type === 'select') {
+    return Task.updateMany(
+      { project: projectId, [path]: { $exists: true, $nin: field.options } },
+      { $unset: { [path]: '' } }
+    );
+  }
+
+  if (field.type === 'multi-select') {
+    await Task.updateMany(
+      { project: projectId, [path]: { $exists: true } },
+      { $pull: { [path]: { $nin: field.options } } }
+    );
+    return Task.updateMany({ project: projectId, [path]: { $size: 0 } }, { $unset: { [path]: '' } });
+  }
+
+  return null;
+};
+
+module.exports = {
+  toFieldKey,
+  normalizeCustomFieldValues,
+  mergeCustomFieldValues,
+  buildCustomFieldFilter,
+  getCustomSortKey,
+  cleanUpTaskValues
+};
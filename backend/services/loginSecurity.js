@@ -0,0 +1,139 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Notification = require('../models/Notification');
+const { AppError } = require('../middleware/errorHandler');
+const { getClientInfo } = require('./sessions');
+
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const LOGIN_DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER) || 3; // Failures before delays start
+const MAX_LOGIN_DELAY = 60; // Seconds
+const MAX_KNOWN_DEVICES = 20;
+
+// Seconds to wait after the latest failure: 1s once delays start, doubling
+// with every further failure
+const getLoginDelay = (failedAttempts) => {
+  if (failedAttempts < LOGIN_DELAY_AFTER) return 0;
+  return Math.min(2 ** (failedAttempts - LOGIN_DELAY_AFTER), MAX_LOGIN_DELAY);
+};
+
+// Refuse a login attempt while the account is locked or cooling down.
+// Checked before the password so a locked account can't be probed.
+const assertLoginAllowed = (user) => {
+  if (user.isLocked()) {
+    const minutes = Math.ceil((user.security.lockUntil.getTime() - Date.now()) / 60000);
+    throw new AppError(`Account temporarily locked after too many failed login attempts. Try again in ${minutes} minute(s).`, 423);
+  }
+
+  const { failedLoginAttempts, lastFailedLoginAt } = user.security;
+  if (!lastFailedLoginAt || (user.security.lockUntil && user.security.lockUntil <= new Date())) {
+    return;
+  }
+
+  const wait = getLoginDelay(failedLoginAttempts) * 1000 - (Date.now() - lastFailedLoginAt.getTime());
+  if (wait > 0) {
+    throw new AppError(`Too many failed attempts. Please wait ${Math.ceil(wait / 1000)} second(s) before trying again.`, 429);
+  }
+};
+
+// Count a failed password or second-factor attempt, locking the account
+// once LOGIN_MAX_ATTEMPTS is reached
+const recordFailedLogin = async (user) => {
+  const now = new Date();
+  const lockExpired = user.security.lockUntil && user.security.lockUntil <= now;
+
+  // After a lock runs out the count starts again
+  const update = lockExpired
+    ? { $set: { 'security.failedLoginAttempts': 1, 'security.lastFailedLoginAt': now, 'security.lockUntil': null } }
+    : { $inc: { 'security.failedLoginAttempts': 1 }, $set: { 'security.lastFailedLoginAt': now } };
+
+  const updated = await User.findByIdAndUpdate(user._id, update, { new: true });
+
+  if (!updated || updated.security.failedLoginAttempts < LOGIN_MAX_ATTEMPTS || updated.isLocked()) {
+    return;
+  }
+
+  const lockUntil = new Date(now.getTime() + LOGIN_LOCK_MINUTES * 60 * 1000);
+  await User.updateOne({ _id: user._id }, { $set: { 'security.lockUntil': lockUntil } });
+
+  await Notification.createNotification({
+    recipient: user._id,
+    type: 'security_alert',
+    title: 'Account temporarily locked',
+    message: `Your account was locked for ${LOGIN_LOCK_MINUTES} minutes after ${updated.security.failedLoginAttempts} failed login attempts. If this wasn't you, change your password once you can sign in.`,
+    priority: 'urgent',
+    channels: { inApp: true, email: true, push: true }
+  });
+};
+
+// Clear failed attempts and remember the device; the user is notified when
+// the sign-in comes from an IP or browser not seen before
+const recordSuccessfulLogin = async (user, req) => {
+  const { ip, userAgent } = getClientInfo(req);
+  const account = await User.findById(user._id).select('+security.knownDevices');
+
+  if (!account) return;
+
+  const devices = account.security.knownDevices;
+  const isFirstLogin = devices.length === 0;
+  const isNewIp = !devices.some(device => device.ip === ip);
+  const isNewUserAgent = !devices.some(device => device.userAgent === userAgent);
+
+  const known = devices.find(device => device.ip === ip && device.userAgent === userAgent);
+  if (known) {
+    known.lastSeenAt = new Date();
+  } else {
+    devices.push({ ip, userAgent, lastSeenAt: new Date() });
+  }
+
+  // Keep only the most recently used devices
+  account.security.knownDevices = [...devices]
+    .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+    .slice(0, MAX_KNOWN_DEVICES);
+  account.security.failedLoginAttempts = 0;
+  account.security.lastFailedLoginAt = null;
+  account.security.lockUntil = null;
+
+  await account.save({ validateBeforeSave: false });
+
+  if (isFirstLogin || (!isNewIp && !isNewUserAgent)) {
+    return;
+  }
+
+  await Notification.createNotification({
+    recipient: user._id,
+    type: 'security_alert',
+    title: 'New sign-in to your account',
+    message: `New sign-in from ${Session.describeDevice(userAgent)} (IP ${ip || 'unknown'}). If this wasn't you, change your password and sign out of all sessions.`,
+    data: {
+      metadata: { ip, userAgent, newIp: isNewIp, newUserAgent: isNewUserAgent }
+    },
+    priority: 'high',
+    actionUrl: '/settings',
+    actionText: 'Review sessions',
+    channels: { inApp: true, email: true, push: true }
+  });
+};
+
+// Lift a lock and forget failed attempts, e.g. from the admin unlock endpoint
+const unlockAccount = (userId) => {
+  return User.findByIdAndUpdate(
+    userId,
+    {
+      $set: {
+        'security.failedLoginAttempts': 0,
+        'security.lastFailedLoginAt': null,
+        'security.lockUntil': null
+      }
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  getLoginDelay,
+  assertLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount
+};
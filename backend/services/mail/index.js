@@ -0,0 +1,56 @@
+const { getTransport } = require('./transport');
+const { renderTemplate } = require('./templates');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'SynergySphere <no-reply@synergysphere.local>';
+const CLIENT_URL = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Render a template and send it
+const sendTemplate = async (to, template, data) => {
+  const { subject, text, html } = renderTemplate(template, data);
+
+  return getTransport().sendMail({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+// Email the link that confirms a user's address
+const sendVerificationEmail = (user, token, expiresInHours) => {
+  return sendTemplate(user.email, 'verifyEmail', {
+    name: user.name,
+    url: `${CLIENT_URL}/verify-email?token=${encodeURIComponent(token)}`,
+    expiresInHours
+  });
+};
+
+// Email a password reset link
+const sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+  return sendTemplate(user.email, 'passwordReset', {
+    name: user.name,
+    url: `${CLIENT_URL}/reset-password/${encodeURIComponent(token)}`,
+    expiresInMinutes
+  });
+};
+
+// Email a project invitation with the link that accepts it
+const sendInvitationEmail = (invitation, token, { project, inviter }) => {
+  const expiresInDays = Math.max(1, Math.round((invitation.expiresAt - Date.now()) / (24 * 60 * 60 * 1000)));
+
+  return sendTemplate(invitation.email, 'projectInvitation', {
+    inviterName: inviter.name,
+    projectName: project.name,
+    message: invitation.message,
+    url: `${CLIENT_URL}/invitations/accept?token=${encodeURIComponent(token)}`,
+    expiresInDays
+  });
+};
+
+module.exports = {
+  sendTemplate,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendInvitationEmail
+};
@@ -0,0 +1,113 @@
+// Email templates. Each returns { subject, text, html }; the HTML is wrapped
+// in a shared layout and every interpolated value is escaped.
+const APP_NAME = process.env.APP_NAME || 'SynergySphere';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const layout = ({ title, body }) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin:0;padding:24px;background:#f9fafb;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border:1px solid #e5e7eb;border-radius:8px;padding:32px;">
+      <h1 style="margin:0 0 24px;font-size:20px;">${escapeHtml(APP_NAME)}</h1>
+      ${body}
+    </div>
+    <p style="max-width:560px;margin:16px auto 0;font-size:12px;color:#6b7280;text-align:center;">
+      You received this email because of activity on your ${escapeHtml(APP_NAME)} account.
+    </p>
+  </body>
+</html>`;
+
+const button = (url, label) =>
+  `<p style="margin:24px 0;"><a href="${escapeHtml(url)}" style="background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;display:inline-block;">${escapeHtml(label)}</a></p>`;
+
+const paragraph = (text) => `<p style="margin:0 0 16px;line-height:1.5;">${escapeHtml(text)}</p>`;
+
+const templates = {
+  verifyEmail: ({ name, url, expiresInHours }) => {
+    const subject = `Verify your ${APP_NAME} email address`;
+    const intro = `Hi ${name}, please confirm your email address to finish setting up your account.`;
+    const expiry = `This link expires in ${expiresInHours} hours.`;
+
+    return {
+      subject,
+      text: `${intro}\n\n${url}\n\n${expiry}`,
+      html: layout({
+        title: subject,
+        body: [
+          paragraph(intro),
+          button(url, 'Verify email address'),
+          paragraph(expiry),
+          paragraph(`If the button doesn't work, copy this link into your browser: ${url}`)
+        ].join('\n')
+      })
+    };
+  },
+
+  passwordReset: ({ name, url, expiresInMinutes }) => {
+    const subject = `Reset your ${APP_NAME} password`;
+    const intro = `Hi ${name}, we received a request to reset your password.`;
+    const expiry = `This link expires in ${expiresInMinutes} minutes. If you didn't ask for a reset, you can ignore this email.`;
+
+    return {
+      subject,
+      text: `${intro}\n\n${url}\n\n${expiry}`,
+      html: layout({
+        title: subject,
+        body: [
+          paragraph(intro),
+          button(url, 'Reset password'),
+          paragraph(expiry),
+          paragraph(`If the button doesn't work, copy this link into your browser: ${url}`)
+        ].join('\n')
+      })
+    };
+  },
+
+  projectInvitation: ({ inviterName, projectName, message, url, expiresInDays }) => {
+    const subject = `${inviterName} invited you to join "${projectName}" on ${APP_NAME}`;
+    const intro = `${inviterName} invited you to join the project "${projectName}".`;
+    const note = message ? `Their message: "${message}"` : null;
+    const expiry = `This invitation expires in ${expiresInDays} days. Sign in or create an account with this email address to accept it.`;
+
+    return {
+      subject,
+      text: [intro, note, url, expiry].filter(Boolean).join('\n\n'),
+      html: layout({
+        title: subject,
+        body: [
+          paragraph(intro),
+          note && paragraph(note),
+          button(url, 'View invitation'),
+          paragraph(expiry),
+          paragraph(`If the button doesn't work, copy this link into your browser: ${url}`)
+        ].filter(Boolean).join('\n')
+      })
+    };
+  }
+};
+
+// Render a template by name
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template(data);
+};
+
+module.exports = {
+  escapeHtml,
+  renderTemplate
+};
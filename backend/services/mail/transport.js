@@ -0,0 +1,84 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// MAIL_TRANSPORT selects how mail leaves the process:
+//   smtp - deliver through SMTP_HOST (the default in production)
+//   json - log each message to the console (the default elsewhere)
+//   file - write each message to MAIL_OUTPUT_DIR for local testing
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT ||
+  (process.env.NODE_ENV === 'production' ? 'smtp' : 'json');
+const MAIL_OUTPUT_DIR = process.env.MAIL_OUTPUT_DIR || path.join(__dirname, '..', '..', 'tmp', 'mail');
+
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST must be set when MAIL_TRANSPORT is smtp');
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+};
+
+// Render messages to JSON instead of sending them, then log or save them
+const createJsonTransport = (mode) => {
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    async sendMail(message) {
+      const info = await transport.sendMail(message);
+      const rendered = JSON.parse(info.message);
+
+      if (mode === 'file') {
+        await fs.mkdir(MAIL_OUTPUT_DIR, { recursive: true });
+        const base = path.join(MAIL_OUTPUT_DIR, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}`);
+        await fs.writeFile(`${base}.json`, JSON.stringify(rendered, null, 2));
+        if (rendered.html) {
+          await fs.writeFile(`${base}.html`, rendered.html);
+        }
+        console.log(`Mail to ${message.to} written to ${base}.json`);
+      } else {
+        console.log('Mail (not sent):', JSON.stringify({
+          to: rendered.to,
+          subject: rendered.subject,
+          text: rendered.text
+        }, null, 2));
+      }
+
+      return info;
+    }
+  };
+};
+
+let transport = null;
+
+// Lazily build the configured transport
+const getTransport = () => {
+  if (!transport) {
+    switch (MAIL_TRANSPORT) {
+      case 'smtp':
+        transport = createSmtpTransport();
+        break;
+      case 'json':
+      case 'file':
+        transport = createJsonTransport(MAIL_TRANSPORT);
+        break;
+      default:
+        throw new Error(`Unknown MAIL_TRANSPORT: ${MAIL_TRANSPORT}`);
+    }
+  }
+
+  return transport;
+};
+
+module.exports = {
+  MAIL_TRANSPORT,
+  MAIL_OUTPUT_DIR,
+  getTransport
+};
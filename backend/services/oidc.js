@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Generic OpenID Connect client: discovery, authorization code flow with
+// PKCE, and ID token validation against the provider's published keys.
+// Configured by OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET (omit for
+// public clients) and OIDC_REDIRECT_URI.
+const DISCOVERY_TTL = 60 * 60 * 1000; // Refetch provider metadata hourly
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const CLOCK_TOLERANCE = 60; // Seconds
+
+const getConfig = () => ({
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  providerName: process.env.OIDC_PROVIDER_NAME || 'SSO'
+});
+
+const isEnabled = () => {
+  const { issuer, clientId, redirectUri } = getConfig();
+  return Boolean(issuer && clientId && redirectUri);
+};
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers }
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const detail = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed: ${detail}`);
+  }
+
+  return body;
+};
+
+let discoveryCache = null;
+let jwksCache = null;
+
+// Load (and cache) the provider's metadata from its discovery document
+const discover = async () => {
+  const { issuer } = getConfig();
+
+  if (discoveryCache && discoveryCache.issuer === issuer && discoveryCache.expiresAt > Date.now()) {
+    return discoveryCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+  if (metadata.issuer.replace(/\/$/, '') !== issuer) {
+    throw new Error(`OIDC discovery issuer mismatch: ${metadata.issuer}`);
+  }
+
+  discoveryCache = { issuer, metadata, expiresAt: Date.now() + DISCOVERY_TTL };
+  jwksCache = null;
+  return metadata;
+};
+
+// Find the signing key for a token, refetching the key set once in case
+// the provider rotated its keys
+const getSigningKey = async (kid) => {
+  const metadata = await discover();
+
+  for (const refresh of [false, true]) {
+    if (!jwksCache || refresh) {
+      jwksCache = await fetchJson(metadata.jwks_uri);
+    }
+
+    const jwk = jwksCache.keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+
+  throw new Error('OIDC signing key not found');
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// Start a login: returns the provider URL to redirect to and the values the
+// callback must check (state, nonce) or send back (codeVerifier)
+const createAuthorizationRequest = async () => {
+  const { clientId, redirectUri, scopes } = getConfig();
+  const metadata = await discover();
+
+  const state = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(32));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    url: `${metadata.authorization_endpoint}?${params.toString()}`,
+    state,
+    nonce,
+    codeVerifier
+  };
+};
+
+// Exchange an authorization code for tokens
+const exchangeCode = async (code, codeVerifier) => {
+  const { clientId, clientSecret, redirectUri } = getConfig();
+  const metadata = await discover();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+    client_id: clientId
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (clientSecret) {
+    const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  return fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+};
+
+// Validate an ID token's signature and claims; resolves to its claims
+const verifyIdToken = async (idToken, nonce) => {
+  const { clientId } = getConfig();
+  const metadata = await discover();
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !SUPPORTED_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error('Unsupported ID token');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: SUPPORTED_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: clientId,
+    clockTolerance: CLOCK_TOLERANCE
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+    throw new Error('ID token authorized party mismatch');
+  }
+
+  return claims;
+};
+
+// Fetch profile claims from the userinfo endpoint, for providers that keep
+// email and name out of the ID token
+const fetchUserInfo = async (accessToken) => {
+  const metadata = await discover();
+
+  if (!metadata.userinfo_endpoint) {
+    return {};
+  }
+
+  return fetchJson(metadata.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+};
+
+// Complete a login from the callback; resolves to the verified identity
+const completeAuthorization = async ({ code, codeVerifier, nonce }) => {
+  const tokens = await exchangeCode(code, codeVerifier);
+
+  if (!tokens.id_token) {
+    throw new Error('Token response did not include an ID token');
+  }
+
+  const claims = await verifyIdToken(tokens.id_token, nonce);
+  let profile = claims;
+
+  if (!claims.email && tokens.access_token) {
+    const userInfo = await fetchUserInfo(tokens.access_token);
+
+    // The userinfo subject must match the ID token's
+    if (userInfo.sub === claims.sub) {
+      profile = { ...userInfo, ...claims };
+    }
+  }
+
+  return {
+    issuer: claims.iss,
+    subject: claims.sub,
+    email: profile.email ? profile.email.toLowerCase() : null,
+    emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+    name: profile.name || [profile.given_name, profile.family_name].filter(Boolean).join(' ') || null
+  };
+};
+
+module.exports = {
+  getConfig,
+  isEnabled,
+  discover,
+  createAuthorizationRequest,
+  completeAuthorization
+};
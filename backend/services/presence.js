@@ -0,0 +1,117 @@
+// In-memory presence tracking for project rooms.
+// A user stays present while at least one of their sockets (tabs) is in
+// the room; each socket may also be viewing a single task. State lives in
+// this process only, so run a single API instance or pin sockets with
+// sticky sessions.
+
+// projectId -> userId -> { user, since, sockets: Map<socketId, taskId|null> }
+const projects = new Map();
+
+const getProjectEntries = (projectId, create = false) => {
+  const key = projectId.toString();
+
+  if (!projects.has(key) && create) {
+    projects.set(key, new Map());
+  }
+
+  return projects.get(key);
+};
+
+// Record that a socket joined a project; returns true if the user just became present
+const join = (projectId, user, socketId) => {
+  const entries = getProjectEntries(projectId, true);
+  const userId = user._id.toString();
+  let entry = entries.get(userId);
+  const isNew = !entry;
+
+  if (!entry) {
+    entry = {
+      user: { _id: user._id, name: user.name, avatar: user.avatar },
+      since: new Date(),
+      sockets: new Map()
+    };
+    entries.set(userId, entry);
+  }
+
+  if (!entry.sockets.has(socketId)) {
+    entry.sockets.set(socketId, null);
+  }
+
+  return isNew;
+};
+
+// Record that a socket left a project; returns true if the user is no longer present
+const leave = (projectId, userId, socketId) => {
+  const entries = getProjectEntries(projectId);
+  const entry = entries && entries.get(userId.toString());
+
+  if (!entry) {
+    return false;
+  }
+
+  entry.sockets.delete(socketId);
+
+  if (entry.sockets.size > 0) {
+    return false;
+  }
+
+  entries.delete(userId.toString());
+
+  if (entries.size === 0) {
+    projects.delete(projectId.toString());
+  }
+
+  return true;
+};
+
+// Forget a user entirely, e.g. after they are removed from the project
+const removeUser = (projectId, userId) => {
+  const entries = getProjectEntries(projectId);
+
+  if (!entries || !entries.delete(userId.toString())) {
+    return false;
+  }
+
+  if (entries.size === 0) {
+    projects.delete(projectId.toString());
+  }
+
+  return true;
+};
+
+// Set (or clear with null) the task a socket is currently viewing
+const viewTask = (projectId, userId, socketId, taskId) => {
+  const entries = getProjectEntries(projectId);
+  const entry = entries && entries.get(userId.toString());
+
+  if (!entry || !entry.sockets.has(socketId)) {
+    return false;
+  }
+
+  entry.sockets.set(socketId, taskId ? taskId.toString() : null);
+  return true;
+};
+
+// Get everyone present in a project and the tasks they have open
+const getSnapshot = (projectId) => {
+  const entries = getProjectEntries(projectId);
+
+  if (!entries) {
+    return [];
+  }
+
+  return [...entries.values()].map(entry => ({
+    user: entry.user,
+    since: entry.since,
+    connections: entry.sockets.size,
+    viewingTasks: [...new Set([...entry.sockets.values()].filter(Boolean))]
+  }));
+};
+
+module.exports = {
+  join,
+  leave,
+  removeUser,
+  viewTask,
+  getSnapshot
+};
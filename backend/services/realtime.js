@@ -0,0 +1,41 @@
+const ProjectEvent = require('../models/ProjectEvent');
+
+// Most events a reconnecting client may replay before it is told to resync
+const MAX_REPLAY_EVENTS = parseInt(process.env.REALTIME_MAX_REPLAY) || 200;
+
+// Record a project event in the replay log and broadcast it to the project
+// room. Payloads carry projectId and seq so clients can track what they have
+// seen; logging failures never block the broadcast.
+const emitProjectEvent = async (io, projectId, event, payload = {}) => {
+  // Store plain JSON, not live documents
+  const data = JSON.parse(JSON.stringify({ ...payload, projectId }));
+
+  try {
+    const seq = await ProjectEvent.record(projectId, event, data);
+    if (seq !== null) {
+      data.seq = seq;
+    }
+  } catch (error) {
+    console.error('Error recording project event:', error);
+  }
+
+  io.to(`project_${projectId}`).emit(event, data);
+  return data.seq;
+};
+
+// Send a reconnecting socket the events it missed since lastSeq
+const replayMissedEvents = async (socket, projectId, lastSeq) => {
+  const { resync, seq, events } = await ProjectEvent.getMissed(projectId, lastSeq, MAX_REPLAY_EVENTS);
+
+  if (!resync) {
+    events.forEach(({ event, payload }) => socket.emit(event, payload));
+  }
+
+  return { resync, seq, replayed: events.length };
+};
+
+module.exports = {
+  MAX_REPLAY_EVENTS,
+  emitProjectEvent,
+  replayMissedEvents
+};
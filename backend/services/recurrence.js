@@ -0,0 +1,280 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const TaskSeries = require('../models/TaskSeries');
+const Notification = require('../models/Notification');
+const { emitProjectEvent } = require('./realtime');
+const { getEndPosition } = require('./taskOrdering');
+const { getInitialStatus } = require('./workflows');
+
+// Calendar series create their next occurrence when the current one is
+// completed, or on schedule once it is due within the lead time, whichever
+// comes first. After-completion series only advance on completion.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LEAD_MS = (parseFloat(process.env.RECURRING_TASK_LEAD_HOURS) || 24) * 60 * 60 * 1000;
+const SCHEDULER_INTERVAL_MS = (parseInt(process.env.RECURRING_TASK_INTERVAL_MINUTES) || 5) * 60 * 1000;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Fill in the parts of a rule that default to the first occurrence's date,
+// so later months and weeks don't drift
+const normalizeRule = (rule, firstDate) => {
+  const normalized = {
+    frequency: rule.frequency,
+    interval: rule.interval || 1,
+    daysOfWeek: [],
+    dayOfMonth: null
+  };
+
+  if (rule.frequency === 'weekly') {
+    const days = rule.daysOfWeek && rule.daysOfWeek.length > 0 ? rule.daysOfWeek : [firstDate.getUTCDay()];
+    normalized.daysOfWeek = [...new Set(days.map(Number))].sort((a, b) => a - b);
+  }
+
+  if (rule.frequency === 'monthly') {
+    normalized.dayOfMonth = rule.dayOfMonth || firstDate.getUTCDate();
+  }
+
+  return normalized;
+};
+
+// The occurrence date following `previous` under a calendar rule; time of
+// day is kept from `previous`
+const getNextOccurrenceDate = (rule, previous) => {
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+    case 'daily':
+      return addDays(previous, interval);
+
+    case 'weekly': {
+      const weekday = previous.getUTCDay();
+      const weekStart = addDays(previous, -weekday);
+      const laterThisWeek = rule.daysOfWeek.find(day => day > weekday);
+
+      if (laterThisWeek !== undefined) {
+        return addDays(weekStart, laterThisWeek);
+      }
+      return addDays(weekStart, 7 * interval + rule.daysOfWeek[0]);
+    }
+
+    case 'monthly': {
+      const next = new Date(previous);
+      next.setUTCDate(1);
+      next.setUTCMonth(next.getUTCMonth() + interval);
+      next.setUTCDate(Math.min(rule.dayOfMonth, daysInMonth(next.getUTCFullYear(), next.getUTCMonth())));
+      return next;
+    }
+
+    default:
+      return null;
+  }
+};
+
+// Due date for the occurrence after `task`
+const getFollowingDueDate = (series, task) => {
+  if (series.rule.frequency === 'after-completion') {
+    return task.completedAt ? addDays(task.completedAt, series.rule.interval) : null;
+  }
+  return series.nextOccurrenceAt;
+};
+
+// Whether the series has run out, by date or by count
+const isSeriesFinished = (series, dueDate) => {
+  if (series.maxOccurrences && series.occurrenceCount >= series.maxOccurrences) {
+    return true;
+  }
+  return Boolean(series.until && dueDate && dueDate > series.until);
+};
+
+// Make a task the first occurrence of a new series
+const createSeries = async (task, recurrence, userId) => {
+  const firstDate = task.dueDate || new Date();
+  const rule = normalizeRule(recurrence, firstDate);
+
+  const series = await TaskSeries.create({
+    project: task.project._id || task.project,
+    createdBy: userId,
+    rule,
+    until: recurrence.until || null,
+    maxOccurrences: recurrence.maxOccurrences || null,
+    nextOccurrenceAt: getNextOccurrenceDate(rule, firstDate),
+    lastTask: task._id
+  });
+
+  task.series = series._id;
+  await Task.updateOne({ _id: task._id }, { series: series._id });
+
+  return series;
+};
+
+// Change a series' rule or limits; the next occurrence is re-planned from
+// the latest one
+const updateSeries = async (series, recurrence) => {
+  const lastTask = await Task.findById(series.lastTask).select('dueDate createdAt');
+  const anchor = (lastTask && (lastTask.dueDate || lastTask.createdAt)) || new Date();
+
+  series.rule = normalizeRule({ ...series.rule.toObject(), ...recurrence }, anchor);
+  if (recurrence.until !== undefined) series.until = recurrence.until || null;
+  if (recurrence.maxOccurrences !== undefined) series.maxOccurrences = recurrence.maxOccurrences || null;
+  series.nextOccurrenceAt = getNextOccurrenceDate(series.rule, anchor);
+
+  return series.save();
+};
+
+// Copy `fromTask` into the next occurrence due at `dueDate`
+const buildOccurrence = (series, fromTask, taskId, dueDate) => {
+  const occurrence = new Task({
+    _id: taskId,
+    title: fromTask.title,
+    description: fromTask.description,
+    project: fromTask.project,
+    creator: fromTask.creator,
+    assignee: fromTask.assignee,
+    priority: fromTask.priority,
+    tags: fromTask.tags,
+    estimatedHours: fromTask.estimatedHours,
+    customFields: fromTask.customFields,
+    taskType: fromTask.taskType,
+    parent: fromTask.parent,
+    watchers: fromTask.watchers,
+    subtasks: fromTask.subtasks.map(subtask => ({ title: subtask.title })),
+    dueDate,
+    series: series._id
+  });
+
+  // Keep the same lead time between start and due date
+  if (fromTask.startDate && fromTask.dueDate && dueDate) {
+    occurrence.startDate = new Date(dueDate.getTime() - (fromTask.dueDate - fromTask.startDate));
+  }
+
+  return occurrence;
+};
+
+// Create the occurrence after `fromTask` if nobody else has; resolves to
+// the new task or null. `user` is who triggered it, or null for the scheduler.
+const createNextOccurrence = async (io, series, fromTask, user = null) => {
+  const dueDate = getFollowingDueDate(series, fromTask);
+
+  if (isSeriesFinished(series, dueDate)) {
+    await series.stop();
+    return null;
+  }
+
+  const taskId = new mongoose.Types.ObjectId();
+  const followingDate = dueDate && series.rule.frequency !== 'after-completion'
+    ? getNextOccurrenceDate(series.rule, dueDate)
+    : null;
+
+  const claimed = await TaskSeries.claimNext(series._id, fromTask._id, taskId, followingDate);
+  if (!claimed) {
+    return null;
+  }
+
+  const occurrence = buildOccurrence(series, fromTask, taskId, dueDate);
+  const initialStatus = getInitialStatus(await Project.findById(fromTask.project).select('workflow'));
+  occurrence.status = initialStatus.key;
+  occurrence.statusCategory = initialStatus.category;
+  occurrence.position = await getEndPosition(occurrence.project, occurrence.status);
+  occurrence.addActivity('created', user ? user._id : fromTask.creator, `Recurring task created (occurrence ${claimed.occurrenceCount})`);
+  await occurrence.save();
+
+  await occurrence.populate([
+    { path: 'assignee', select: 'name email avatar' },
+    { path: 'creator', select: 'name email avatar' },
+    { path: 'project', select: 'name color' }
+  ]);
+
+  if (occurrence.assignee && (!user || !occurrence.assignee._id.equals(user._id))) {
+    await Notification.createNotification({
+      recipient: occurrence.assignee._id,
+      sender: user ? user._id : null,
+      type: 'task_assigned',
+      title: 'Recurring Task Assigned',
+      message: `"${occurrence.title}" is due again`,
+      data: {
+        project: occurrence.project._id,
+        task: occurrence._id
+      },
+      actionUrl: `/projects/${occurrence.project._id}/tasks/${occurrence._id}`,
+      actionText: 'View Task'
+    });
+  }
+
+  await emitProjectEvent(io, occurrence.project._id, 'task_created', {
+    task: occurrence,
+    createdBy: user
+  });
+
+  return occurrence;
+};
+
+// Called after a task moves into a done status
+const handleTaskCompleted = async (io, task, user) => {
+  if (!task.series) {
+    return null;
+  }
+
+  const series = await TaskSeries.findById(task.series._id || task.series);
+  if (!series || !series.isActive || !series.lastTask || !series.lastTask.equals(task._id)) {
+    return null;
+  }
+
+  const fromTask = await Task.findById(task._id);
+  return createNextOccurrence(io, series, fromTask, user);
+};
+
+// Create every scheduled occurrence that is now within the lead time
+const generateDueOccurrences = async (io, now = new Date()) => {
+  const dueSeries = await TaskSeries.find({
+    isActive: true,
+    'rule.frequency': { $ne: 'after-completion' },
+    nextOccurrenceAt: { $ne: null, $lte: new Date(now.getTime() + LEAD_MS) }
+  });
+
+  let created = 0;
+
+  for (const series of dueSeries) {
+    try {
+      const fromTask = await Task.findById(series.lastTask);
+
+      // The latest occurrence was deleted or archived with its project
+      if (!fromTask || fromTask.isArchived) {
+        await series.stop();
+        continue;
+      }
+
+      if (await createNextOccurrence(io, series, fromTask)) {
+        created += 1;
+      }
+    } catch (error) {
+      console.error(`Error creating occurrence for task series ${series._id}:`, error);
+    }
+  }
+
+  return created;
+};
+
+// Check for due occurrences periodically; the timer doesn't keep the
+// process alive on its own
+const startRecurringTaskScheduler = (io) => {
+  const run = () => generateDueOccurrences(io).catch(error => {
+    console.error('Recurring task scheduler error:', error);
+  });
+
+  const timer = setInterval(run, SCHEDULER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  normalizeRule,
+  getNextOccurrenceDate,
+  createSeries,
+  updateSeries,
+  handleTaskCompleted,
+  generateDueOccurrences,
+  startRecurringTaskScheduler
+};
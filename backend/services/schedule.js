@@ -0,0 +1,219 @@
+const Task = require('../models/Task');
+
+// Critical path scheduling over a project's blocking dependencies. Open work
+// is scheduled from now: a task starts once its blockers finish (and not
+// before its own startDate) and runs for its remaining estimate, converted
+// to calendar time at SCHEDULE_HOURS_PER_DAY hours a day.
+const HOURS_PER_DAY = parseFloat(process.env.SCHEDULE_HOURS_PER_DAY) || 8;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_DURATION_MS = DAY_MS; // Tasks with no estimate or dates
+const SLACK_TOLERANCE_MS = 60 * 1000; // Treat under a minute of slack as none
+
+// Durations are reported in working hours; slack and lateness in calendar hours
+const toHours = (ms) => Math.round((ms / HOUR_MS) * 100) / 100;
+const toWorkingHours = (ms) => Math.round((ms / DAY_MS) * HOURS_PER_DAY * 100) / 100;
+
+// Planned working time for a task, and where the figure came from
+const getDuration = (task) => {
+  if (task.estimatedHours) {
+    return { ms: (task.estimatedHours / HOURS_PER_DAY) * DAY_MS, source: 'estimate' };
+  }
+
+  if (task.startDate && task.dueDate && task.dueDate > task.startDate) {
+    return { ms: task.dueDate - task.startDate, source: 'dates' };
+  }
+
+  return { ms: DEFAULT_DURATION_MS, source: 'default' };
+};
+
+// Order tasks so blockers come before the tasks they block; tasks caught in
+// a cycle are left out and returned separately
+const topologicalOrder = (nodes) => {
+  const inDegree = new Map();
+  nodes.forEach((node, id) => inDegree.set(id, node.predecessors.length));
+
+  const queue = [...nodes.keys()].filter(id => inDegree.get(id) === 0);
+  const order = [];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+
+    for (const successor of nodes.get(id).successors) {
+      inDegree.set(successor, inDegree.get(successor) - 1);
+      if (inDegree.get(successor) === 0) {
+        queue.push(successor);
+      }
+    }
+  }
+
+  const unscheduled = [...nodes.keys()].filter(id => inDegree.get(id) > 0);
+  return { order, unscheduled };
+};
+
+// Compute the schedule for a project: earliest/latest dates and slack per
+// task, the critical path, the projected finish and impossible due dates
+const computeProjectSchedule = async (project, now = new Date()) => {
+  const tasks = await Task.find({
+    project: project._id,
+    isArchived: { $ne: true },
+    statusCategory: { $ne: 'cancelled' }
+  })
+    .select('title status statusCategory priority assignee startDate dueDate completedAt estimatedHours progress dependencies updatedAt')
+    .populate('assignee', 'name email avatar')
+    .lean();
+
+  const nodes = new Map();
+
+  for (const task of tasks) {
+    nodes.set(task._id.toString(), { task, predecessors: [], successors: [] });
+  }
+
+  // Only blocking links between scheduled tasks shape the schedule
+  for (const [id, node] of nodes) {
+    for (const dependency of node.task.dependencies || []) {
+      const otherId = dependency.task && dependency.task.toString();
+      if (dependency.type === 'blocks' && nodes.has(otherId)) {
+        node.successors.push(otherId);
+        nodes.get(otherId).predecessors.push(id);
+      }
+    }
+  }
+
+  const { order, unscheduled } = topologicalOrder(nodes);
+  const nowMs = now.getTime();
+
+  // Forward pass: earliest start and finish
+  for (const id of order) {
+    const node = nodes.get(id);
+    const { task } = node;
+    const duration = getDuration(task);
+
+    node.durationMs = duration.ms;
+    node.durationSource = duration.source;
+
+    if (task.statusCategory === 'done') {
+      const finish = new Date(task.completedAt || task.updatedAt).getTime();
+      node.earliestStart = task.startDate ? Math.min(new Date(task.startDate).getTime(), finish) : finish;
+      node.earliestFinish = finish;
+      node.remainingMs = 0;
+      continue;
+    }
+
+    let start = Math.max(nowMs, task.startDate ? new Date(task.startDate).getTime() : 0);
+    node.drivenBy = null;
+
+    for (const predecessorId of node.predecessors) {
+      const predecessorFinish = nodes.get(predecessorId).earliestFinish;
+      if (predecessorFinish > start) {
+        start = predecessorFinish;
+        node.drivenBy = predecessorId;
+      }
+    }
+
+    node.remainingMs = duration.ms * (1 - (task.progress || 0) / 100);
+    node.earliestStart = start;
+    node.earliestFinish = start + node.remainingMs;
+  }
+
+  const scheduled = order.map(id => nodes.get(id));
+  const projectedFinish = scheduled.length > 0
+    ? Math.max(...scheduled.map(node => node.earliestFinish))
+    : null;
+
+  // Backward pass: latest finish and start that don't delay the project
+  for (const id of [...order].reverse()) {
+    const node = nodes.get(id);
+
+    if (node.task.statusCategory === 'done') {
+      continue;
+    }
+
+    const successorStarts = node.successors
+      .map(successorId => nodes.get(successorId))
+      .filter(successor => successor.task.statusCategory !== 'done')
+      .map(successor => successor.latestStart);
+
+    node.latestFinish = Math.min(projectedFinish, ...successorStarts);
+    node.latestStart = node.latestFinish - node.remainingMs;
+    node.slackMs = Math.max(0, node.latestStart - node.earliestStart);
+    node.isCritical = node.slackMs <= SLACK_TOLERANCE_MS;
+  }
+
+  // Trace one critical chain back from the task that finishes last
+  const criticalPath = [];
+  let current = scheduled
+    .filter(node => node.isCritical && node.earliestFinish === projectedFinish)
+    .sort((a, b) => a.earliestStart - b.earliestStart)[0];
+
+  while (current) {
+    criticalPath.unshift(current.task._id);
+    const start = current.earliestStart;
+    current = current.predecessors
+      .map(predecessorId => nodes.get(predecessorId))
+      .find(predecessor => predecessor.isCritical && predecessor.earliestFinish === start);
+  }
+
+  const conflicts = [];
+
+  const scheduleTasks = scheduled.map(node => {
+    const { task } = node;
+    const isOpen = task.statusCategory !== 'done';
+    let dueDateConflict = null;
+
+    // An open task can't finish by its due date; blame its blockers when
+    // they are what pushes it out
+    if (isOpen && task.dueDate && node.earliestFinish > new Date(task.dueDate).getTime()) {
+      dueDateConflict = {
+        reason: node.drivenBy ? 'blockers' : 'estimate',
+        drivenBy: node.drivenBy,
+        lateByHours: toHours(node.earliestFinish - new Date(task.dueDate).getTime())
+      };
+      conflicts.push(task._id);
+    }
+
+    return {
+      _id: task._id,
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      assignee: task.assignee,
+      startDate: task.startDate,
+      dueDate: task.dueDate,
+      durationHours: toWorkingHours(node.durationMs),
+      durationSource: node.durationSource,
+      remainingHours: toWorkingHours(node.remainingMs),
+      earliestStart: new Date(node.earliestStart),
+      earliestFinish: new Date(node.earliestFinish),
+      latestStart: isOpen ? new Date(node.latestStart) : null,
+      latestFinish: isOpen ? new Date(node.latestFinish) : null,
+      slackHours: isOpen ? toHours(node.slackMs) : null,
+      isCritical: Boolean(node.isCritical),
+      predecessors: node.predecessors,
+      dueDateConflict
+    };
+  });
+
+  const dueDate = project.dueDate ? new Date(project.dueDate) : null;
+  const isLate = Boolean(dueDate && projectedFinish && projectedFinish > dueDate.getTime());
+
+  return {
+    computedAt: now,
+    hoursPerDay: HOURS_PER_DAY,
+    projectedStart: scheduled.length > 0 ? new Date(Math.min(...scheduled.map(node => node.earliestStart))) : null,
+    projectedFinish: projectedFinish !== null ? new Date(projectedFinish) : null,
+    dueDate,
+    isLate,
+    lateByHours: isLate ? toHours(projectedFinish - dueDate.getTime()) : 0,
+    criticalPath,
+    conflicts,
+    unscheduled,
+    tasks: scheduleTasks
+  };
+};
+
+module.exports = {
+  HOURS_PER_DAY,
+  computeProjectSchedule
+};
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken
+} = require('../middleware/auth');
+
+const newTokenId = () => crypto.randomBytes(32).toString('hex');
+
+// Describe the device a request came from
+const getClientInfo = (req) => ({
+  ip: req.ip || null,
+  userAgent: (req.get('User-Agent') || '').slice(0, 500) || null
+});
+
+// Sign a token pair for a session; the session expires with its refresh token
+const signTokens = (userId, sessionId, tokenId) => {
+  const accessToken = generateToken(userId, sessionId);
+  const refreshToken = generateRefreshToken(userId, sessionId, tokenId);
+  const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+  return { accessToken, refreshToken, expiresAt };
+};
+
+// Start a new session for a signed-in user and issue its first token pair
+const startSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    ...getClientInfo(req)
+  });
+
+  const tokenId = newTokenId();
+  const { accessToken, refreshToken, expiresAt } = signTokens(user._id, session._id, tokenId);
+
+  session.tokenHash = Session.hashTokenId(tokenId);
+  session.expiresAt = expiresAt;
+  await session.save();
+
+  return { session, accessToken, refreshToken };
+};
+
+// Exchange a refresh token for a new pair. Each refresh token works once;
+// presenting one that was already rotated revokes the whole session.
+const refreshSession = async (refreshToken, req) => {
+  let decoded;
+
+  try {
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    throw new AppError('Invalid or expired refresh token', 401);
+  }
+
+  // Tokens issued before sessions were persisted can't be rotated
+  if (!decoded.sid || !decoded.jti) {
+    throw new AppError('Invalid or expired refresh token', 401);
+  }
+
+  const session = await Session.findById(decoded.sid);
+
+  if (!session || !session.isActive || session.user.toString() !== decoded.userId) {
+    throw new AppError('Invalid or expired refresh token', 401);
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user || !user.isActive) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  const tokenId = newTokenId();
+  const tokens = signTokens(user._id, session._id, tokenId);
+
+  const rotated = await Session.rotate(session._id, decoded.jti, tokenId, {
+    expiresAt: tokens.expiresAt,
+    ...getClientInfo(req)
+  });
+
+  if (!rotated) {
+    await session.revoke('token_reuse');
+    req.io.to(`session_${session._id}`).disconnectSockets(true);
+    console.warn(`Refresh token reuse detected for user ${user._id}, session ${session._id} revoked`);
+    throw new AppError('Refresh token has already been used - please sign in again', 401);
+  }
+
+  return {
+    session: rotated,
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken
+  };
+};
+
+// End one session and disconnect its sockets
+const endSession = async (io, session, reason) => {
+  await session.revoke(reason);
+  io.to(`session_${session._id}`).disconnectSockets(true);
+};
+
+// End every session of a user and reject access tokens issued so far.
+// Their sockets are disconnected too.
+const endAllSessions = async (io, userId, reason) => {
+  await Session.revokeAllForUser(userId, reason);
+  await User.findByIdAndUpdate(userId, { tokensValidAfter: new Date() });
+  io.to(`user_${userId}`).disconnectSockets(true);
+};
+
+module.exports = {
+  getClientInfo,
+  startSession,
+  refreshSession,
+  endSession,
+  endAllSessions
+};
@@ -0,0 +1,123 @@
+const Sprint = require('../models/Sprint');
+const Task = require('../models/Task');
+const { AppError } = require('../middleware/errorHandler');
+
+// Sprints move planned -> active -> closed, with at most one active sprint
+// per project. Closing freezes the sprint's progress and rolls its
+// unfinished (neither done nor cancelled) tasks over to the next planned sprint, or the backlog.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SPRINT_LENGTH_DAYS = parseInt(process.env.SPRINT_LENGTH_DAYS) || 14;
+
+// Sprint a task may be planned into: one of its project's open sprints
+const resolveSprint = async (projectId, sprintId) => {
+  if (!sprintId) {
+    return null;
+  }
+
+  const sprint = await Sprint.findOne({ _id: sprintId, project: projectId });
+  if (!sprint) {
+    throw new AppError('Sprint must belong to the task\'s project', 400);
+  }
+
+  if (sprint.state === 'closed') {
+    throw new AppError('Tasks cannot be added to a closed sprint', 400);
+  }
+
+  return sprint;
+};
+
+// Earliest planned sprint after `sprint`; undated sprints come last
+const findNextSprint = async (sprint) => {
+  const planned = await Sprint.find({
+    project: sprint.project,
+    state: 'planned',
+    _id: { $ne: sprint._id }
+  });
+
+  const startOf = (candidate) => (candidate.startDate ? candidate.startDate.getTime() : Infinity);
+
+  return planned.sort((a, b) => startOf(a) - startOf(b) || a.createdAt - b.createdAt)[0] || null;
+};
+
+const startSprint = async (sprint, user) => {
+  if (sprint.state !== 'planned') {
+    throw new AppError(`Only planned sprints can be started; this one is ${sprint.state}`, 409);
+  }
+
+  const active = await Sprint.findOne({ project: sprint.project, state: 'active' }).select('name');
+  if (active) {
+    throw new AppError(`Sprint "${active.name}" is already active; close it first`, 409);
+  }
+
+  const now = new Date();
+  sprint.startDate = sprint.startDate || now;
+  sprint.endDate = sprint.endDate || new Date(sprint.startDate.getTime() + SPRINT_LENGTH_DAYS * DAY_MS);
+
+  if (sprint.endDate <= sprint.startDate) {
+    throw new AppError('Sprint end date must be after its start date', 400);
+  }
+
+  sprint.state = 'active';
+  sprint.startedAt = now;
+  sprint.startedBy = user._id;
+
+  return sprint.updateProgress();
+};
+
+// Close an active sprint. `rollOverTo` is a sprint ID, 'backlog', or
+// omitted for the next planned sprint.
+const closeSprint = async (sprint, user, { rollOverTo = null } = {}) => {
+  if (sprint.state !== 'active') {
+    throw new AppError(`Only active sprints can be closed; this one is ${sprint.state}`, 409);
+  }
+
+  let target = null;
+  if (rollOverTo && rollOverTo !== 'backlog') {
+    target = await Sprint.findOne({ _id: rollOverTo, project: sprint.project, state: 'planned' });
+    if (!target) {
+      throw new AppError('Unfinished tasks can only roll over to a planned sprint in the same project', 400);
+    }
+  } else if (!rollOverTo) {
+    target = await findNextSprint(sprint);
+  }
+
+  // Freeze progress as it stood at the close
+  await sprint.updateProgress();
+
+  const { modifiedCount } = await Task.updateMany(
+    { sprint: sprint._id, statusCategory: { $nin: Task.CLOSED_CATEGORIES } },
+    {
+      $set: { sprint: target ? target._id : null },
+      $push: {
+        activity: {
+          type: 'updated',
+          user: user._id,
+          description: target
+            ? `Rolled over from sprint "${sprint.name}" to "${target.name}"`
+            : `Moved to the backlog when sprint "${sprint.name}" closed`,
+          timestamp: new Date()
+        }
+      }
+    }
+  );
+
+  sprint.state = 'closed';
+  sprint.closedAt = new Date();
+  sprint.closedBy = user._id;
+  sprint.rolledOverTo = target ? target._id : null;
+  sprint.rolledOverTasks = modifiedCount;
+  await sprint.save();
+
+  if (target) {
+    await target.updateProgress();
+  }
+
+  return { sprint, rolledOverTo: target, rolledOverTasks: modifiedCount };
+};
+
+module.exports = {
+  SPRINT_LENGTH_DAYS,
+  resolveSprint,
+  startSprint,
+  closeSprint
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local disk storage (default). Files live under UPLOAD_DIR and are
+// addressed by a forward-slash key such as "avatars/<userId>/<file>".
+class LocalStorage {
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+    this.baseUrl = options.baseUrl || process.env.UPLOAD_BASE_URL || '/uploads';
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+
+    // Refuse keys that would escape the upload directory
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return this.getUrl(key);
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  getUrl(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+}
+
+// S3-compatible storage (AWS S3, MinIO, R2...). Requires the optional
+// @aws-sdk/client-s3 package and the S3_* environment variables.
+class S3Storage {
+  constructor(options = {}) {
+    let sdk;
+    try {
+      sdk = require('@aws-sdk/client-s3');
+    } catch (error) {
+      throw new Error('S3 storage requires the @aws-sdk/client-s3 package');
+    }
+
+    this.sdk = sdk;
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+    this.baseUrl = options.baseUrl || process.env.S3_PUBLIC_URL;
+
+    if (!this.bucket) {
+      throw new Error('S3_BUCKET must be set when STORAGE_DRIVER is s3');
+    }
+
+    this.client = new sdk.S3Client({
+      region: options.region || process.env.S3_REGION || 'us-east-1',
+      endpoint: options.endpoint || process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+      credentials: process.env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      } : undefined
+    });
+  }
+
+  async save(key, buffer, contentType) {
+    await this.client.send(new this.sdk.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+    return this.getUrl(key);
+  }
+
+  async remove(key) {
+    await this.client.send(new this.sdk.DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new this.sdk.HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async createReadStream(key) {
+    const response = await this.client.send(new this.sdk.GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+    return response.Body;
+  }
+
+  getUrl(key) {
+    if (this.baseUrl) {
+      return `${this.baseUrl}/${key}`;
+    }
+    return `https://${this.bucket}.s3.amazonaws.com/${key}`;
+  }
+}
+
+const drivers = {
+  local: LocalStorage,
+  s3: S3Storage
+};
+
+let storage = null;
+
+// Get the configured storage backend (STORAGE_DRIVER, defaults to local)
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    const Driver = drivers[driver];
+
+    if (!Driver) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+
+    storage = new Driver();
+  }
+  return storage;
+};
+
+module.exports = {
+  LocalStorage,
+  S3Storage,
+  getStorage
+};
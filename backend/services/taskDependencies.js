@@ -0,0 +1,236 @@
+const Task = require('../models/Task');
+const { AppError } = require('../middleware/errorHandler');
+
+// Dependencies are stored on both tasks: "A blocks B" is saved as
+// { task: B, type: 'blocks' } on A and { task: A, type: 'blocked-by' } on B
+const REVERSE_TYPES = {
+  'blocks': 'blocked-by',
+  'blocked-by': 'blocks',
+  'relates-to': 'relates-to'
+};
+const DEPENDENCY_TYPES = Object.keys(REVERSE_TYPES);
+const GRAPH_FIELDS = 'title status statusCategory priority assignee dueDate estimatedHours dependencies';
+const MAX_GRAPH_SIZE = 1000; // Stop walking graphs beyond this many tasks
+
+// Tasks in a done or cancelled status no longer block anything
+const isOpen = (task) => !Task.CLOSED_CATEGORIES.includes(task.statusCategory);
+
+const linkedIds = (task, type) => task.dependencies
+  .filter(dependency => dependency.type === type && dependency.task)
+  .map(dependency => (dependency.task._id || dependency.task).toString());
+
+// Walk the graph from a task along one dependency type ('blocks' walks
+// downstream, 'blocked-by' upstream); resolves to the reached tasks keyed by
+// ID with their distance from the start, and whether the walk stopped at
+// MAX_GRAPH_SIZE before reaching every task
+const walkGraph = async (taskId, type) => {
+  const startId = taskId.toString();
+  const reached = new Map();
+  const start = await Task.findById(startId).select(GRAPH_FIELDS).lean();
+  let frontier = start ? linkedIds(start, type) : [];
+  let depth = 1;
+
+  while (frontier.length > 0 && reached.size < MAX_GRAPH_SIZE) {
+    const tasks = await Task.find({ _id: { $in: frontier } })
+      .select(GRAPH_FIELDS)
+      .populate('assignee', 'name email avatar')
+      .lean();
+    const next = new Set();
+
+    for (const task of tasks) {
+      reached.set(task._id.toString(), { task, depth });
+    }
+
+    for (const task of tasks) {
+      for (const id of linkedIds(task, type)) {
+        if (id !== startId && !reached.has(id)) {
+          next.add(id);
+        }
+      }
+    }
+
+    frontier = [...next];
+    depth += 1;
+  }
+
+  return { reached, truncated: frontier.length > 0 };
+};
+
+// Whether making blockerId block blockedId would close a loop, i.e. the
+// blocker is already downstream of the blocked task. A graph too large to
+// walk completely can't be shown to be acyclic, so the link is refused.
+const wouldCreateCycle = async (blockerId, blockedId) => {
+  if (blockerId.toString() === blockedId.toString()) {
+    return true;
+  }
+
+  const { reached, truncated } = await walkGraph(blockedId, 'blocks');
+  if (reached.has(blockerId.toString())) {
+    return true;
+  }
+
+  if (truncated) {
+    throw new AppError(`More than ${MAX_GRAPH_SIZE} tasks depend on this task, so the new dependency can't be checked for cycles`, 400);
+  }
+
+  return false;
+};
+
+// Link two tasks, storing the reverse link on the other task
+const addDependency = async (task, otherTask, type, userId) => {
+  if (task._id.equals(otherTask._id)) {
+    throw new AppError('A task cannot depend on itself', 400);
+  }
+
+  const projectId = task.project._id || task.project;
+  if (!projectId.equals(otherTask.project._id || otherTask.project)) {
+    throw new AppError('Dependencies must be between tasks in the same project', 400);
+  }
+
+  if (task.dependencies.some(dependency => dependency.task && dependency.task.equals(otherTask._id))) {
+    throw new AppError('These tasks are already linked', 400);
+  }
+
+  if (type !== 'relates-to') {
+    const [blocker, blocked] = type === 'blocks' ? [task, otherTask] : [otherTask, task];
+
+    if (await wouldCreateCycle(blocker._id, blocked._id)) {
+      throw new AppError(`"${blocked.title}" already blocks "${blocker.title}"; this dependency would create a cycle`, 400);
+    }
+  }
+
+  const link = async (from, to, linkType) => {
+    const description = `Added dependency: ${linkType} "${to.title}"`;
+
+    // Only push if the tasks aren't already linked, in case of a concurrent add
+    const result = await Task.updateOne(
+      { _id: from._id, 'dependencies.task': { $ne: to._id } },
+      {
+        $push: {
+          dependencies: { task: to._id, type: linkType },
+          activity: { type: 'dependency_added', user: userId, description, newValue: { task: to._id, type: linkType } }
+        }
+      }
+    );
+    return result.modifiedCount > 0;
+  };
+
+  if (!await link(task, otherTask, type)) {
+    throw new AppError('These tasks are already linked', 400);
+  }
+  await link(otherTask, task, REVERSE_TYPES[type]);
+};
+
+// Unlink two tasks on both sides; resolves to whether a link existed
+const removeDependency = async (task, otherTaskId, userId) => {
+  const dependency = task.dependencies.find(item => item.task && item.task.equals(otherTaskId));
+
+  if (!dependency) {
+    return false;
+  }
+
+  const otherTask = await Task.findById(otherTaskId).select('title');
+
+  const unlink = (fromId, toId, description) => Task.updateOne(
+    { _id: fromId },
+    {
+      $pull: { dependencies: { task: toId } },
+      $push: { activity: { type: 'dependency_removed', user: userId, description, oldValue: { task: toId } } }
+    }
+  );
+
+  await unlink(task._id, otherTaskId, `Removed dependency on "${otherTask ? otherTask.title : 'deleted task'}"`);
+  if (otherTask) {
+    await unlink(otherTaskId, task._id, `Removed dependency on "${task.title}"`);
+  }
+
+  return true;
+};
+
+// Tasks that block this one and are still open
+const getOpenBlockers = (task) => {
+  return Task.find({
+    _id: { $in: linkedIds(task, 'blocked-by') },
+    statusCategory: { $nin: Task.CLOSED_CATEGORIES }
+  }).select('title status statusCategory assignee');
+};
+
+// Refuse to complete a task while its blockers are open, unless forced;
+// resolves to the open blockers so forced completions can report them
+const checkCompletionAllowed = async (task, force = false) => {
+  const blockers = await getOpenBlockers(task);
+
+  if (blockers.length > 0 && !force) {
+    const titles = blockers.map(blocker => `"${blocker.title}"`).join(', ');
+    throw new AppError(`This task is blocked by ${blockers.length} open task(s): ${titles}. Complete them first or pass force to override.`, 409);
+  }
+
+  return blockers;
+};
+
+const toGraphNode = ({ task, depth }) => ({
+  _id: task._id,
+  title: task.title,
+  status: task.status,
+  statusCategory: task.statusCategory,
+  priority: task.priority,
+  assignee: task.assignee,
+  dueDate: task.dueDate,
+  estimatedHours: task.estimatedHours,
+  isOpen: isOpen(task),
+  depth
+});
+
+// Every task upstream (transitively blocking) and downstream (transitively
+// blocked by) the given task, plus the blocking edges between them
+const getDependencyGraph = async (task) => {
+  const [{ reached: upstream }, { reached: downstream }] = await Promise.all([
+    walkGraph(task._id, 'blocked-by'),
+    walkGraph(task._id, 'blocks')
+  ]);
+
+  const taskId = task._id.toString();
+  const edges = [];
+  const edgeKeys = new Set();
+  const addEdge = (from, to) => {
+    const key = `${from}:${to}`;
+    if (!edgeKeys.has(key)) {
+      edgeKeys.add(key);
+      edges.push({ from, to });
+    }
+  };
+
+  const inGraph = (id) => id === taskId || upstream.has(id) || downstream.has(id);
+
+  linkedIds(task, 'blocks').forEach(id => addEdge(taskId, id));
+  linkedIds(task, 'blocked-by').forEach(id => addEdge(id, taskId));
+
+  for (const { task: node } of [...upstream.values(), ...downstream.values()]) {
+    const nodeId = node._id.toString();
+    linkedIds(node, 'blocks').filter(inGraph).forEach(id => addEdge(nodeId, id));
+    linkedIds(node, 'blocked-by').filter(inGraph).forEach(id => addEdge(id, nodeId));
+  }
+
+  const byDepth = (a, b) => a.depth - b.depth;
+
+  return {
+    upstream: [...upstream.values()].map(toGraphNode).sort(byDepth),
+    downstream: [...downstream.values()].map(toGraphNode).sort(byDepth),
+    related: task.dependencies
+      .filter(dependency => dependency.type === 'relates-to' && dependency.task)
+      .map(dependency => dependency.task),
+    edges,
+    openBlockers: [...upstream.values()].filter(({ task: node, depth }) => depth === 1 && isOpen(node)).length
+  };
+};
+
+module.exports = {
+  DEPENDENCY_TYPES,
+  REVERSE_TYPES,
+  wouldCreateCycle,
+  addDependency,
+  removeDependency,
+  getOpenBlockers,
+  checkCompletionAllowed,
+  getDependencyGraph
+};
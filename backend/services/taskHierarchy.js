@@ -0,0 +1,160 @@
+const Task = require('../models/Task');
+const { AppError } = require('../middleware/errorHandler');
+const { getInitialStatus } = require('./workflows');
+const { getEndPosition } = require('./taskOrdering');
+
+// Epics hold stories and tasks, stories hold tasks and sub-tasks, and tasks
+// hold sub-tasks. A child is always a later type than its parent, so parent
+// chains can't loop and trees are at most four levels deep.
+const ALLOWED_CHILDREN = {
+  epic: ['story', 'task'],
+  story: ['task', 'sub-task'],
+  task: ['sub-task'],
+  'sub-task': []
+};
+const MAX_DEPTH = Task.TASK_TYPES.length - 1;
+
+// Type checklist subtasks become when converted into child tasks
+const CONVERTED_TYPES = {
+  epic: 'task',
+  story: 'sub-task',
+  task: 'sub-task'
+};
+
+const TREE_FIELDS = 'title status statusCategory taskType priority assignee dueDate progress rollup parent';
+
+// Parent a task of `taskType` may sit under: a task in the same project
+// whose type can hold it
+const resolveParent = async (projectId, parentId, taskType) => {
+  if (!parentId) {
+    return null;
+  }
+
+  const parent = await Task.findOne({ _id: parentId, project: projectId }).select('title taskType parent');
+  if (!parent) {
+    throw new AppError('Parent task must belong to the same project', 400);
+  }
+
+  if (!ALLOWED_CHILDREN[parent.taskType].includes(taskType)) {
+    throw new AppError(`Tasks of type ${taskType} cannot be placed under a ${parent.taskType}`, 400);
+  }
+
+  return parent;
+};
+
+// Check a task's existing children can stay under it as `taskType`
+const checkChildTypes = async (task, taskType) => {
+  const misplaced = await Task.countDocuments({
+    parent: task._id,
+    taskType: { $nin: ALLOWED_CHILDREN[taskType] }
+  });
+
+  if (misplaced > 0) {
+    throw new AppError(`${misplaced} child task(s) cannot stay under a ${taskType}; move them first`, 409);
+  }
+};
+
+// The task's ancestors, outermost first, and its descendants nested under
+// their parents. Children are loaded a level at a time.
+const getTaskTree = async (task) => {
+  const ancestors = [];
+  let parentId = task.parent && (task.parent._id || task.parent);
+
+  while (parentId && ancestors.length < MAX_DEPTH) {
+    const parent = await Task.findById(parentId).select('title status statusCategory taskType parent').lean();
+    if (!parent) break;
+    ancestors.unshift(parent);
+    parentId = parent.parent;
+  }
+
+  const root = { _id: task._id, children: [] };
+  let level = [root];
+
+  for (let depth = 0; level.length > 0 && depth < MAX_DEPTH; depth++) {
+    const nodes = new Map(level.map(node => [node._id.toString(), node]));
+    const children = await Task.find({ parent: { $in: [...nodes.keys()] } })
+      .select(TREE_FIELDS)
+      .populate('assignee', 'name email avatar')
+      .sort({ position: 1, createdAt: 1 })
+      .lean();
+
+    children.forEach(child => {
+      child.children = [];
+      nodes.get(child.parent.toString()).children.push(child);
+    });
+    level = children;
+  }
+
+  return { ancestors, children: root.children };
+};
+
+// Turn embedded checklist subtasks into child tasks; all of them when
+// `subtaskIds` is omitted. Completed rows start in the first done status.
+const convertSubtasks = async (task, project, user, subtaskIds = null) => {
+  const childType = CONVERTED_TYPES[task.taskType];
+  if (!childType) {
+    throw new AppError('Sub-tasks cannot have child tasks', 400);
+  }
+
+  const subtasks = subtaskIds
+    ? subtaskIds.map(id => {
+      const subtask = task.subtasks.id(id);
+      if (!subtask) {
+        throw new AppError('Subtask not found', 404);
+      }
+      return subtask;
+    })
+    : [...task.subtasks];
+
+  if (subtasks.length === 0) {
+    throw new AppError('Task has no subtasks to convert', 400);
+  }
+
+  const initialStatus = getInitialStatus(project);
+  const doneStatus = project.getWorkflow().statuses.find(status => status.category === 'done');
+
+  const children = [];
+  for (const subtask of subtasks) {
+    const status = subtask.completed ? doneStatus : initialStatus;
+    const child = new Task({
+      title: subtask.title,
+      project: project._id,
+      creator: user._id,
+      taskType: childType,
+      parent: task._id,
+      sprint: task.sprint,
+      status: status.key,
+      statusCategory: status.category,
+      completedAt: subtask.completed ? subtask.completedAt || new Date() : null,
+      position: await getEndPosition(project._id, status.key)
+    });
+    child.addActivity('created', user._id, `Converted from a subtask of "${task.title}"`);
+    await child.save();
+    children.push(child);
+  }
+
+  subtasks.forEach(subtask => task.subtasks.pull(subtask._id));
+  task.addActivity('updated', user._id, `Converted ${children.length} subtask(s) into child tasks`);
+  await task.save();
+
+  const { rollup } = await Task.findById(task._id).select('rollup');
+  return { children, rollup };
+};
+
+// Move a deleted task's children to the top level and refresh its parent
+const detachChildren = async (task) => {
+  await Task.updateMany({ parent: task._id }, { $set: { parent: null } });
+
+  if (task.parent) {
+    await Task.updateRollup(task.parent);
+  }
+};
+
+module.exports = {
+  ALLOWED_CHILDREN,
+  resolveParent,
+  checkChildTypes,
+  getTaskTree,
+  convertSubtasks,
+  detachChildren
+};
@@ -0,0 +1,111 @@
+const Task = require('../models/Task');
+const { AppError } = require('../middleware/errorHandler');
+
+// Kanban order within a status column is ascending Task.position. Moves
+// take the midpoint between the new neighbours, so only the moved task is
+// written; a column is renumbered only once neighbours get too close or
+// share a position (as every task did before positions were assigned).
+const POSITION_STEP = 1024;
+const MIN_GAP = 1e-6;
+
+// Same order the board is listed in
+const COLUMN_SORT = { position: 1, createdAt: -1 };
+
+// Position for a task added to the bottom of a column
+const getEndPosition = async (projectId, status) => {
+  const last = await Task.findOne({ project: projectId, status })
+    .sort({ position: -1 })
+    .select('position');
+
+  return last ? last.position + POSITION_STEP : POSITION_STEP;
+};
+
+// Renumber a column in its current order; resolves to the new positions
+const rebalanceColumn = async (projectId, status, excludeId = null) => {
+  const filter = { project: projectId, status };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+
+  const tasks = await Task.find(filter).sort(COLUMN_SORT).select('_id');
+  const positions = tasks.map((task, index) => ({ _id: task._id, position: (index + 1) * POSITION_STEP }));
+
+  if (positions.length > 0) {
+    await Task.bulkWrite(positions.map(({ _id, position }) => ({
+      updateOne: { filter: { _id }, update: { $set: { position } } }
+    })));
+  }
+
+  return positions;
+};
+
+// Find the tasks the moved task will sit between. The previous task is
+// trusted over the next one, and its current successor is looked up so a
+// stale board can't produce an out of order position.
+const findNeighbours = async (task, status, previousTaskId, nextTaskId) => {
+  const column = { project: task.project._id || task.project, status, _id: { $ne: task._id } };
+
+  const loadNeighbour = async (id) => {
+    const neighbour = await Task.findOne({ ...column, _id: { $eq: id, $ne: task._id } }).select('position createdAt');
+    if (!neighbour) {
+      throw new AppError('Neighbouring task must be in the target column of the same project', 400);
+    }
+    return neighbour;
+  };
+
+  if (previousTaskId) {
+    const previous = await loadNeighbour(previousTaskId);
+    const next = await Task.findOne({ ...column, _id: { $nin: [task._id, previous._id] }, position: { $gt: previous.position } })
+      .sort(COLUMN_SORT)
+      .select('position');
+    const tied = await Task.exists({ ...column, _id: { $nin: [task._id, previous._id] }, position: previous.position });
+    return { previous, next, tied: Boolean(tied) };
+  }
+
+  if (nextTaskId) {
+    const next = await loadNeighbour(nextTaskId);
+    const previous = await Task.findOne({ ...column, _id: { $nin: [task._id, next._id] }, position: { $lt: next.position } })
+      .sort({ position: -1, createdAt: 1 })
+      .select('position');
+    const tied = await Task.exists({ ...column, _id: { $nin: [task._id, next._id] }, position: next.position });
+    return { previous, next, tied: Boolean(tied) };
+  }
+
+  // No neighbours given: move to the top of the column
+  const next = await Task.findOne(column).sort(COLUMN_SORT).select('position');
+  return { previous: null, next, tied: false };
+};
+
+const positionBetween = (previous, next) => {
+  if (previous && next) return (previous.position + next.position) / 2;
+  if (previous) return previous.position + POSITION_STEP;
+  if (next) return next.position - POSITION_STEP;
+  return POSITION_STEP;
+};
+
+// Work out the moved task's new position in `status`; resolves to the
+// position and, if the column had to be renumbered, its new positions
+const getMovePosition = async (task, status, { previousTaskId = null, nextTaskId = null } = {}) => {
+  let neighbours = await findNeighbours(task, status, previousTaskId, nextTaskId);
+  let rebalanced = [];
+
+  const tooClose = neighbours.previous && neighbours.next &&
+    neighbours.next.position - neighbours.previous.position < MIN_GAP;
+
+  if (neighbours.tied || tooClose) {
+    rebalanced = await rebalanceColumn(task.project._id || task.project, status, task._id);
+    neighbours = await findNeighbours(task, status, previousTaskId, nextTaskId);
+  }
+
+  return {
+    position: positionBetween(neighbours.previous, neighbours.next),
+    rebalanced
+  };
+};
+
+module.exports = {
+  POSITION_STEP,
+  getEndPosition,
+  rebalanceColumn,
+  getMovePosition
+};
@@ -0,0 +1,168 @@
+const WorkLog = require('../models/WorkLog');
+const Task = require('../models/Task');
+const User = require('../models/User');
+
+// Weekly timesheets built from finished work logs. Weeks start on Monday
+// (UTC) and logs count towards the week they started in.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+const getWeekStart = (date) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+  return new Date(start.getTime() - daysSinceMonday * DAY_MS);
+};
+
+// Default to the last four weeks; ranges are capped at a year
+const resolveRange = ({ from, to } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  let start = from ? new Date(from) : new Date(getWeekStart(end).getTime() - 3 * 7 * DAY_MS);
+
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    start = new Date(end.getTime() - MAX_RANGE_DAYS * DAY_MS);
+  }
+
+  return { from: start, to: end };
+};
+
+// Sum minutes into weeks, and within each week by `keyOf`
+const groupByWeek = (logs, keyOf) => {
+  const weeks = new Map();
+
+  for (const log of logs) {
+    const weekStart = getWeekStart(log.startedAt).toISOString();
+    if (!weeks.has(weekStart)) {
+      weeks.set(weekStart, { minutes: 0, entries: new Map() });
+    }
+
+    const week = weeks.get(weekStart);
+    const key = keyOf(log);
+    week.minutes += log.durationMinutes;
+    week.entries.set(key, (week.entries.get(key) || 0) + log.durationMinutes);
+  }
+
+  return [...weeks.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([weekStart, week]) => ({
+      weekStart: new Date(weekStart),
+      totalHours: toHours(week.minutes),
+      entries: [...week.entries.entries()].map(([key, minutes]) => ({ key, hours: toHours(minutes) }))
+    }));
+};
+
+// Compare logged time with the estimate for each task
+const describeEstimate = (task) => {
+  const actualHours = task.actualHours || 0;
+  const isOverrun = Boolean(task.estimatedHours) && actualHours > task.estimatedHours;
+
+  return {
+    estimatedHours: task.estimatedHours,
+    actualHours,
+    isOverrun,
+    overrunHours: isOverrun ? Math.round((actualHours - task.estimatedHours) * 100) / 100 : 0
+  };
+};
+
+const findLogs = (filter, range) => WorkLog.find({
+  ...filter,
+  deletedAt: null,
+  isRunning: false,
+  startedAt: { $gte: range.from, $lte: range.to }
+})
+  .select('task project user startedAt durationMinutes')
+  .lean();
+
+// A user's weekly totals, split by task
+const getUserTimesheet = async (userId, query = {}) => {
+  const range = resolveRange(query);
+  const logs = await findLogs({ user: userId }, range);
+
+  const tasks = await Task.find({ _id: { $in: [...new Set(logs.map(log => log.task.toString()))] } })
+    .select('title project estimatedHours actualHours')
+    .populate('project', 'name color')
+    .lean();
+  const taskById = new Map(tasks.map(task => [task._id.toString(), task]));
+
+  const weeks = groupByWeek(logs, log => log.task.toString()).map(week => ({
+    weekStart: week.weekStart,
+    totalHours: week.totalHours,
+    tasks: week.entries.map(({ key, hours }) => {
+      const task = taskById.get(key);
+      return {
+        task: key,
+        title: task ? task.title : null,
+        project: task ? task.project : null,
+        hours
+      };
+    })
+  }));
+
+  return {
+    ...range,
+    totalHours: toHours(logs.reduce((sum, log) => sum + log.durationMinutes, 0)),
+    weeks,
+    overruns: tasks
+      .map(task => ({ task: task._id, title: task.title, ...describeEstimate(task) }))
+      .filter(task => task.isOverrun)
+  };
+};
+
+// A project's weekly totals split by user, and logged time against the
+// estimate for every task that has either
+const getProjectTimesheet = async (projectId, query = {}) => {
+  const range = resolveRange(query);
+  const logs = await findLogs({ project: projectId }, range);
+
+  const users = await User.find({ _id: { $in: [...new Set(logs.map(log => log.user.toString()))] } })
+    .select('name email avatar')
+    .lean();
+  const userById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const weeks = groupByWeek(logs, log => log.user.toString()).map(week => ({
+    weekStart: week.weekStart,
+    totalHours: week.totalHours,
+    users: week.entries.map(({ key, hours }) => ({ user: userById.get(key) || key, hours }))
+  }));
+
+  const loggedByTask = new Map();
+  for (const log of logs) {
+    const key = log.task.toString();
+    loggedByTask.set(key, (loggedByTask.get(key) || 0) + log.durationMinutes);
+  }
+
+  const tasks = await Task.find({
+    project: projectId,
+    $or: [
+      { _id: { $in: [...loggedByTask.keys()] } },
+      { estimatedHours: { $gt: 0 } }
+    ]
+  })
+    .select('title status assignee estimatedHours actualHours')
+    .populate('assignee', 'name email avatar')
+    .lean();
+
+  const taskSummaries = tasks.map(task => ({
+    task: task._id,
+    title: task.title,
+    status: task.status,
+    assignee: task.assignee,
+    loggedHours: toHours(loggedByTask.get(task._id.toString()) || 0),
+    ...describeEstimate(task)
+  }));
+
+  return {
+    ...range,
+    totalHours: toHours(logs.reduce((sum, log) => sum + log.durationMinutes, 0)),
+    weeks,
+    tasks: taskSummaries,
+    overruns: taskSummaries.filter(task => task.isOverrun).map(task => task.task)
+  };
+};
+
+module.exports = {
+  getWeekStart,
+  getUserTimesheet,
+  getProjectTimesheet
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (the codes shown by authenticator
+// apps) and single-use recovery codes
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // Seconds per code
+const TOTP_WINDOW = 1; // Codes accepted either side of now, for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'SynergySphere';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = '';
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a new shared secret, base32 encoded as authenticator apps expect
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Compute the code for a time step
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+const getCurrentStep = () => Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+// Check a code against the secret. Resolves to the matching time step, or
+// null; steps at or before lastUsedStep are rejected so a code works once.
+const verifyCode = (secret, code, lastUsedStep = null) => {
+  const token = String(code || '').replace(/\s+/g, '');
+  if (!secret || !/^\d+$/.test(token) || token.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = getCurrentStep();
+
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// Build the otpauth:// URI that authenticator apps read from a QR code
+const buildOtpauthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Generate a fresh set of recovery codes; returns the codes to show the user
+// once and the hashed entries to store
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashed: codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null }))
+  };
+};
+
+// Mark a matching unused recovery code as used; returns false if none matched
+const consumeRecoveryCode = (recoveryCodes = [], code) => {
+  const hash = hashRecoveryCode(code);
+  const entry = recoveryCodes.find(recoveryCode => !recoveryCode.usedAt && recoveryCode.hash === hash);
+
+  if (!entry) {
+    return false;
+  }
+
+  entry.usedAt = new Date();
+  return true;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  getCurrentStep,
+  verifyCode,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  consumeRecoveryCode
+};
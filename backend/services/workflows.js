@@ -0,0 +1,195 @@
+const Task = require('../models/Task');
+const Sprint = require('../models/Sprint');
+const { AppError } = require('../middleware/errorHandler');
+const { checkCompletionAllowed } = require('./taskDependencies');
+
+// Per-project task workflows. Statuses are ordered and each belongs to a
+// category (todo/active/done/cancelled); transitions list the allowed moves
+// and the guards a task must pass to make them. Moves into a done status
+// always check blockers, whatever guards are configured. Only the blockers
+// check can be forced, matching completions with open blockers.
+const MAX_STATUSES = 20;
+
+const findStatus = (workflow, key) => workflow.statuses.find(status => status.key === key) || null;
+
+// Status new tasks start in: the first todo status, else the first status
+const getInitialStatus = (project) => {
+  const { statuses } = project.getWorkflow();
+  return statuses.find(status => status.category === 'todo') || statuses[0];
+};
+
+// Resolve a status key to its definition, or throw listing the valid ones
+const resolveStatus = (project, key) => {
+  const workflow = project.getWorkflow();
+  const status = findStatus(workflow, key);
+
+  if (!status) {
+    throw new AppError(`Unknown status "${key}". Valid statuses: ${workflow.statuses.map(s => s.key).join(', ')}`, 400);
+  }
+
+  return status;
+};
+
+// The rule for a move: one for this exact status wins over a wildcard
+const findTransition = (workflow, from, to) => {
+  if (workflow.transitions.length === 0) {
+    return { from: '*', to, guards: [] };
+  }
+
+  return workflow.transitions.find(rule => rule.from === from && rule.to === to) ||
+    workflow.transitions.find(rule => rule.from === '*' && rule.to === to) ||
+    null;
+};
+
+const GUARD_CHECKS = {
+  'assignee-required': (task) => (task.assignee ? null : 'the task must have an assignee'),
+  'subtasks-complete': async (task) => {
+    const openChildren = await Task.countDocuments({ parent: task._id, statusCategory: { $nin: Task.CLOSED_CATEGORIES } });
+    const open = task.subtasks.filter(subtask => !subtask.completed).length + openChildren;
+    return open > 0 ? `${open} subtask(s) must be completed first` : null;
+  }
+};
+
+// Check that `task` may move to status `to`; resolves to the target status
+// and any open blockers a forced move skipped
+const checkTransition = async (task, project, to, { force = false } = {}) => {
+  const workflow = project.getWorkflow();
+  const target = resolveStatus(project, to);
+
+  if (task.status === to) {
+    return { status: target, openBlockers: [] };
+  }
+
+  const rule = findTransition(workflow, task.status, to);
+  if (!rule) {
+    const current = findStatus(workflow, task.status);
+    throw new AppError(`Tasks cannot move from ${current ? current.name : task.status} to ${target.name}`, 409);
+  }
+
+  const failures = (await Promise.all(rule.guards
+    .filter(guard => GUARD_CHECKS[guard])
+    .map(guard => GUARD_CHECKS[guard](task))))
+    .filter(Boolean);
+
+  if (failures.length > 0) {
+    throw new AppError(`Cannot move to ${target.name}: ${failures.join('; ')}`, 409);
+  }
+
+  const checkBlockers = target.category === 'done' || rule.guards.includes('blockers-resolved');
+  const openBlockers = checkBlockers
+    ? await checkCompletionAllowed(task, force)
+    : [];
+
+  return { status: target, openBlockers };
+};
+
+// Validate a submitted workflow; resolves to it with duplicate guards
+// dropped, or throws describing the first problem
+const validateWorkflow = ({ statuses = [], transitions = [] }) => {
+  if (statuses.length === 0 || statuses.length > MAX_STATUSES) {
+    throw new AppError(`A workflow needs between 1 and ${MAX_STATUSES} statuses`, 400);
+  }
+
+  const keys = statuses.map(status => status.key);
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    throw new AppError(`Status "${duplicate}" is listed more than once`, 400);
+  }
+
+  ['todo', 'done'].forEach(category => {
+    if (!statuses.some(status => status.category === category)) {
+      throw new AppError(`A workflow needs at least one ${category} status`, 400);
+    }
+  });
+
+  const seen = new Set();
+  transitions.forEach(({ from, to }) => {
+    if (from !== '*' && !keys.includes(from)) {
+      throw new AppError(`Transition from unknown status "${from}"`, 400);
+    }
+    if (!keys.includes(to)) {
+      throw new AppError(`Transition to unknown status "${to}"`, 400);
+    }
+    if (seen.has(`${from}:${to}`)) {
+      throw new AppError(`Transition from "${from}" to "${to}" is listed more than once`, 400);
+    }
+    seen.add(`${from}:${to}`);
+  });
+
+  return {
+    statuses: statuses.map(({ key, name, category, color }) => ({ key, name, category, color: color || null })),
+    transitions: transitions.map(({ from, to, guards = [] }) => ({ from, to, guards: [...new Set(guards)] }))
+  };
+};
+
+// Update pipeline moving tasks into `status`, keeping completedAt in step
+const setStatus = (status) => [{
+  $set: {
+    status: status.key,
+    statusCategory: status.category,
+    completedAt: status.category === 'done' ? { $ifNull: ['$completedAt', '$$NOW'] } : null
+  }
+}];
+
+// Bulk updates skip the Task save hooks, so refresh the progress of the
+// sprints and parent tasks the updated tasks belong to
+const refreshTaskRollups = async (tasks) => {
+  await Sprint.refreshProgress(tasks.map(task => task.sprint));
+
+  const parentIds = new Set(tasks.filter(task => task.parent).map(task => task.parent.toString()));
+  for (const parentId of parentIds) {
+    await Task.updateRollup(parentId);
+  }
+};
+
+// Replace a project's workflow. Tasks in removed statuses move to the one
+// `statusMap` names for them, and tasks follow any category changes.
+const updateWorkflow = async (project, definition, statusMap = {}) => {
+  const workflow = validateWorkflow(definition);
+  const newStatuses = new Map(workflow.statuses.map(status => [status.key, status]));
+
+  const inUse = await Task.aggregate([
+    { $match: { project: project._id } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const unmapped = inUse.filter(({ _id: key }) => !newStatuses.has(key) && !newStatuses.has(statusMap[key]));
+  if (unmapped.length > 0) {
+    const list = unmapped.map(({ _id: key, count }) => `${key} (${count} task(s))`).join(', ');
+    throw new AppError(`Tasks still use removed statuses: ${list}. Map them to new statuses with statusMap.`, 409);
+  }
+
+  project.workflow = workflow;
+  await project.save();
+
+  const moves = inUse
+    .filter(({ _id: key }) => !newStatuses.has(key))
+    .map(({ _id: key }) => ({ from: key, to: newStatuses.get(statusMap[key]) }));
+
+  const updates = [
+    ...moves.map(({ from, to }) => ({ filter: { project: project._id, status: from }, status: to })),
+    ...workflow.statuses.map(status => ({
+      filter: { project: project._id, status: status.key, statusCategory: { $ne: status.category } },
+      status
+    }))
+  ];
+
+  const updatedTasks = [];
+  for (const { filter, status } of updates) {
+    updatedTasks.push(...await Task.find(filter).select('sprint parent'));
+    await Task.updateMany(filter, setStatus(status));
+  }
+
+  await project.updateProgress();
+  await refreshTaskRollups(updatedTasks);
+
+  return { workflow, moved: moves.map(({ from, to }) => ({ from, to: to.key })) };
+};
+
+module.exports = {
+  getInitialStatus,
+  resolveStatus,
+  checkTransition,
+  validateWorkflow,
+  updateWorkflow
+};
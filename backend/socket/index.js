@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const { verifyAccessToken } = require('../middleware/auth');
+const ProjectEvent = require('../models/ProjectEvent');
+const presence = require('../services/presence');
+const { replayMissedEvents } = require('../services/realtime');
+
+// Clients pass the access token as `auth: { token }` when connecting;
+// an Authorization header is accepted for non-browser clients
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+
+  if (auth.token) {
+    return auth.token;
+  }
+
+  const authHeader = headers.authorization;
+  return authHeader && authHeader.split(' ')[1];
+};
+
+// Check that the user owns or belongs to the project
+const canJoinProject = async (projectId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(projectId)) {
+    return false;
+  }
+
+  const project = await Project.findById(projectId).select('owner members.user');
+
+  if (!project) {
+    return false;
+  }
+
+  return project.owner.toString() === userId.toString() ||
+    project.members.some(member => member.user.toString() === userId.toString());
+};
+
+// Reply through the client's acknowledgement callback, if it sent one
+const acknowledge = (callback, payload) => {
+  if (typeof callback === 'function') {
+    callback(payload);
+  }
+};
+
+// Client events are untrusted: only plain objects are read, and only
+// string or ObjectId IDs are passed on
+const isId = (value) => typeof value === 'string' || value instanceof mongoose.Types.ObjectId;
+
+const readPayload = (data) => (typeof data === 'object' && data !== null && !Array.isArray(data) ? data : null);
+
+// Broadcast the current presence list to everyone in a project room
+const broadcastPresence = (io, projectId) => {
+  io.to(`project_${projectId}`).emit('presence_updated', {
+    projectId,
+    users: presence.getSnapshot(projectId)
+  });
+};
+
+// Socket.io connection handling. Data changes are only ever emitted by the
+// REST routes after they have been validated and saved; clients may send
+// ephemeral presence and typing signals, stamped with their own identity.
+const initSocket = (io) => {
+  // Authenticate the handshake with the same rules as authenticateToken
+  io.use(async (socket, next) => {
+    try {
+      const token = getHandshakeToken(socket);
+
+      if (!token) {
+        return next(new Error('Access token is required'));
+      }
+
+      const { user, sessionId } = await verifyAccessToken(token);
+      socket.user = user;
+      socket.sessionId = sessionId;
+      next();
+    } catch (error) {
+      next(new Error(error.isOperational ? error.message : 'Invalid token'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const userId = socket.user._id.toString();
+    console.log(`User ${userId} connected:`, socket.id);
+
+    // Personal room for notifications and mentions
+    socket.join(`user_${userId}`);
+
+    // Session room so signing a device out can disconnect its sockets
+    if (socket.sessionId) {
+      socket.join(`session_${socket.sessionId}`);
+    }
+
+    // Join project rooms. Reconnecting clients send { projectId, lastSeq }
+    // with the last event seq they saw; missed events are replayed in order
+    // before the ack, or the ack asks them to resync (refetch) instead.
+    socket.on('join_project', async (data, callback) => {
+      const { projectId, lastSeq } = typeof data === 'object' && data !== null ? data : { projectId: data };
+
+      try {
+        if (!(await canJoinProject(projectId, userId))) {
+          return acknowledge(callback, { success: false, message: 'Access denied - not a project member' });
+        }
+
+        socket.join(`project_${projectId}`);
+        presence.join(projectId, socket.user, socket.id);
+        broadcastPresence(io, projectId);
+
+        let replay = { resync: false, replayed: 0 };
+        if (Number.isInteger(lastSeq) && lastSeq >= 0) {
+          replay = await replayMissedEvents(socket, projectId, lastSeq);
+        } else {
+          replay.seq = await ProjectEvent.getCurrentSeq(projectId);
+        }
+
+        acknowledge(callback, {
+          success: true,
+          presence: presence.getSnapshot(projectId),
+          ...replay
+        });
+      } catch (error) {
+        console.error('Socket join_project error:', error);
+        acknowledge(callback, { success: false, message: 'Internal server error' });
+      }
+    });
+
+    // Leave project rooms
+    socket.on('leave_project', (projectId, callback) => {
+      if (socket.rooms.has(`project_${projectId}`)) {
+        socket.leave(`project_${projectId}`);
+        presence.leave(projectId, userId, socket.id);
+        broadcastPresence(io, projectId);
+      }
+      acknowledge(callback, { success: true });
+    });
+
+    // Track which task this tab has open (taskId null when closed)
+    socket.on('view_task', (data) => {
+      try {
+        const payload = readPayload(data);
+        if (!payload) return;
+
+        const { projectId, taskId = null } = payload;
+        if (!isId(projectId) || (taskId !== null && !isId(taskId))) return;
+        if (!socket.rooms.has(`project_${projectId}`)) return;
+
+        if (presence.viewTask(projectId, userId, socket.id, taskId)) {
+          broadcastPresence(io, projectId);
+        }
+      } catch (error) {
+        console.error('Socket view_task error:', error);
+      }
+    });
+
+    // Typing indicators for project chat (no taskId) and task comments.
+    // Clients resend isTyping: true while typing and should expire an
+    // indicator after a few seconds without updates.
+    socket.on('typing', (data) => {
+      try {
+        const payload = readPayload(data);
+        if (!payload) return;
+
+        const { projectId, taskId = null, isTyping = true } = payload;
+        if (!isId(projectId) || (taskId !== null && !isId(taskId))) return;
+        if (!socket.rooms.has(`project_${projectId}`)) return;
+
+        socket.to(`project_${projectId}`).emit('typing', {
+          projectId: projectId.toString(),
+          taskId: taskId ? taskId.toString() : null,
+          context: taskId ? 'task' : 'chat',
+          isTyping: Boolean(isTyping),
+          user: { _id: socket.user._id, name: socket.user.name, avatar: socket.user.avatar }
+        });
+      } catch (error) {
+        console.error('Socket typing error:', error);
+      }
+    });
+
+    // Drop presence for every project room this socket was in
+    socket.on('disconnecting', () => {
+      for (const room of [...socket.rooms]) {
+        if (room.startsWith('project_')) {
+          const projectId = room.slice('project_'.length);
+          presence.leave(projectId, userId, socket.id);
+          socket.leave(room);
+          broadcastPresence(io, projectId);
+        }
+      }
+    });
+
+    socket.on('disconnect', () => {
+      console.log(`User ${userId} disconnected:`, socket.id);
+    });
+  });
+};
+
+module.exports = {
+  initSocket
+};
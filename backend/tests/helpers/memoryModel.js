@@ -0,0 +1,185 @@
+// In-memory stand-in for the MongoDB queries the services under test make.
+// `useMemoryModel(Model, items)` spies on the model's query statics and
+// answers them from `items`, which tests can inspect afterwards. Only the
+// query operators and update stages the services use are supported.
+
+const getPath = (item, path) => path.split('.').reduce((value, key) => {
+  if (Array.isArray(value)) {
+    return value.map(entry => (entry == null ? undefined : entry[key]));
+  }
+  return value == null ? undefined : value[key];
+}, item);
+
+const toComparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const equals = (actual, expected) => {
+  if (Array.isArray(actual) && !Array.isArray(expected)) {
+    return actual.some(entry => equals(entry, expected));
+  }
+  if (actual == null || expected == null) {
+    return actual == null && expected == null;
+  }
+  if (actual instanceof Date || expected instanceof Date) {
+    return toComparable(actual) === toComparable(new Date(expected));
+  }
+  return String(actual) === String(expected);
+};
+
+const isOperatorObject = (condition) => condition !== null &&
+  typeof condition === 'object' &&
+  !Array.isArray(condition) &&
+  !(condition instanceof Date) &&
+  Object.keys(condition).length > 0 &&
+  Object.keys(condition).every(key => key.startsWith('$'));
+
+const OPERATORS = {
+  $eq: (actual, expected) => equals(actual, expected),
+  $ne: (actual, expected) => !equals(actual, expected),
+  $in: (actual, expected) => expected.some(value => equals(actual, value)),
+  $nin: (actual, expected) => !expected.some(value => equals(actual, value)),
+  $gt: (actual, expected) => actual != null && toComparable(actual) > toComparable(expected),
+  $gte: (actual, expected) => actual != null && toComparable(actual) >= toComparable(expected),
+  $lt: (actual, expected) => actual != null && toComparable(actual) < toComparable(expected),
+  $lte: (actual, expected) => actual != null && toComparable(actual) <= toComparable(expected),
+  $exists: (actual, expected) => (actual !== undefined) === Boolean(expected)
+};
+
+const matches = (item, filter = {}) => Object.entries(filter).every(([path, condition]) => {
+  if (path === '$or') {
+    return condition.some(branch => matches(item, branch));
+  }
+
+  const actual = getPath(item, path);
+
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([operator, expected]) => {
+      if (!OPERATORS[operator]) {
+        throw new Error(`memoryModel does not support ${operator}`);
+      }
+      return OPERATORS[operator](actual, expected);
+    });
+  }
+
+  return equals(actual, condition);
+});
+
+const compareBy = (sort) => (a, b) => {
+  for (const [path, direction] of Object.entries(sort)) {
+    const left = toComparable(getPath(a, path));
+    const right = toComparable(getPath(b, path));
+    if (left < right) return -direction;
+    if (left > right) return direction;
+  }
+  return 0;
+};
+
+const setPath = (item, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((value, key) => value[key], item);
+  target[last] = value;
+};
+
+// Evaluate an aggregation expression in an update pipeline: field paths,
+// $$NOW and $ifNull
+const evaluate = (item, expression) => {
+  if (expression === '$$NOW') {
+    return new Date();
+  }
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getPath(item, expression.slice(1));
+  }
+  if (expression !== null && typeof expression === 'object' && '$ifNull' in expression) {
+    const [value, fallback] = expression.$ifNull.map(entry => evaluate(item, entry));
+    return value == null ? fallback : value;
+  }
+  return expression;
+};
+
+const applyUpdate = (item, update) => {
+  if (Array.isArray(update)) {
+    update.forEach(stage => Object.entries(stage.$set || {})
+      .forEach(([path, expression]) => setPath(item, path, evaluate(item, expression))));
+    return;
+  }
+
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+
+  Object.entries(operators.$set || {}).forEach(([path, value]) => setPath(item, path, value));
+  Object.entries(operators.$push || {}).forEach(([path, value]) => getPath(item, path).push(value));
+};
+
+// Chainable, thenable query over the matching items
+class MemoryQuery {
+  constructor(items, { single = false } = {}) {
+    this.items = items;
+    this.single = single;
+  }
+
+  sort(spec) {
+    this.items = [...this.items].sort(compareBy(spec));
+    return this;
+  }
+
+  limit(count) {
+    this.items = this.items.slice(0, count);
+    return this;
+  }
+
+  skip(count) {
+    this.items = this.items.slice(count);
+    return this;
+  }
+
+  select() { return this; }
+
+  populate() { return this; }
+
+  lean() { return this; }
+
+  exec() {
+    return Promise.resolve(this.single ? this.items[0] || null : this.items);
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+}
+
+const useMemoryModel = (Model, items = []) => {
+  const filterItems = (filter) => items.filter(item => matches(item, filter));
+
+  jest.spyOn(Model, 'find').mockImplementation((filter) => new MemoryQuery(filterItems(filter)));
+  jest.spyOn(Model, 'findOne').mockImplementation((filter) => new MemoryQuery(filterItems(filter), { single: true }));
+  jest.spyOn(Model, 'findById').mockImplementation((id) => new MemoryQuery(filterItems({ _id: id }), { single: true }));
+  jest.spyOn(Model, 'exists').mockImplementation(async (filter) => {
+    const [item] = filterItems(filter);
+    return item ? { _id: item._id } : null;
+  });
+  jest.spyOn(Model, 'countDocuments').mockImplementation(async (filter) => filterItems(filter).length);
+
+  jest.spyOn(Model, 'updateMany').mockImplementation(async (filter, update) => {
+    const matched = filterItems(filter);
+    matched.forEach(item => applyUpdate(item, update));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  });
+  jest.spyOn(Model, 'updateOne').mockImplementation(async (filter, update) => {
+    const [item] = filterItems(filter);
+    if (item) applyUpdate(item, update);
+    return { matchedCount: item ? 1 : 0, modifiedCount: item ? 1 : 0 };
+  });
+  jest.spyOn(Model, 'bulkWrite').mockImplementation(async (operations) => {
+    for (const { updateOne } of operations) {
+      const [item] = filterItems(updateOne.filter);
+      if (item) applyUpdate(item, updateOne.update);
+    }
+    return { modifiedCount: operations.length };
+  });
+
+  return items;
+};
+
+module.exports = {
+  matches,
+  useMemoryModel
+};
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Project = require('../../models/Project');
+const ProjectEvent = require('../../models/ProjectEvent');
+const { useMemoryModel } = require('../helpers/memoryModel');
+
+const project = { _id: new mongoose.Types.ObjectId(), eventSeq: 0 };
+
+let events;
+
+// Record events with the given sequence numbers, leaving out any not listed
+const logEvents = (...seqs) => {
+  seqs.forEach(seq => events.push({ project: project._id, seq, event: 'task_updated', payload: {} }));
+  project.eventSeq = Math.max(project.eventSeq, ...seqs);
+};
+
+beforeEach(() => {
+  useMemoryModel(Project, [project]);
+  events = useMemoryModel(ProjectEvent, []);
+  project.eventSeq = 0;
+});
+
+describe('ProjectEvent.getMissed', () => {
+  it('replays the events after the client\'s sequence number', async () => {
+    logEvents(1, 2, 3, 4);
+
+    const missed = await ProjectEvent.getMissed(project._id, 2, 100);
+
+    expect(missed.resync).toBe(false);
+    expect(missed.seq).toBe(4);
+    expect(missed.events.map(event => event.seq)).toEqual([3, 4]);
+  });
+
+  it('has nothing to replay for an up to date client', async () => {
+    logEvents(1, 2);
+
+    await expect(ProjectEvent.getMissed(project._id, 2, 100)).resolves.toEqual({ resync: false, seq: 2, events: [] });
+  });
+
+  it('asks for a resync when too much was missed or the log was reset', async () => {
+    logEvents(1, 2, 3);
+
+    await expect(ProjectEvent.getMissed(project._id, 0, 2)).resolves.toMatchObject({ resync: true, events: [] });
+    await expect(ProjectEvent.getMissed(project._id, 9, 100)).resolves.toMatchObject({ resync: true, events: [] });
+  });
+
+  it('asks for a resync when the oldest missed event has expired', async () => {
+    logEvents(3, 4);
+
+    await expect(ProjectEvent.getMissed(project._id, 1, 100)).resolves.toMatchObject({ resync: true });
+  });
+
+  it('asks for a resync when an event is missing from the middle of the range', async () => {
+    logEvents(1, 2, 4, 5);
+
+    await expect(ProjectEvent.getMissed(project._id, 1, 100)).resolves.toMatchObject({ resync: true, events: [] });
+  });
+
+  it('asks for a resync when the latest event hasn\'t been written yet', async () => {
+    logEvents(1, 2);
+    project.eventSeq = 3;
+
+    await expect(ProjectEvent.getMissed(project._id, 1, 100)).resolves.toMatchObject({ resync: true });
+  });
+});
@@ -0,0 +1,74 @@
+const { normalizeRule, getNextOccurrenceDate } = require('../../services/recurrence');
+
+const utc = (...parts) => new Date(Date.UTC(...parts));
+
+describe('normalizeRule', () => {
+  it('defaults the interval to 1', () => {
+    expect(normalizeRule({ frequency: 'daily' }, utc(2024, 0, 1))).toEqual({
+      frequency: 'daily',
+      interval: 1,
+      daysOfWeek: [],
+      dayOfMonth: null
+    });
+  });
+
+  it('repeats weekly rules on the first occurrence\'s weekday unless days are given', () => {
+    const wednesday = utc(2024, 0, 3);
+
+    expect(normalizeRule({ frequency: 'weekly' }, wednesday).daysOfWeek).toEqual([3]);
+    expect(normalizeRule({ frequency: 'weekly', daysOfWeek: ['5', 1, 5] }, wednesday).daysOfWeek).toEqual([1, 5]);
+  });
+
+  it('repeats monthly rules on the first occurrence\'s day unless one is given', () => {
+    expect(normalizeRule({ frequency: 'monthly' }, utc(2024, 0, 31)).dayOfMonth).toBe(31);
+    expect(normalizeRule({ frequency: 'monthly', dayOfMonth: 15 }, utc(2024, 0, 31)).dayOfMonth).toBe(15);
+  });
+});
+
+describe('getNextOccurrenceDate', () => {
+  it('adds the interval in days, keeping the time of day', () => {
+    const rule = normalizeRule({ frequency: 'daily', interval: 3 }, utc(2024, 0, 30, 9, 30));
+
+    expect(getNextOccurrenceDate(rule, utc(2024, 0, 30, 9, 30))).toEqual(utc(2024, 1, 2, 9, 30));
+  });
+
+  it('moves to the next listed weekday in the same week', () => {
+    const rule = normalizeRule({ frequency: 'weekly', daysOfWeek: [1, 3, 5] }, utc(2024, 0, 1));
+
+    // Monday 1 Jan -> Wednesday 3 Jan -> Friday 5 Jan
+    expect(getNextOccurrenceDate(rule, utc(2024, 0, 1, 8))).toEqual(utc(2024, 0, 3, 8));
+    expect(getNextOccurrenceDate(rule, utc(2024, 0, 3, 8))).toEqual(utc(2024, 0, 5, 8));
+  });
+
+  it('wraps to the first listed weekday after skipping interval - 1 weeks', () => {
+    const rule = normalizeRule({ frequency: 'weekly', interval: 2, daysOfWeek: [1, 5] }, utc(2024, 0, 1));
+
+    // Friday 5 Jan -> Monday 15 Jan, skipping the week of the 8th
+    expect(getNextOccurrenceDate(rule, utc(2024, 0, 5))).toEqual(utc(2024, 0, 15));
+  });
+
+  it('clamps monthly dates to short months without drifting', () => {
+    const rule = normalizeRule({ frequency: 'monthly' }, utc(2024, 0, 31));
+
+    const february = getNextOccurrenceDate(rule, utc(2024, 0, 31));
+    expect(february).toEqual(utc(2024, 1, 29));
+
+    const march = getNextOccurrenceDate(rule, february);
+    expect(march).toEqual(utc(2024, 2, 31));
+
+    expect(getNextOccurrenceDate(normalizeRule({ frequency: 'monthly', dayOfMonth: 31 }, utc(2023, 0, 31)), utc(2023, 0, 31)))
+      .toEqual(utc(2023, 1, 28));
+  });
+
+  it('skips months by the interval across year ends', () => {
+    const rule = normalizeRule({ frequency: 'monthly', interval: 3, dayOfMonth: 15 }, utc(2024, 10, 15));
+
+    expect(getNextOccurrenceDate(rule, utc(2024, 10, 15))).toEqual(utc(2025, 1, 15));
+  });
+
+  it('has no calendar date for after-completion rules', () => {
+    const rule = normalizeRule({ frequency: 'after-completion', interval: 2 }, utc(2024, 0, 1));
+
+    expect(getNextOccurrenceDate(rule, utc(2024, 0, 1))).toBeNull();
+  });
+});
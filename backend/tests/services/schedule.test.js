@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const { computeProjectSchedule } = require('../../services/schedule');
+const { useMemoryModel } = require('../helpers/memoryModel');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const now = new Date(Date.UTC(2024, 0, 1, 9));
+const inDays = (days) => new Date(now.getTime() + days * DAY_MS);
+
+const project = { _id: new mongoose.Types.ObjectId(), dueDate: null };
+
+let tasks;
+
+// Tasks default to one working day (8 hours) of open work
+const addTask = (title, fields = {}) => {
+  const task = {
+    _id: new mongoose.Types.ObjectId(),
+    project: project._id,
+    title,
+    status: 'todo',
+    statusCategory: 'todo',
+    estimatedHours: 8,
+    progress: 0,
+    dependencies: [],
+    ...fields
+  };
+  tasks.push(task);
+  return task;
+};
+
+const block = (blocker, blocked) => {
+  blocker.dependencies.push({ task: blocked._id, type: 'blocks' });
+  blocked.dependencies.push({ task: blocker._id, type: 'blocked-by' });
+};
+
+const byTitle = (schedule, title) => schedule.tasks.find(task => task.title === title);
+
+beforeEach(() => {
+  tasks = useMemoryModel(Task, []);
+  project.dueDate = null;
+});
+
+describe('computeProjectSchedule', () => {
+  it('starts open work now and runs it for its estimate', async () => {
+    addTask('Write spec', { estimatedHours: 16 });
+
+    const schedule = await computeProjectSchedule(project, now);
+    const task = byTitle(schedule, 'Write spec');
+
+    expect(task.earliestStart).toEqual(now);
+    expect(task.earliestFinish).toEqual(inDays(2));
+    expect(task.durationHours).toBe(16);
+    expect(task.durationSource).toBe('estimate');
+    expect(schedule.projectedFinish).toEqual(inDays(2));
+  });
+
+  it('starts blocked work once its last blocker finishes', async () => {
+    const design = addTask('Design');
+    const backend = addTask('Backend', { estimatedHours: 16 });
+    const release = addTask('Release');
+    block(design, release);
+    block(backend, release);
+
+    const schedule = await computeProjectSchedule(project, now);
+
+    expect(byTitle(schedule, 'Release').earliestStart).toEqual(inDays(2));
+    expect(byTitle(schedule, 'Release').earliestFinish).toEqual(inDays(3));
+    expect(schedule.projectedFinish).toEqual(inDays(3));
+  });
+
+  it('finds the critical path and the slack of everything else', async () => {
+    const design = addTask('Design');
+    const backend = addTask('Backend', { estimatedHours: 16 });
+    const release = addTask('Release');
+    block(design, release);
+    block(backend, release);
+
+    const schedule = await computeProjectSchedule(project, now);
+
+    expect(schedule.criticalPath).toEqual([backend._id, release._id]);
+    expect(byTitle(schedule, 'Design')).toMatchObject({ isCritical: false, slackHours: 24 });
+    expect(byTitle(schedule, 'Design').latestFinish).toEqual(inDays(2));
+    expect(byTitle(schedule, 'Backend')).toMatchObject({ isCritical: true, slackHours: 0 });
+    expect(byTitle(schedule, 'Release')).toMatchObject({ isCritical: true, slackHours: 0 });
+  });
+
+  it('only schedules the remaining part of work in progress', async () => {
+    addTask('Half done', { estimatedHours: 16, progress: 50, statusCategory: 'active' });
+
+    const schedule = await computeProjectSchedule(project, now);
+
+    expect(byTitle(schedule, 'Half done').remainingHours).toBe(8);
+    expect(schedule.projectedFinish).toEqual(inDays(1));
+  });
+
+  it('fixes done tasks at their completion time', async () => {
+    const done = addTask('Done', { statusCategory: 'done', completedAt: inDays(-1) });
+    const next = addTask('Next');
+    block(done, next);
+
+    const schedule = await computeProjectSchedule(project, now);
+
+    expect(byTitle(schedule, 'Done')).toMatchObject({ earliestFinish: inDays(-1), slackHours: null, latestFinish: null });
+    expect(byTitle(schedule, 'Next').earliestStart).toEqual(now);
+  });
+
+  it('reports due dates that can\'t be met and who is to blame', async () => {
+    const blocker = addTask('Blocker', { estimatedHours: 16 });
+    const late = addTask('Late', { dueDate: inDays(2) });
+    block(blocker, late);
+
+    const schedule = await computeProjectSchedule(project, now);
+
+    expect(schedule.conflicts).toEqual([late._id]);
+    expect(byTitle(schedule, 'Late').dueDateConflict).toEqual({
+      reason: 'blockers',
+      drivenBy: blocker._id.toString(),
+      lateByHours: 24
+    });
+  });
+
+  it('compares the projected finish with the project due date', async () => {
+    addTask('Only task', { estimatedHours: 24 });
+    project.dueDate = inDays(2);
+
+    const schedule = await computeProjectSchedule(project, now);
+
+    expect(schedule.isLate).toBe(true);
+    expect(schedule.lateByHours).toBe(24);
+  });
+
+  it('leaves tasks caught in a cycle unscheduled', async () => {
+    const a = addTask('A');
+    const b = addTask('B');
+    addTask('C');
+    block(a, b);
+    block(b, a);
+
+    const schedule = await computeProjectSchedule(project, now);
+
+    expect(schedule.unscheduled.sort()).toEqual([a._id.toString(), b._id.toString()].sort());
+    expect(schedule.tasks.map(task => task.title)).toEqual(['C']);
+  });
+
+  it('leaves cancelled tasks out', async () => {
+    addTask('Cancelled', { status: 'cancelled', statusCategory: 'cancelled' });
+    addTask('Open');
+
+    const schedule = await computeProjectSchedule(project, now);
+
+    expect(schedule.tasks.map(task => task.title)).toEqual(['Open']);
+  });
+});
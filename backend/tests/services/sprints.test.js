@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const Sprint = require('../../models/Sprint');
+const Task = require('../../models/Task');
+const { SPRINT_LENGTH_DAYS, resolveSprint, startSprint, closeSprint } = require('../../services/sprints');
+const { useMemoryModel } = require('../helpers/memoryModel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const projectId = new mongoose.Types.ObjectId();
+const user = { _id: new mongoose.Types.ObjectId() };
+
+let sprints;
+let tasks;
+
+const addSprint = (name, fields = {}) => {
+  const sprint = new Sprint({ project: projectId, name, createdBy: user._id, ...fields });
+  sprints.push(sprint);
+  return sprint;
+};
+
+const addTask = (sprint, statusCategory) => {
+  const task = {
+    _id: new mongoose.Types.ObjectId(),
+    project: projectId,
+    sprint: sprint ? sprint._id : null,
+    statusCategory,
+    activity: []
+  };
+  tasks.push(task);
+  return task;
+};
+
+beforeEach(() => {
+  sprints = useMemoryModel(Sprint, []);
+  tasks = useMemoryModel(Task, []);
+  jest.spyOn(Sprint.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+});
+
+describe('resolveSprint', () => {
+  it('accepts open sprints of the task\'s project', async () => {
+    const sprint = addSprint('Sprint 1');
+
+    await expect(resolveSprint(projectId, sprint._id)).resolves.toBe(sprint);
+    await expect(resolveSprint(projectId, null)).resolves.toBeNull();
+  });
+
+  it('rejects closed sprints and other projects\' sprints', async () => {
+    const closed = addSprint('Closed', { state: 'closed' });
+    const foreign = addSprint('Foreign', { project: new mongoose.Types.ObjectId() });
+
+    await expect(resolveSprint(projectId, closed._id)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(resolveSprint(projectId, foreign._id)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('startSprint', () => {
+  it('activates a planned sprint, filling in missing dates', async () => {
+    const sprint = addSprint('Sprint 1');
+    addTask(sprint, 'todo');
+    addTask(sprint, 'done');
+
+    await startSprint(sprint, user);
+
+    expect(sprint.state).toBe('active');
+    expect(sprint.startedBy).toEqual(user._id);
+    expect(sprint.endDate - sprint.startDate).toBe(SPRINT_LENGTH_DAYS * DAY_MS);
+    expect(sprint.progress.toObject()).toMatchObject({ totalTasks: 2, completedTasks: 1 });
+  });
+
+  it('allows only one active sprint per project', async () => {
+    addSprint('Running', { state: 'active' });
+    const sprint = addSprint('Next');
+
+    await expect(startSprint(sprint, user)).rejects.toMatchObject({ statusCode: 409 });
+    expect(sprint.state).toBe('planned');
+  });
+
+  it('only starts planned sprints', async () => {
+    const sprint = addSprint('Done', { state: 'closed' });
+
+    await expect(startSprint(sprint, user)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('closeSprint', () => {
+  const setUp = () => {
+    const sprint = addSprint('Sprint 1', { state: 'active', startDate: new Date('2024-01-01'), endDate: new Date('2024-01-15') });
+    const open = [addTask(sprint, 'todo'), addTask(sprint, 'active')];
+    const finished = [addTask(sprint, 'done'), addTask(sprint, 'cancelled')];
+    return { sprint, open, finished };
+  };
+
+  it('rolls unfinished tasks over to the earliest planned sprint', async () => {
+    const { sprint, open, finished } = setUp();
+    addSprint('Sprint 3', { startDate: new Date('2024-02-01') });
+    const next = addSprint('Sprint 2', { startDate: new Date('2024-01-15') });
+    addSprint('Undated');
+
+    const result = await closeSprint(sprint, user);
+
+    expect(result.rolledOverTo).toBe(next);
+    expect(result.rolledOverTasks).toBe(2);
+    open.forEach(task => {
+      expect(task.sprint).toEqual(next._id);
+      expect(task.activity[0].description).toBe('Rolled over from sprint "Sprint 1" to "Sprint 2"');
+    });
+    finished.forEach(task => expect(task.sprint).toEqual(sprint._id));
+    expect(next.progress.totalTasks).toBe(2);
+  });
+
+  it('freezes progress as it stood at the close, counting only done work as completed', async () => {
+    const { sprint } = setUp();
+
+    await closeSprint(sprint, user);
+
+    expect(sprint.state).toBe('closed');
+    expect(sprint.closedBy).toEqual(user._id);
+    expect(sprint.progress.toObject()).toMatchObject({ totalTasks: 4, completedTasks: 1 });
+
+    // Closed sprints keep their figures
+    await sprint.updateProgress();
+    expect(sprint.progress.totalTasks).toBe(4);
+  });
+
+  it('moves unfinished tasks to the backlog when asked', async () => {
+    const { sprint, open } = setUp();
+
+    const result = await closeSprint(sprint, user, { rollOverTo: 'backlog' });
+
+    expect(result.rolledOverTo).toBeNull();
+    expect(sprint.rolledOverTo).toBeNull();
+    open.forEach(task => {
+      expect(task.sprint).toBeNull();
+      expect(task.activity[0].description).toBe('Moved to the backlog when sprint "Sprint 1" closed');
+    });
+  });
+
+  it('moves unfinished tasks to the backlog when no sprint is planned', async () => {
+    const { sprint, open } = setUp();
+
+    const result = await closeSprint(sprint, user);
+
+    expect(result.rolledOverTo).toBeNull();
+    open.forEach(task => expect(task.sprint).toBeNull());
+  });
+
+  it('rolls over to a chosen planned sprint', async () => {
+    const { sprint, open } = setUp();
+    addSprint('Sooner', { startDate: new Date('2024-01-15') });
+    const chosen = addSprint('Later', { startDate: new Date('2024-03-01') });
+
+    await closeSprint(sprint, user, { rollOverTo: chosen._id.toString() });
+
+    open.forEach(task => expect(task.sprint).toEqual(chosen._id));
+  });
+
+  it('rejects roll over targets that aren\'t planned sprints of the project', async () => {
+    const { sprint } = setUp();
+    const closed = addSprint('Old', { state: 'closed' });
+
+    await expect(closeSprint(sprint, user, { rollOverTo: closed._id.toString() }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(sprint.state).toBe('active');
+  });
+
+  it('only closes active sprints', async () => {
+    const sprint = addSprint('Planned');
+
+    await expect(closeSprint(sprint, user)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
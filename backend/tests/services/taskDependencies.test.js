@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const { wouldCreateCycle, addDependency, getOpenBlockers } = require('../../services/taskDependencies');
+const { useMemoryModel } = require('../helpers/memoryModel');
+
+const projectId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+let tasks;
+
+const addTask = (title, fields = {}) => {
+  const task = {
+    _id: new mongoose.Types.ObjectId(),
+    project: projectId,
+    title,
+    statusCategory: 'todo',
+    dependencies: [],
+    activity: [],
+    ...fields
+  };
+  tasks.push(task);
+  return task;
+};
+
+const block = (blocker, blocked) => {
+  blocker.dependencies.push({ task: blocked._id, type: 'blocks' });
+  blocked.dependencies.push({ task: blocker._id, type: 'blocked-by' });
+};
+
+// a blocks b blocks c ...
+const chain = (length) => {
+  const chainTasks = Array.from({ length }, (_, index) => addTask(`Task ${index}`));
+  chainTasks.slice(1).forEach((task, index) => block(chainTasks[index], task));
+  return chainTasks;
+};
+
+beforeEach(() => {
+  tasks = useMemoryModel(Task, []);
+});
+
+describe('wouldCreateCycle', () => {
+  it('treats a task blocking itself as a cycle', async () => {
+    const task = addTask('Alone');
+
+    await expect(wouldCreateCycle(task._id, task._id)).resolves.toBe(true);
+  });
+
+  it('detects a blocker that is already downstream, however far', async () => {
+    const [first, , , last] = chain(4);
+
+    await expect(wouldCreateCycle(last._id, first._id)).resolves.toBe(true);
+  });
+
+  it('allows links that keep the graph acyclic', async () => {
+    const [first, middle, last] = chain(3);
+    const other = addTask('Other');
+
+    await expect(wouldCreateCycle(first._id, last._id)).resolves.toBe(false);
+    await expect(wouldCreateCycle(other._id, middle._id)).resolves.toBe(false);
+    await expect(wouldCreateCycle(middle._id, other._id)).resolves.toBe(false);
+  });
+
+  it('follows branches as well as chains', async () => {
+    const root = addTask('Root');
+    const left = addTask('Left');
+    const right = addTask('Right');
+    const leaf = addTask('Leaf');
+    block(root, left);
+    block(root, right);
+    block(right, leaf);
+
+    await expect(wouldCreateCycle(leaf._id, root._id)).resolves.toBe(true);
+    await expect(wouldCreateCycle(leaf._id, left._id)).resolves.toBe(false);
+  });
+
+  it('refuses to decide when the downstream graph is too large to walk', async () => {
+    const first = addTask('First');
+    const fanOut = Array.from({ length: 1000 }, (_, index) => addTask(`Blocked ${index}`));
+    fanOut.forEach(task => block(first, task));
+    block(fanOut[0], addTask('Beyond the limit'));
+    const unrelated = addTask('Unrelated');
+
+    await expect(wouldCreateCycle(unrelated._id, first._id)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('addDependency', () => {
+  it('stores the link on both tasks', async () => {
+    const blocker = addTask('Blocker');
+    const blocked = addTask('Blocked');
+
+    await addDependency(blocker, blocked, 'blocks', userId);
+
+    expect(blocker.dependencies).toEqual([{ task: blocked._id, type: 'blocks' }]);
+    expect(blocked.dependencies).toEqual([{ task: blocker._id, type: 'blocked-by' }]);
+  });
+
+  it('rejects a link that would close a loop', async () => {
+    const [first, , last] = chain(3);
+
+    await expect(addDependency(first, last, 'blocked-by', userId)).rejects.toMatchObject({ statusCode: 400 });
+    expect(first.dependencies).toHaveLength(1);
+  });
+
+  it('allows related tasks regardless of blocking order', async () => {
+    const [first, , last] = chain(3);
+
+    await addDependency(last, first, 'relates-to', userId);
+
+    expect(first.dependencies).toContainEqual({ task: last._id, type: 'relates-to' });
+  });
+});
+
+describe('getOpenBlockers', () => {
+  it('ignores blockers that are done or cancelled', async () => {
+    const open = addTask('Open');
+    const done = addTask('Done', { statusCategory: 'done' });
+    const cancelled = addTask('Cancelled', { statusCategory: 'cancelled' });
+    const blocked = addTask('Blocked');
+    [open, done, cancelled].forEach(blocker => block(blocker, blocked));
+
+    const blockers = await getOpenBlockers(blocked);
+
+    expect(blockers.map(blocker => blocker.title)).toEqual(['Open']);
+  });
+});
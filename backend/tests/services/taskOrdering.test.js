@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const { POSITION_STEP, getEndPosition, rebalanceColumn, getMovePosition } = require('../../services/taskOrdering');
+const { useMemoryModel } = require('../helpers/memoryModel');
+
+const projectId = new mongoose.Types.ObjectId();
+
+let tasks;
+let createdAt;
+
+const addTask = (status, position) => {
+  createdAt += 1000;
+  const task = {
+    _id: new mongoose.Types.ObjectId(),
+    project: projectId,
+    status,
+    position,
+    createdAt: new Date(createdAt)
+  };
+  tasks.push(task);
+  return task;
+};
+
+beforeEach(() => {
+  tasks = useMemoryModel(Task, []);
+  createdAt = Date.UTC(2024, 0, 1);
+});
+
+describe('getEndPosition', () => {
+  it('starts an empty column at one step', async () => {
+    await expect(getEndPosition(projectId, 'todo')).resolves.toBe(POSITION_STEP);
+  });
+
+  it('places new tasks a step below the last one in the column', async () => {
+    addTask('todo', 1024);
+    addTask('todo', 4096);
+    addTask('in-progress', 10000);
+
+    await expect(getEndPosition(projectId, 'todo')).resolves.toBe(4096 + POSITION_STEP);
+  });
+});
+
+describe('getMovePosition', () => {
+  it('takes the midpoint between the new neighbours', async () => {
+    const first = addTask('todo', 1024);
+    const second = addTask('todo', 2048);
+    const moved = addTask('in-progress', 1024);
+
+    const result = await getMovePosition(moved, 'todo', { previousTaskId: first._id });
+
+    expect(result).toEqual({ position: 1536, rebalanced: [] });
+    expect(result.position).toBeLessThan(second.position);
+  });
+
+  it('looks up the previous task\'s current successor rather than trusting the client', async () => {
+    const first = addTask('todo', 1024);
+    addTask('todo', 1100);
+    addTask('todo', 2048);
+    const moved = addTask('in-progress', 1024);
+
+    const { position } = await getMovePosition(moved, 'todo', { previousTaskId: first._id });
+
+    expect(position).toBe(1062);
+  });
+
+  it('places a task after the last one or before the first one', async () => {
+    const first = addTask('todo', 1024);
+    const last = addTask('todo', 2048);
+    const moved = addTask('in-progress', 1024);
+
+    await expect(getMovePosition(moved, 'todo', { previousTaskId: last._id }))
+      .resolves.toMatchObject({ position: 2048 + POSITION_STEP });
+    await expect(getMovePosition(moved, 'todo', { nextTaskId: first._id }))
+      .resolves.toMatchObject({ position: 1024 - POSITION_STEP });
+  });
+
+  it('moves to the top of the column when no neighbour is given', async () => {
+    addTask('todo', 500);
+    const moved = addTask('todo', 900);
+
+    await expect(getMovePosition(moved, 'todo')).resolves.toMatchObject({ position: 500 - POSITION_STEP });
+  });
+
+  it('rejects neighbours from another column', async () => {
+    const elsewhere = addTask('in-progress', 1024);
+    const moved = addTask('todo', 1024);
+
+    await expect(getMovePosition(moved, 'todo', { previousTaskId: elsewhere._id }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('renumbers a column whose tasks share a position before moving', async () => {
+    const oldest = addTask('todo', 0);
+    const middle = addTask('todo', 0);
+    const newest = addTask('todo', 0);
+    const moved = addTask('in-progress', 1024);
+
+    // Ties are listed newest first, and keep that order when renumbered
+    const { position, rebalanced } = await getMovePosition(moved, 'todo', { previousTaskId: newest._id });
+
+    expect(rebalanced.map(entry => entry.position)).toEqual([1024, 2048, 3072]);
+    expect([newest, middle, oldest].map(task => task.position)).toEqual([1024, 2048, 3072]);
+    expect(position).toBe(1536);
+  });
+
+  it('renumbers once neighbours get too close to split', async () => {
+    const first = addTask('todo', 1000);
+    addTask('todo', 1000 + 1e-7);
+    const moved = addTask('in-progress', 1024);
+
+    const { position, rebalanced } = await getMovePosition(moved, 'todo', { previousTaskId: first._id });
+
+    expect(rebalanced).toHaveLength(2);
+    expect(first.position).toBe(1024);
+    expect(position).toBe(1536);
+  });
+});
+
+describe('rebalanceColumn', () => {
+  it('spaces the column out in its current order, leaving out the excluded task', async () => {
+    const a = addTask('todo', 5);
+    const b = addTask('todo', 7);
+    const excluded = addTask('todo', 6);
+
+    const positions = await rebalanceColumn(projectId, 'todo', excluded._id);
+
+    expect(positions).toEqual([
+      { _id: a._id, position: 1024 },
+      { _id: b._id, position: 2048 }
+    ]);
+    expect(excluded.position).toBe(6);
+  });
+});
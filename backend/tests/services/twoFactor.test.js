@@ -0,0 +1,116 @@
+const {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  consumeRecoveryCode
+} = require('../../services/twoFactor');
+
+// RFC 6238 appendix B test secret ("12345678901234567890"), base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const atTime = (seconds) => jest.spyOn(Date, 'now').mockReturnValue(seconds * 1000);
+
+describe('generateCode', () => {
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    expect(generateCode(RFC_SECRET, Math.floor(59 / 30))).toBe('287082');
+    expect(generateCode(RFC_SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(generateCode(RFC_SECRET, Math.floor(1234567890 / 30))).toBe('005924');
+  });
+
+  it('works with generated secrets', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateCode(secret, 1)).toMatch(/^\d{6}$/);
+  });
+});
+
+describe('verifyCode', () => {
+  const now = 1111111109;
+  const step = Math.floor(now / 30);
+
+  it('accepts the current code and resolves to its time step', () => {
+    atTime(now);
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step))).toBe(step);
+  });
+
+  it('allows one step of clock drift either way', () => {
+    atTime(now);
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2))).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2))).toBeNull();
+  });
+
+  it('rejects a code whose step has already been used', () => {
+    atTime(now);
+    const code = generateCode(RFC_SECRET, step);
+
+    const usedStep = verifyCode(RFC_SECRET, code);
+    expect(verifyCode(RFC_SECRET, code, usedStep)).toBeNull();
+  });
+
+  it('rejects codes from before the last used step', () => {
+    atTime(now);
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), step)).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), step)).toBe(step + 1);
+  });
+
+  it('ignores spaces and rejects malformed codes', () => {
+    atTime(now);
+    const code = generateCode(RFC_SECRET, step);
+
+    expect(verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`)).toBe(step);
+    expect(verifyCode(RFC_SECRET, code.slice(1))).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(RFC_SECRET, null)).toBeNull();
+    expect(verifyCode(null, code)).toBeNull();
+  });
+});
+
+describe('buildOtpauthUrl', () => {
+  it('describes the secret for authenticator apps', () => {
+    const url = new URL(buildOtpauthUrl(RFC_SECRET, 'ada@example.com'));
+
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.host).toBe('totp');
+    expect(decodeURIComponent(url.pathname)).toBe('/SynergySphere:ada@example.com');
+    expect(url.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(url.searchParams.get('digits')).toBe('6');
+    expect(url.searchParams.get('period')).toBe('30');
+  });
+});
+
+describe('recovery codes', () => {
+  it('stores only hashes of the generated codes', () => {
+    const { codes, hashed } = generateRecoveryCodes(3);
+
+    expect(codes).toHaveLength(3);
+    codes.forEach(code => expect(code).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/));
+    hashed.forEach((entry, index) => {
+      expect(entry.hash).not.toContain(codes[index].replace('-', ''));
+      expect(entry.usedAt).toBeNull();
+    });
+  });
+
+  it('accepts each code once, ignoring case and separators', () => {
+    const { codes, hashed } = generateRecoveryCodes(2);
+
+    expect(consumeRecoveryCode(hashed, codes[0].toUpperCase().replace('-', ' '))).toBe(true);
+    expect(hashed[0].usedAt).toBeInstanceOf(Date);
+    expect(consumeRecoveryCode(hashed, codes[0])).toBe(false);
+    expect(consumeRecoveryCode(hashed, codes[1])).toBe(true);
+  });
+
+  it('rejects unknown codes', () => {
+    const { hashed } = generateRecoveryCodes(2);
+
+    expect(consumeRecoveryCode(hashed, '00000-00000')).toBe(false);
+    expect(consumeRecoveryCode([], 'anything')).toBe(false);
+  });
+});
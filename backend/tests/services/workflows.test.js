@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const Project = require('../../models/Project');
+const Sprint = require('../../models/Sprint');
+const Task = require('../../models/Task');
+const { checkTransition, validateWorkflow, updateWorkflow } = require('../../services/workflows');
+const { useMemoryModel } = require('../helpers/memoryModel');
+
+const ownerId = new mongoose.Types.ObjectId();
+
+let tasks;
+
+const createProject = (workflow) => new Project({ name: 'Launch', owner: ownerId, workflow });
+
+const addTask = (title, status, fields = {}) => {
+  const task = {
+    _id: new mongoose.Types.ObjectId(),
+    title,
+    status,
+    statusCategory: 'todo',
+    assignee: null,
+    subtasks: [],
+    dependencies: [],
+    completedAt: null,
+    ...fields
+  };
+  tasks.push(task);
+  return task;
+};
+
+const block = (blocker, blocked) => {
+  blocker.dependencies.push({ task: blocked._id, type: 'blocks' });
+  blocked.dependencies.push({ task: blocker._id, type: 'blocked-by' });
+};
+
+const statuses = [
+  { key: 'backlog', name: 'Backlog', category: 'todo' },
+  { key: 'doing', name: 'Doing', category: 'active' },
+  { key: 'review', name: 'Review', category: 'active' },
+  { key: 'shipped', name: 'Shipped', category: 'done' }
+];
+
+beforeEach(() => {
+  tasks = useMemoryModel(Task, []);
+  useMemoryModel(Sprint, []);
+  jest.spyOn(Project.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Task, 'aggregate').mockImplementation(async ([{ $match }]) => {
+    const counts = new Map();
+    tasks
+      .filter(task => task.project.toString() === $match.project.toString())
+      .forEach(task => counts.set(task.status, (counts.get(task.status) || 0) + 1));
+    return [...counts].map(([status, count]) => ({ _id: status, count }));
+  });
+});
+
+describe('validateWorkflow', () => {
+  it('normalizes statuses and drops repeated guards', () => {
+    const workflow = validateWorkflow({
+      statuses: [...statuses, { key: 'dropped', name: 'Dropped', category: 'cancelled', color: '#999999', extra: true }],
+      transitions: [{ from: '*', to: 'shipped', guards: ['assignee-required', 'assignee-required'] }]
+    });
+
+    expect(workflow.statuses[0]).toEqual({ key: 'backlog', name: 'Backlog', category: 'todo', color: null });
+    expect(workflow.statuses[4]).toEqual({ key: 'dropped', name: 'Dropped', category: 'cancelled', color: '#999999' });
+    expect(workflow.transitions).toEqual([{ from: '*', to: 'shipped', guards: ['assignee-required'] }]);
+  });
+
+  it('needs between 1 and 20 statuses', () => {
+    const many = Array.from({ length: 21 }, (_, index) => ({ key: `s${index}`, name: `S${index}`, category: 'todo' }));
+
+    expect(() => validateWorkflow({ statuses: [] })).toThrow('A workflow needs between 1 and 20 statuses');
+    expect(() => validateWorkflow({ statuses: many })).toThrow('A workflow needs between 1 and 20 statuses');
+  });
+
+  it('rejects repeated status keys', () => {
+    expect(() => validateWorkflow({ statuses: [...statuses, statuses[1]] }))
+      .toThrow('Status "doing" is listed more than once');
+  });
+
+  it('needs a todo and a done status', () => {
+    expect(() => validateWorkflow({ statuses: statuses.filter(status => status.category !== 'done') }))
+      .toThrow('A workflow needs at least one done status');
+    expect(() => validateWorkflow({ statuses: statuses.filter(status => status.category !== 'todo') }))
+      .toThrow('A workflow needs at least one todo status');
+  });
+
+  it('rejects transitions between unknown statuses or listed twice', () => {
+    expect(() => validateWorkflow({ statuses, transitions: [{ from: 'nowhere', to: 'doing' }] }))
+      .toThrow('Transition from unknown status "nowhere"');
+    expect(() => validateWorkflow({ statuses, transitions: [{ from: '*', to: 'nowhere' }] }))
+      .toThrow('Transition to unknown status "nowhere"');
+    expect(() => validateWorkflow({ statuses, transitions: [{ from: '*', to: 'doing' }, { from: '*', to: 'doing' }] }))
+      .toThrow('Transition from "*" to "doing" is listed more than once');
+  });
+});
+
+describe('checkTransition', () => {
+  it('lets a task stay where it is', async () => {
+    const project = createProject({ statuses, transitions: [{ from: 'backlog', to: 'doing' }] });
+    const task = addTask('Stay', 'review');
+
+    await expect(checkTransition(task, project, 'review')).resolves.toMatchObject({ status: { key: 'review' } });
+  });
+
+  it('rejects unknown statuses and moves no rule allows', async () => {
+    const project = createProject({ statuses, transitions: [{ from: 'backlog', to: 'doing' }] });
+    const task = addTask('Stuck', 'doing');
+
+    await expect(checkTransition(task, project, 'nowhere')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(checkTransition(task, project, 'review')).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Tasks cannot move from Doing to Review'
+    });
+  });
+
+  it('prefers the rule for the exact status over a wildcard', async () => {
+    const project = createProject({
+      statuses,
+      transitions: [
+        { from: '*', to: 'review', guards: ['assignee-required'] },
+        { from: 'backlog', to: 'review', guards: [] }
+      ]
+    });
+
+    await expect(checkTransition(addTask('From backlog', 'backlog'), project, 'review'))
+      .resolves.toMatchObject({ status: { key: 'review' } });
+    await expect(checkTransition(addTask('From doing', 'doing'), project, 'review')).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Cannot move to Review: the task must have an assignee'
+    });
+  });
+
+  it('counts open embedded subtasks and child tasks for the subtasks guard', async () => {
+    const project = createProject({ statuses, transitions: [{ from: '*', to: 'review', guards: ['subtasks-complete'] }] });
+    const task = addTask('Parent', 'doing', { subtasks: [{ completed: true }, { completed: false }] });
+    addTask('Open child', 'doing', { parent: task._id, statusCategory: 'active' });
+    addTask('Done child', 'shipped', { parent: task._id, statusCategory: 'done' });
+
+    await expect(checkTransition(task, project, 'review')).rejects.toMatchObject({
+      message: 'Cannot move to Review: 2 subtask(s) must be completed first'
+    });
+  });
+
+  it('refuses to complete a task with open blockers unless forced', async () => {
+    const project = createProject();
+    const blocker = addTask('Blocker', 'in-progress', { statusCategory: 'active' });
+    const task = addTask('Blocked', 'in-progress', { statusCategory: 'active' });
+    block(blocker, task);
+
+    await expect(checkTransition(task, project, 'completed')).rejects.toMatchObject({ statusCode: 409 });
+
+    const { openBlockers } = await checkTransition(task, project, 'completed', { force: true });
+    expect(openBlockers.map(open => open.title)).toEqual(['Blocker']);
+  });
+
+  it('checks blockers on moves into done statuses even without the guard', async () => {
+    const blocker = addTask('Blocker', 'doing', { statusCategory: 'active' });
+    const task = addTask('Blocked', 'doing', { statusCategory: 'active' });
+    block(blocker, task);
+
+    const unrestricted = createProject({ statuses, transitions: [] });
+    const unguarded = createProject({ statuses, transitions: [{ from: '*', to: 'shipped', guards: [] }] });
+
+    await expect(checkTransition(task, unrestricted, 'shipped')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(checkTransition(task, unguarded, 'shipped')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(checkTransition(task, unrestricted, 'review')).resolves.toMatchObject({ openBlockers: [] });
+  });
+});
+
+describe('updateWorkflow', () => {
+  it('refuses to drop statuses tasks still use unless they are mapped', async () => {
+    const project = createProject();
+    addTask('In review', 'in-review', { project: project._id });
+    addTask('Also in review', 'in-review', { project: project._id });
+
+    await expect(updateWorkflow(project, { statuses })).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Tasks still use removed statuses: in-review (2 task(s)). Map them to new statuses with statusMap.'
+    });
+    expect(project.save).not.toHaveBeenCalled();
+  });
+
+  it('moves tasks out of removed statuses into the mapped ones', async () => {
+    const project = createProject();
+    const todo = addTask('Todo', 'todo', { project: project._id });
+    const inReview = addTask('In review', 'in-review', { project: project._id, statusCategory: 'active' });
+    const completedAt = new Date('2024-01-01');
+    const completed = addTask('Completed', 'completed', { project: project._id, statusCategory: 'done', completedAt });
+
+    const result = await updateWorkflow(project, { statuses }, {
+      todo: 'backlog',
+      'in-review': 'shipped',
+      completed: 'shipped'
+    });
+
+    expect(result.moved).toEqual(expect.arrayContaining([
+      { from: 'todo', to: 'backlog' },
+      { from: 'in-review', to: 'shipped' },
+      { from: 'completed', to: 'shipped' }
+    ]));
+    expect(todo).toMatchObject({ status: 'backlog', statusCategory: 'todo', completedAt: null });
+    expect(inReview).toMatchObject({ status: 'shipped', statusCategory: 'done' });
+    expect(inReview.completedAt).toBeInstanceOf(Date);
+    // Tasks that were already complete keep their completion time
+    expect(completed.completedAt).toBe(completedAt);
+    expect(project.getWorkflow().statuses.map(status => status.key)).toEqual(statuses.map(status => status.key));
+    expect(project.progress.toObject()).toMatchObject({ totalTasks: 3, completedTasks: 2 });
+  });
+
+  it('moves tasks into the new category of a status that kept its key', async () => {
+    const project = createProject({ statuses });
+    const task = addTask('Under review', 'review', { project: project._id, statusCategory: 'active' });
+
+    const reviewIsDone = statuses.map(status => (status.key === 'review' ? { ...status, category: 'done' } : status));
+    await updateWorkflow(project, { statuses: reviewIsDone });
+
+    expect(task).toMatchObject({ status: 'review', statusCategory: 'done' });
+    expect(task.completedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,73 @@
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { useAuth } from '@/hooks/useAuth';
+import { getSafeRedirect } from '@/lib/utils';
+import TwoFactorChallenge from '@/components/auth/TwoFactorChallenge';
+
+export default function AuthCallbackPage() {
+  const { loginWithToken } = useAuth();
+  const router = useRouter();
+  const handled = useRef(false);
+  const [challengeToken, setChallengeToken] = useState('');
+  const [redirect, setRedirect] = useState<string | null>(null);
+
+  const finishSignIn = useCallback(async (accessToken: string, redirectTo: string | null) => {
+    await loginWithToken(accessToken);
+    router.replace(getSafeRedirect(redirectTo));
+  }, [loginWithToken, router]);
+
+  useEffect(() => {
+    if (handled.current) return;
+    handled.current = true;
+
+    // The backend passes the tokens, or a two-factor challenge, in the URL
+    // fragment after single sign-on
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const accessToken = params.get('accessToken');
+    const redirectTo = params.get('redirect');
+
+    // Drop the tokens from the address bar and history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (params.get('twoFactorRequired') && params.get('challengeToken')) {
+      setRedirect(redirectTo);
+      setChallengeToken(params.get('challengeToken')!);
+      return;
+    }
+
+    if (params.get('twoFactorSetupRequired')) {
+      router.replace('/login?error=' + encodeURIComponent('Your administrator requires two-factor authentication. Please set it up before signing in.'));
+      return;
+    }
+
+    if (!accessToken) {
+      router.replace('/login?error=' + encodeURIComponent('Single sign-on failed. Please try again.'));
+      return;
+    }
+
+    finishSignIn(accessToken, redirectTo)
+      .catch((err: Error) => {
+        router.replace('/login?error=' + encodeURIComponent(err.message || 'Single sign-on failed. Please try again.'));
+      });
+  }, [finishSignIn, router]);
+
+  if (challengeToken) {
+    return (
+      <TwoFactorChallenge
+        challengeToken={challengeToken}
+        onSignedIn={(accessToken) => finishSignIn(accessToken, redirect)}
+      />
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+      <div className="text-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+        <p className="mt-4 text-gray-600">Signing you in...</p>
+      </div>
+    </div>
+  );
+}
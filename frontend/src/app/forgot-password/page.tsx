@@ -0,0 +1,12 @@
+import { Metadata } from 'next';
+import ForgotPasswordForm from '@/components/auth/ForgotPasswordForm';
+
+export const metadata: Metadata = {
+  title: 'Forgot Password - SynergySphere',
+  description: 'Request a link to reset your SynergySphere password.',
+  robots: 'noindex, nofollow',
+};
+
+export default function ForgotPasswordPage() {
+  return <ForgotPasswordForm />;
+}
@@ -0,0 +1,101 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { useAuth } from '@/hooks/useAuth';
+import { api } from '@/lib/api';
+import { MailOpen } from 'lucide-react';
+
+export default function AcceptInvitationPage() {
+  const [token, setToken] = useState<string | null>(null);
+  const [isAccepting, setIsAccepting] = useState(false);
+  const [error, setError] = useState('');
+
+  const { user, isLoading } = useAuth();
+  const router = useRouter();
+
+  useEffect(() => {
+    // The invitation email links here with its token
+    const invitationToken = new URLSearchParams(window.location.search).get('token');
+    if (invitationToken) {
+      setToken(invitationToken);
+    } else {
+      setError('This invitation link is incomplete. Please use the link from your email.');
+    }
+  }, []);
+
+  const handleAccept = async () => {
+    if (!token) return;
+
+    setIsAccepting(true);
+    setError('');
+
+    try {
+      const response = await api.acceptInvitation(token);
+      const project = response.data?.project;
+      router.push(project ? `/project/${project._id}` : '/dashboard');
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : 'The invitation could not be accepted. Please try again.');
+      setIsAccepting(false);
+    }
+  };
+
+  const returnPath = token ? `/invitations/accept?token=${encodeURIComponent(token)}` : '/dashboard';
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <h1 className="text-3xl font-bold text-gray-900">SynergySphere</h1>
+          <MailOpen className="mx-auto mt-6 h-10 w-10 text-blue-600" />
+          <h2 className="mt-2 text-2xl font-semibold text-gray-700">
+            Project invitation
+          </h2>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+        ) : user ? (
+          <div className="space-y-6">
+            <p className="text-sm text-gray-600 text-center">
+              You&apos;re signed in as {user.email}. Accept the invitation to join the project.
+            </p>
+            <button
+              type="button"
+              onClick={handleAccept}
+              disabled={!token || isAccepting}
+              className="btn-primary w-full flex justify-center"
+            >
+              {isAccepting ? 'Joining project...' : 'Accept invitation'}
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <p className="text-sm text-gray-600 text-center">
+              Sign in or create an account with the email address this invitation was sent to.
+            </p>
+            <Link
+              href={`/login?redirect=${encodeURIComponent(returnPath)}`}
+              className="btn-primary w-full flex justify-center"
+            >
+              Sign in to accept
+            </Link>
+            <Link
+              href={token ? `/register?invitation=${encodeURIComponent(token)}` : '/register'}
+              className="btn-secondary w-full flex justify-center"
+            >
+              Create an account
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -9,7 +9,12 @@ import { Project, Task, User } from '@/types';
 import { formatDate, getInitials } from '@/lib/utils';
 import Navbar from '@/components/ui/Navbar';
 import TaskCard from '@/components/project/TaskCard';
+import BoardColumn from '@/components/project/BoardColumn';
 import CreateTaskModal from '@/components/project/CreateTaskModal';
+import PresenceAvatars from '@/components/project/PresenceAvatars';
+import { usePresence } from '@/hooks/usePresence';
+import { useProjectChannel } from '@/hooks/useProjectChannel';
+import { getSocket } from '@/lib/socket';
 import { 
   ArrowLeft, 
   Plus, 
@@ -22,12 +27,41 @@ import {
   Settings
 } from 'lucide-react';
 
+// Board columns and the API statuses they correspond to
+const BOARD_COLUMNS: { status: Task['status']; apiStatus: string; title: string; dotClassName: string }[] = [
+  { status: 'todo', apiStatus: 'todo', title: 'To Do', dotClassName: 'bg-gray-400' },
+  { status: 'in_progress', apiStatus: 'in-progress', title: 'In Progress', dotClassName: 'bg-blue-500' },
+  { status: 'done', apiStatus: 'completed', title: 'Done', dotClassName: 'bg-green-500' },
+];
+
+const POSITION_STEP = 1024;
+
+interface TaskMovedEvent {
+  taskId: string;
+  status: string;
+  position: number;
+  rebalanced: { _id: string; position: number }[];
+}
+
+// Apply a move (and any renumbered column) to the local task list
+const applyMove = (tasks: Task[], taskId: string, status: Task['status'] | undefined, position: number, rebalanced: { _id: string; position: number }[] = []) => {
+  const positions = new Map(rebalanced.map(item => [item._id, item.position]));
+
+  return tasks.map(task => {
+    if (task.id === taskId) {
+      return { ...task, status: status ?? task.status, position };
+    }
+    return positions.has(task.id) ? { ...task, position: positions.get(task.id) } : task;
+  });
+};
+
 export default function ProjectDetailPage() {
   const [project, setProject] = useState<Project | null>(null);
   const [tasks, setTasks] = useState<Task[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [isTaskModalOpen, setIsTaskModalOpen] = useState(false);
   const [editingTask, setEditingTask] = useState<Task | null>(null);
+  const [draggedTaskId, setDraggedTaskId] = useState<string | null>(null);
   const [activeTab, setActiveTab] = useState<'board' | 'list'>('board');
   const [error, setError] = useState('');
 
@@ -35,6 +69,7 @@ export default function ProjectDetailPage() {
   const router = useRouter();
   const { user } = useAuth();
   const projectId = params.id as string;
+  const presentUsers = usePresence(projectId);
 
   // Load project data
   const loadProject = async () => {
@@ -68,6 +103,25 @@ export default function ProjectDetailPage() {
     }
   }, [projectId]);
 
+  // Refetch if we were offline longer than the server can replay
+  useProjectChannel(projectId, { onResync: loadProject });
+
+  // Keep the board in step with moves made by other members
+  useEffect(() => {
+    const socket = getSocket();
+    if (!socket || !projectId) return;
+
+    const handleTaskMoved = (event: TaskMovedEvent) => {
+      const column = BOARD_COLUMNS.find(item => item.apiStatus === event.status);
+      setTasks(current => applyMove(current, event.taskId, column?.status, event.position, event.rebalanced));
+    };
+
+    socket.on('task_moved', handleTaskMoved);
+    return () => {
+      socket.off('task_moved', handleTaskMoved);
+    };
+  }, [projectId]);
+
   // Handle task status change
   const handleTaskStatusChange = async (taskId: string, status: Task['status']) => {
     try {
@@ -83,6 +137,51 @@ export default function ProjectDetailPage() {
     }
   };
 
+  // Handle a card dropped at `index` of a column (index counts the dragged card)
+  const handleTaskDrop = async (status: Task['status'], index: number) => {
+    const taskId = draggedTaskId;
+    setDraggedTaskId(null);
+
+    const task = tasks.find(item => item.id === taskId);
+    if (!taskId || !task) return;
+
+    const column = tasksByStatus[status];
+    const insertAt = column.slice(0, index).filter(item => item.id !== taskId).length;
+    const others = column.filter(item => item.id !== taskId);
+    const previous = others[insertAt - 1] || null;
+    const next = others[insertAt] || null;
+
+    // Dropped back where it was
+    if (task.status === status && column.indexOf(task) === insertAt) return;
+
+    // Show the move straight away, the server confirms the exact position
+    const previousPosition = previous?.position ?? 0;
+    const nextPosition = next?.position ?? 0;
+    const position = previous && next
+      ? (previousPosition + nextPosition) / 2
+      : previous ? previousPosition + POSITION_STEP : next ? nextPosition - POSITION_STEP : POSITION_STEP;
+    const snapshot = tasks;
+    setTasks(applyMove(tasks, taskId, status, position));
+
+    try {
+      const apiStatus = BOARD_COLUMNS.find(item => item.status === status)?.apiStatus;
+      const response = await api.moveTask(taskId, {
+        status: apiStatus,
+        previousTaskId: previous?.id ?? null,
+        nextTaskId: previous ? null : next?.id ?? null,
+      });
+
+      if (response.success && response.data) {
+        const { task: moved, rebalanced } = response.data;
+        setTasks(current => applyMove(current, taskId, status, moved.position, rebalanced));
+      }
+    } catch (err) {
+      console.error('Error moving task:', err);
+      setTasks(snapshot);
+      setError(err instanceof Error ? err.message : 'Failed to move task');
+    }
+  };
+
   // Handle task deletion
   const handleTaskDelete = async (taskId: string) => {
     if (!confirm('Are you sure you want to delete this task?')) return;
@@ -108,11 +207,12 @@ export default function ProjectDetailPage() {
     setEditingTask(null);
   };
 
-  // Organize tasks by status
-  const tasksByStatus = {
-    todo: tasks.filter(task => task.status === 'todo'),
-    in_progress: tasks.filter(task => task.status === 'in_progress'),
-    done: tasks.filter(task => task.status === 'done'),
+  // Organize tasks by status, in board order
+  const byPosition = (a: Task, b: Task) => (a.position ?? 0) - (b.position ?? 0);
+  const tasksByStatus: Record<Task['status'], Task[]> = {
+    todo: tasks.filter(task => task.status === 'todo').sort(byPosition),
+    in_progress: tasks.filter(task => task.status === 'in_progress').sort(byPosition),
+    done: tasks.filter(task => task.status === 'done').sort(byPosition),
   };
 
   // Calculate project stats
@@ -311,77 +411,22 @@ export default function ProjectDetailPage() {
         {activeTab === 'board' ? (
           /* Kanban Board */
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-            {/* To Do Column */}
-            <div className="bg-white rounded-lg p-4">
-              <div className="flex items-center justify-between mb-4">
-                <h3 className="font-semibold text-gray-900 flex items-center">
-                  <div className="w-3 h-3 bg-gray-400 rounded-full mr-2"></div>
-                  To Do ({tasksByStatus.todo.length})
-                </h3>
-              </div>
-              <div className="space-y-3">
-                {tasksByStatus.todo.map(task => (
-                  <TaskCard
-                    key={task.id}
-                    task={task}
-                    onStatusChange={handleTaskStatusChange}
-                    onEdit={handleTaskEdit}
-                    onDelete={handleTaskDelete}
-                  />
-                ))}
-                {tasksByStatus.todo.length === 0 && (
-                  <p className="text-gray-400 text-sm">No tasks</p>
-                )}
-              </div>
-            </div>
-
-            {/* In Progress Column */}
-            <div className="bg-white rounded-lg p-4">
-              <div className="flex items-center justify-between mb-4">
-                <h3 className="font-semibold text-gray-900 flex items-center">
-                  <div className="w-3 h-3 bg-blue-500 rounded-full mr-2"></div>
-                  In Progress ({tasksByStatus.in_progress.length})
-                </h3>
-              </div>
-              <div className="space-y-3">
-                {tasksByStatus.in_progress.map(task => (
-                  <TaskCard
-                    key={task.id}
-                    task={task}
-                    onStatusChange={handleTaskStatusChange}
-                    onEdit={handleTaskEdit}
-                    onDelete={handleTaskDelete}
-                  />
-                ))}
-                {tasksByStatus.in_progress.length === 0 && (
-                  <p className="text-gray-400 text-sm">No tasks</p>
-                )}
-              </div>
-            </div>
-
-            {/* Done Column */}
-            <div className="bg-white rounded-lg p-4">
-              <div className="flex items-center justify-between mb-4">
-                <h3 className="font-semibold text-gray-900 flex items-center">
-                  <div className="w-3 h-3 bg-green-500 rounded-full mr-2"></div>
-                  Done ({tasksByStatus.done.length})
-                </h3>
-              </div>
-              <div className="space-y-3">
-                {tasksByStatus.done.map(task => (
-                  <TaskCard
-                    key={task.id}
-                    task={task}
-                    onStatusChange={handleTaskStatusChange}
-                    onEdit={handleTaskEdit}
-                    onDelete={handleTaskDelete}
-                  />
-                ))}
-                {tasksByStatus.done.length === 0 && (
-                  <p className="text-gray-400 text-sm">No tasks</p>
-                )}
-              </div>
-            </div>
+            {BOARD_COLUMNS.map(column => (
+              <BoardColumn
+                key={column.status}
+                title={column.title}
+                dotClassName={column.dotClassName}
+                status={column.status}
+                tasks={tasksByStatus[column.status]}
+                draggedTaskId={draggedTaskId}
+                onDragStart={setDraggedTaskId}
+                onDragEnd={() => setDraggedTaskId(null)}
+                onDrop={handleTaskDrop}
+                onStatusChange={handleTaskStatusChange}
+                onEdit={handleTaskEdit}
+                onDelete={handleTaskDelete}
+              />
+            ))}
           </div>
         ) : (
           /* List View */
@@ -417,7 +462,10 @@ export default function ProjectDetailPage() {
         {/* Team Members Section */}
         <div className="mt-12">
           <div className="flex items-center justify-between mb-6">
-            <h2 className="text-xl font-semibold text-gray-900">Team Members</h2>
+            <div className="flex items-center space-x-4">
+              <h2 className="text-xl font-semibold text-gray-900">Team Members</h2>
+              <PresenceAvatars users={presentUsers} />
+            </div>
             <button className="btn-secondary inline-flex items-center">
               <UserPlus className="h-5 w-5 mr-2" />
               Add Member
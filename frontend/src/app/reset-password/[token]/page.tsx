@@ -0,0 +1,12 @@
+import { Metadata } from 'next';
+import ResetPasswordForm from '@/components/auth/ResetPasswordForm';
+
+export const metadata: Metadata = {
+  title: 'Reset Password - SynergySphere',
+  description: 'Choose a new password for your SynergySphere account.',
+  robots: 'noindex, nofollow',
+};
+
+export default function ResetPasswordPage() {
+  return <ResetPasswordForm />;
+}
@@ -0,0 +1,55 @@
+'use client';
+
+import { useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { useAuth } from '@/hooks/useAuth';
+import Navbar from '@/components/ui/Navbar';
+import SessionsPanel from '@/components/settings/SessionsPanel';
+import ApiTokensPanel from '@/components/settings/ApiTokensPanel';
+
+export default function SettingsPage() {
+  const { user, isLoading: authLoading, logout } = useAuth();
+  const router = useRouter();
+
+  // Redirect to login if not authenticated
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push('/login');
+    }
+  }, [user, authLoading, router]);
+
+  const handleSignOut = async () => {
+    await logout();
+    window.location.href = '/login';
+  };
+
+  if (authLoading || !user) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Loading...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navbar />
+
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Account settings</h1>
+          <p className="text-gray-600">Manage how you sign in to SynergySphere.</p>
+        </div>
+
+        <div className="space-y-6">
+          <SessionsPanel onSignOut={handleSignOut} />
+          <ApiTokensPanel />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+import { Metadata } from 'next';
+import VerifyEmail from '@/components/auth/VerifyEmail';
+
+export const metadata: Metadata = {
+  title: 'Verify Email - SynergySphere',
+  description: 'Confirm the email address of your SynergySphere account.',
+  robots: 'noindex, nofollow',
+};
+
+export default function VerifyEmailPage() {
+  return <VerifyEmail />;
+}
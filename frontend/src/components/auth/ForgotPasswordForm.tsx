@@ -0,0 +1,107 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { forgotPasswordSchema } from '@/lib/validations';
+import { api } from '@/lib/api';
+import { Mail } from 'lucide-react';
+
+type ForgotPasswordFormData = {
+  email: string;
+};
+
+export default function ForgotPasswordForm() {
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm<ForgotPasswordFormData>({
+    resolver: zodResolver(forgotPasswordSchema),
+  });
+
+  const onSubmit = async (data: ForgotPasswordFormData) => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await api.forgotPassword(data.email);
+      setSentMessage(response.message || 'If an account with that email exists, we have sent a password reset link.');
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : 'The reset link could not be sent. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <h1 className="text-3xl font-bold text-gray-900">SynergySphere</h1>
+          <h2 className="mt-2 text-2xl font-semibold text-gray-700">
+            Reset your password
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Enter your email address and we&apos;ll send you a link to choose a new password
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        {sentMessage ? (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+            {sentMessage}
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            <div>
+              <label htmlFor="email" className="sr-only">
+                Email address
+              </label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Mail className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  id="email"
+                  type="email"
+                  autoComplete="email"
+                  className="input-field pl-10"
+                  placeholder="Email address"
+                  {...register('email')}
+                />
+              </div>
+              {errors.email && (
+                <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="btn-primary w-full flex justify-center"
+            >
+              {isLoading ? 'Sending...' : 'Send reset link'}
+            </button>
+          </form>
+        )}
+
+        <div className="text-center">
+          <Link href="/login" className="text-sm text-blue-600 hover:text-blue-500 font-medium">
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,13 +1,16 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { loginSchema } from '@/lib/validations';
 import { useAuth } from '@/hooks/useAuth';
-import { Eye, EyeOff, Mail, Lock } from 'lucide-react';
+import { api } from '@/lib/api';
+import { getSafeRedirect } from '@/lib/utils';
+import { SignInOptions } from '@/types';
+import { Eye, EyeOff, Mail, Lock, KeyRound } from 'lucide-react';
 
 type LoginFormData = {
   email: string;
@@ -18,6 +21,8 @@ export default function LoginForm() {
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  const [signInOptions, setSignInOptions] = useState<SignInOptions | null>(null);
+  const [redirect, setRedirect] = useState('/dashboard');
   
   const router = useRouter();
   const { login } = useAuth();
@@ -30,13 +35,35 @@ export default function LoginForm() {
     resolver: zodResolver(loginSchema),
   });
 
+  useEffect(() => {
+    // Errors from single sign-on come back as a query parameter
+    const params = new URLSearchParams(window.location.search);
+    const ssoError = params.get('error');
+    if (ssoError) {
+      setError(ssoError);
+    }
+    setRedirect(getSafeRedirect(params.get('redirect')));
+
+    api.getSignInOptions()
+      .then((response) => {
+        if (response.success && response.data) {
+          setSignInOptions(response.data);
+        }
+      })
+      .catch(() => {
+        // Fall back to password sign in only
+      });
+  }, []);
+
+  const passwordLoginEnabled = signInOptions?.passwordLoginEnabled ?? true;
+
   const onSubmit = async (data: LoginFormData) => {
     setIsLoading(true);
     setError('');
     
     try {
       await login(data.email, data.password);
-      router.push('/dashboard');
+      router.push(redirect);
     } catch (err: any) {
       setError(err.message || 'Login failed. Please try again.');
     } finally {
@@ -57,96 +84,121 @@ export default function LoginForm() {
           </p>
         </div>
         
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
-          {error && (
-            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
-              {error}
-            </div>
-          )}
-          
-          <div className="space-y-4">
-            <div>
-              <label htmlFor="email" className="sr-only">
-                Email address
-              </label>
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        {signInOptions?.enabled && (
+          <div className="space-y-6">
+            <a
+              href={api.getSsoLoginUrl(redirect)}
+              className="btn-secondary w-full flex items-center justify-center"
+            >
+              <KeyRound className="h-5 w-5 mr-2" />
+              Sign in with {signInOptions.providerName}
+            </a>
+
+            {passwordLoginEnabled && (
               <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Mail className="h-5 w-5 text-gray-400" />
+                <div className="absolute inset-0 flex items-center">
+                  <div className="w-full border-t border-gray-300" />
+                </div>
+                <div className="relative flex justify-center text-sm">
+                  <span className="px-2 bg-gray-50 text-gray-500">or continue with email</span>
                 </div>
-                <input
-                  id="email"
-                  type="email"
-                  autoComplete="email"
-                  className="input-field pl-10"
-                  placeholder="Email address"
-                  {...register('email')}
-                />
               </div>
-              {errors.email && (
-                <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
-              )}
-            </div>
+            )}
+          </div>
+        )}
+
+        {passwordLoginEnabled && (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="email" className="sr-only">
+                  Email address
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Mail className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="email"
+                    type="email"
+                    autoComplete="email"
+                    className="input-field pl-10"
+                    placeholder="Email address"
+                    {...register('email')}
+                  />
+                </div>
+                {errors.email && (
+                  <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+                )}
+              </div>
             
-            <div>
-              <label htmlFor="password" className="sr-only">
-                Password
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Lock className="h-5 w-5 text-gray-400" />
+              <div>
+                <label htmlFor="password" className="sr-only">
+                  Password
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Lock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="password"
+                    type={showPassword ? 'text' : 'password'}
+                    autoComplete="current-password"
+                    className="input-field pl-10 pr-10"
+                    placeholder="Password"
+                    {...register('password')}
+                  />
+                  <button
+                    type="button"
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    onClick={() => setShowPassword(!showPassword)}
+                  >
+                    {showPassword ? (
+                      <EyeOff className="h-5 w-5 text-gray-400" />
+                    ) : (
+                      <Eye className="h-5 w-5 text-gray-400" />
+                    )}
+                  </button>
                 </div>
-                <input
-                  id="password"
-                  type={showPassword ? 'text' : 'password'}
-                  autoComplete="current-password"
-                  className="input-field pl-10 pr-10"
-                  placeholder="Password"
-                  {...register('password')}
-                />
-                <button
-                  type="button"
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  onClick={() => setShowPassword(!showPassword)}
-                >
-                  {showPassword ? (
-                    <EyeOff className="h-5 w-5 text-gray-400" />
-                  ) : (
-                    <Eye className="h-5 w-5 text-gray-400" />
-                  )}
-                </button>
+                {errors.password && (
+                  <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+                )}
               </div>
-              {errors.password && (
-                <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
-              )}
             </div>
-          </div>
 
-          <div className="flex items-center justify-between">
-            <Link
-              href="/forgot-password"
-              className="text-sm text-blue-600 hover:text-blue-500"
-            >
-              Forgot your password?
-            </Link>
-          </div>
+            <div className="flex items-center justify-between">
+              <Link
+                href="/forgot-password"
+                className="text-sm text-blue-600 hover:text-blue-500"
+              >
+                Forgot your password?
+              </Link>
+            </div>
 
-          <button
-            type="submit"
-            disabled={isLoading}
-            className="btn-primary w-full flex justify-center"
-          >
-            {isLoading ? 'Signing in...' : 'Sign in'}
-          </button>
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="btn-primary w-full flex justify-center"
+            >
+              {isLoading ? 'Signing in...' : 'Sign in'}
+            </button>
 
-          <div className="text-center">
-            <span className="text-sm text-gray-600">
-              Don't have an account?{' '}
-              <Link href="/register" className="text-blue-600 hover:text-blue-500 font-medium">
-                Sign up
-              </Link>
-            </span>
-          </div>
-        </form>
+            <div className="text-center">
+              <span className="text-sm text-gray-600">
+                Don't have an account?{' '}
+                <Link href="/register" className="text-blue-600 hover:text-blue-500 font-medium">
+                  Sign up
+                </Link>
+              </span>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
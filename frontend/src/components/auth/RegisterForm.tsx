@@ -1,7 +1,7 @@
 // src/components/auth/RegisterForm.tsx
 'use client';
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { useForm } from 'react-hook-form';
@@ -20,6 +20,7 @@ export default function RegisterForm() {
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  const [invitationToken, setInvitationToken] = useState<string | undefined>();
   
   const router = useRouter();
   const { register: registerUser } = useAuth();
@@ -32,12 +33,20 @@ export default function RegisterForm() {
     resolver: zodResolver(registerSchema),
   });
 
+  useEffect(() => {
+    // Signing up from an emailed invitation joins its project straight away
+    const token = new URLSearchParams(window.location.search).get('invitation');
+    if (token) {
+      setInvitationToken(token);
+    }
+  }, []);
+
   const onSubmit = async (data: RegisterFormData) => {
     setIsLoading(true);
     setError('');
     
     try {
-      await registerUser(data.name, data.email, data.password);
+      await registerUser(data.name, data.email, data.password, invitationToken);
       router.push('/dashboard');
     } catch (err: any) {
       setError(err.message || 'Registration failed. Please try again.');
@@ -0,0 +1,161 @@
+'use client';
+
+import { useState } from 'react';
+import { useParams, useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { resetPasswordSchema } from '@/lib/validations';
+import { useAuth } from '@/hooks/useAuth';
+import { api } from '@/lib/api';
+import { Eye, EyeOff, Lock } from 'lucide-react';
+
+type ResetPasswordFormData = {
+  password: string;
+  confirmPassword: string;
+};
+
+export default function ResetPasswordForm() {
+  const [showPassword, setShowPassword] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [doneMessage, setDoneMessage] = useState('');
+
+  const { token } = useParams<{ token: string }>();
+  const router = useRouter();
+  const { loginWithToken } = useAuth();
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm<ResetPasswordFormData>({
+    resolver: zodResolver(resetPasswordSchema),
+  });
+
+  const onSubmit = async (data: ResetPasswordFormData) => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await api.resetPassword(token, data.password, data.confirmPassword);
+
+      // Accounts with two-factor authentication, or that can't sign in right
+      // now, get no session and sign in again from the login page
+      if (response.data?.accessToken) {
+        await loginWithToken(response.data.accessToken);
+        router.push('/dashboard');
+        return;
+      }
+
+      setDoneMessage(response.message || 'Password reset successful. Please sign in again.');
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : 'Your password could not be reset. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <h1 className="text-3xl font-bold text-gray-900">SynergySphere</h1>
+          <h2 className="mt-2 text-2xl font-semibold text-gray-700">
+            Choose a new password
+          </h2>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        {doneMessage ? (
+          <div className="space-y-6">
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+              {doneMessage}
+            </div>
+            <Link href="/login" className="btn-primary w-full flex justify-center">
+              Sign in
+            </Link>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="password" className="sr-only">
+                  New password
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Lock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="password"
+                    type={showPassword ? 'text' : 'password'}
+                    autoComplete="new-password"
+                    className="input-field pl-10 pr-10"
+                    placeholder="New password"
+                    {...register('password')}
+                  />
+                  <button
+                    type="button"
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    onClick={() => setShowPassword(!showPassword)}
+                  >
+                    {showPassword ? (
+                      <EyeOff className="h-5 w-5 text-gray-400" />
+                    ) : (
+                      <Eye className="h-5 w-5 text-gray-400" />
+                    )}
+                  </button>
+                </div>
+                {errors.password && (
+                  <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+                )}
+              </div>
+
+              <div>
+                <label htmlFor="confirmPassword" className="sr-only">
+                  Confirm new password
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Lock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="confirmPassword"
+                    type={showPassword ? 'text' : 'password'}
+                    autoComplete="new-password"
+                    className="input-field pl-10"
+                    placeholder="Confirm new password"
+                    {...register('confirmPassword')}
+                  />
+                </div>
+                {errors.confirmPassword && (
+                  <p className="mt-1 text-sm text-red-600">{errors.confirmPassword.message}</p>
+                )}
+              </div>
+            </div>
+
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="btn-primary w-full flex justify-center"
+            >
+              {isLoading ? 'Resetting password...' : 'Reset password'}
+            </button>
+
+            <div className="text-center">
+              <Link href="/forgot-password" className="text-sm text-blue-600 hover:text-blue-500">
+                Need a new reset link?
+              </Link>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { api } from '@/lib/api';
+import { KeyRound } from 'lucide-react';
+
+interface TwoFactorChallengeProps {
+  challengeToken: string;
+  onSignedIn: (accessToken: string) => Promise<void>;
+}
+
+export default function TwoFactorChallenge({ challengeToken, onSignedIn }: TwoFactorChallengeProps) {
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const value = code.trim();
+      const response = await api.completeTwoFactorLogin(
+        challengeToken,
+        useRecoveryCode ? { recoveryCode: value } : { code: value }
+      );
+      await onSignedIn(response.data!.accessToken);
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : 'Your code could not be checked. Please try again.');
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <h1 className="text-3xl font-bold text-gray-900">SynergySphere</h1>
+          <h2 className="mt-2 text-2xl font-semibold text-gray-700">
+            Two-factor authentication
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            {useRecoveryCode
+              ? 'Enter one of your recovery codes'
+              : 'Enter the 6-digit code from your authenticator app'}
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          <div>
+            <label htmlFor="code" className="sr-only">
+              {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+            </label>
+            <div className="relative">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <KeyRound className="h-5 w-5 text-gray-400" />
+              </div>
+              <input
+                id="code"
+                type="text"
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                required
+                className="input-field pl-10"
+                placeholder={useRecoveryCode ? 'Recovery code' : '123456'}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={isLoading || !code.trim()}
+            className="btn-primary w-full flex justify-center"
+          >
+            {isLoading ? 'Verifying...' : 'Verify'}
+          </button>
+
+          <div className="flex items-center justify-between text-sm">
+            <button
+              type="button"
+              className="text-blue-600 hover:text-blue-500"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setCode('');
+                setError('');
+              }}
+            >
+              {useRecoveryCode ? 'Use an authentication code' : 'Use a recovery code'}
+            </button>
+            <Link href="/login" className="text-blue-600 hover:text-blue-500">
+              Back to sign in
+            </Link>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
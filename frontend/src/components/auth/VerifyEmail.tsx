@@ -0,0 +1,107 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import Link from 'next/link';
+import { api } from '@/lib/api';
+import { useAuth } from '@/hooks/useAuth';
+import { CheckCircle, XCircle } from 'lucide-react';
+
+type VerifyState = 'verifying' | 'verified' | 'failed';
+
+export default function VerifyEmail() {
+  const [state, setState] = useState<VerifyState>('verifying');
+  const [error, setError] = useState('');
+  const [resendMessage, setResendMessage] = useState('');
+  const [isResending, setIsResending] = useState(false);
+  const handled = useRef(false);
+
+  const { user } = useAuth();
+
+  useEffect(() => {
+    if (handled.current) return;
+    handled.current = true;
+
+    // The verification email links here with its token
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (!token) {
+      setError('Open the link from your verification email, or ask for a new one.');
+      setState('failed');
+      return;
+    }
+
+    api.verifyEmail(token)
+      .then(() => setState('verified'))
+      .catch((err: Error) => {
+        setError(err.message || 'Your email address could not be verified. Please try again.');
+        setState('failed');
+      });
+  }, []);
+
+  const handleResend = async () => {
+    setIsResending(true);
+
+    try {
+      const response = await api.resendVerification();
+      setResendMessage(response.message || 'A new verification link is on its way.');
+    } catch (err: unknown) {
+      setResendMessage(err instanceof Error ? err.message : 'A new link could not be sent. Please try again.');
+    } finally {
+      setIsResending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8 text-center">
+        <h1 className="text-3xl font-bold text-gray-900">SynergySphere</h1>
+
+        {state === 'verifying' && (
+          <div>
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+            <p className="mt-4 text-gray-600">Verifying your email address...</p>
+          </div>
+        )}
+
+        {state === 'verified' && (
+          <div className="space-y-6">
+            <CheckCircle className="mx-auto h-12 w-12 text-green-600" />
+            <h2 className="text-2xl font-semibold text-gray-700">Email verified</h2>
+            <p className="text-sm text-gray-600">Thanks for confirming your email address.</p>
+            <Link href={user ? '/dashboard' : '/login'} className="btn-primary w-full flex justify-center">
+              {user ? 'Go to dashboard' : 'Sign in'}
+            </Link>
+          </div>
+        )}
+
+        {state === 'failed' && (
+          <div className="space-y-6">
+            <XCircle className="mx-auto h-12 w-12 text-red-600" />
+            <h2 className="text-2xl font-semibold text-gray-700">Verification failed</h2>
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+              {error}
+            </div>
+            {resendMessage ? (
+              <p className="text-sm text-gray-600">{resendMessage}</p>
+            ) : user ? (
+              <button
+                type="button"
+                onClick={handleResend}
+                disabled={isResending}
+                className="btn-secondary w-full flex justify-center"
+              >
+                {isResending ? 'Sending...' : 'Send a new link'}
+              </button>
+            ) : (
+              <Link
+                href={`/login?redirect=${encodeURIComponent('/verify-email')}`}
+                className="btn-secondary w-full flex justify-center"
+              >
+                Sign in to get a new link
+              </Link>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
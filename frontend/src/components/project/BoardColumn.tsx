@@ -0,0 +1,117 @@
+'use client';
+
+import { useState, DragEvent } from 'react';
+import { Task } from '@/types';
+import TaskCard from '@/components/project/TaskCard';
+
+interface BoardColumnProps {
+  title: string;
+  dotClassName: string;
+  status: Task['status'];
+  tasks: Task[];
+  draggedTaskId: string | null;
+  onDragStart: (taskId: string) => void;
+  onDragEnd: () => void;
+  // index is where the task was dropped in `tasks`, counting the dragged task
+  onDrop: (status: Task['status'], index: number) => void;
+  onStatusChange: (taskId: string, status: Task['status']) => void;
+  onEdit: (task: Task) => void;
+  onDelete: (taskId: string) => void;
+}
+
+export default function BoardColumn({
+  title,
+  dotClassName,
+  status,
+  tasks,
+  draggedTaskId,
+  onDragStart,
+  onDragEnd,
+  onDrop,
+  onStatusChange,
+  onEdit,
+  onDelete,
+}: BoardColumnProps) {
+  const [dropIndex, setDropIndex] = useState<number | null>(null);
+
+  // Drop above a card when over its top half, below it otherwise
+  const handleCardDragOver = (e: DragEvent<HTMLDivElement>, index: number) => {
+    if (!draggedTaskId) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    setDropIndex(e.clientY < rect.top + rect.height / 2 ? index : index + 1);
+  };
+
+  // Empty space in the column drops at the bottom
+  const handleColumnDragOver = (e: DragEvent<HTMLDivElement>) => {
+    if (!draggedTaskId) return;
+    e.preventDefault();
+    setDropIndex(tasks.length);
+  };
+
+  const handleDragLeave = (e: DragEvent<HTMLDivElement>) => {
+    if (!e.currentTarget.contains(e.relatedTarget as Node | null)) {
+      setDropIndex(null);
+    }
+  };
+
+  const handleDrop = (e: DragEvent<HTMLDivElement>) => {
+    e.preventDefault();
+    if (draggedTaskId && dropIndex !== null) {
+      onDrop(status, dropIndex);
+    }
+    setDropIndex(null);
+  };
+
+  const dropIndicator = <div className="h-1 rounded-full bg-blue-500" />;
+
+  return (
+    <div
+      className={`bg-white rounded-lg p-4 transition-colors ${dropIndex !== null ? 'ring-2 ring-blue-200' : ''}`}
+      onDragOver={handleColumnDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold text-gray-900 flex items-center">
+          <div className={`w-3 h-3 rounded-full mr-2 ${dotClassName}`}></div>
+          {title} ({tasks.length})
+        </h3>
+      </div>
+      <div className="space-y-3 min-h-[4rem]">
+        {tasks.map((task, index) => (
+          <div key={task.id}>
+            {dropIndex === index && dropIndicator}
+            <div
+              draggable
+              onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', task.id);
+                onDragStart(task.id);
+              }}
+              onDragEnd={() => {
+                setDropIndex(null);
+                onDragEnd();
+              }}
+              onDragOver={(e) => handleCardDragOver(e, index)}
+              className={`cursor-grab ${draggedTaskId === task.id ? 'opacity-50' : ''}`}
+            >
+              <TaskCard
+                task={task}
+                onStatusChange={onStatusChange}
+                onEdit={onEdit}
+                onDelete={onDelete}
+              />
+            </div>
+          </div>
+        ))}
+        {dropIndex === tasks.length && dropIndicator}
+        {tasks.length === 0 && dropIndex === null && (
+          <p className="text-gray-400 text-sm">No tasks</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+'use client';
+
+import { PresenceUser } from '@/types';
+import { getInitials } from '@/lib/utils';
+
+interface PresenceAvatarsProps {
+  users: PresenceUser[];
+  max?: number;
+}
+
+export default function PresenceAvatars({ users, max = 5 }: PresenceAvatarsProps) {
+  if (users.length === 0) return null;
+
+  const visible = users.slice(0, max);
+  const hidden = users.length - visible.length;
+
+  return (
+    <div className="flex items-center">
+      <div className="flex -space-x-2">
+        {visible.map(({ user, viewingTasks }) => (
+          <div
+            key={user._id}
+            title={`${user.name}${viewingTasks.length > 0 ? ' (viewing a task)' : ''}`}
+            className="relative w-8 h-8 rounded-full ring-2 ring-white bg-blue-600 text-white text-xs font-medium flex items-center justify-center overflow-hidden"
+          >
+            {user.avatar ? (
+              // eslint-disable-next-line @next/next/no-img-element
+              <img src={user.avatar} alt={user.name} className="w-full h-full object-cover" />
+            ) : (
+              getInitials(user.name)
+            )}
+            <span className="absolute bottom-0 right-0 w-2 h-2 bg-green-500 rounded-full ring-1 ring-white" />
+          </div>
+        ))}
+        {hidden > 0 && (
+          <div className="w-8 h-8 rounded-full ring-2 ring-white bg-gray-200 text-gray-700 text-xs font-medium flex items-center justify-center">
+            +{hidden}
+          </div>
+        )}
+      </div>
+      <span className="ml-3 text-sm text-gray-600">
+        {users.length} viewing now
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+'use client';
+
+import { FormEvent, useEffect, useState } from 'react';
+import { api } from '@/lib/api';
+import { formatDate } from '@/lib/utils';
+import { ApiToken } from '@/types';
+import { Copy, KeyRound } from 'lucide-react';
+
+const EXPIRY_OPTIONS = [
+  { label: '30 days', value: 30 },
+  { label: '90 days', value: 90 },
+  { label: '1 year', value: 365 },
+  { label: 'Never', value: null },
+];
+
+export default function ApiTokensPanel() {
+  const [tokens, setTokens] = useState<ApiToken[]>([]);
+  const [availableScopes, setAvailableScopes] = useState<string[]>([]);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState<string[]>(['read']);
+  const [expiresInDays, setExpiresInDays] = useState<number | null>(90);
+  const [newTokenValue, setNewTokenValue] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadTokens = async () => {
+    try {
+      setIsLoading(true);
+      const response = await api.getApiTokens();
+      if (response.success && response.data) {
+        setTokens(response.data.tokens);
+        setAvailableScopes(response.data.availableScopes);
+      }
+    } catch (err) {
+      setError('Failed to load API tokens');
+      console.error('Error loading API tokens:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTokens();
+  }, []);
+
+  const toggleScope = (scope: string) => {
+    setScopes(scopes.includes(scope) ? scopes.filter(s => s !== scope) : [...scopes, scope]);
+  };
+
+  const handleCreate = async (e: FormEvent) => {
+    e.preventDefault();
+    if (!name.trim() || scopes.length === 0) return;
+
+    try {
+      setIsSubmitting(true);
+      setError('');
+      const response = await api.createApiToken({ name: name.trim(), scopes, expiresInDays });
+      if (response.success && response.data) {
+        setTokens([response.data.token, ...tokens]);
+        setNewTokenValue(response.data.value);
+        setName('');
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to create API token');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRevoke = async (token: ApiToken) => {
+    if (!confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) return;
+
+    try {
+      await api.revokeApiToken(token._id);
+      setTokens(tokens.filter(t => t._id !== token._id));
+    } catch (err) {
+      setError('Failed to revoke API token');
+      console.error('Error revoking API token:', err);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="mb-4">
+        <h2 className="text-lg font-semibold text-gray-900">Personal API tokens</h2>
+        <p className="text-sm text-gray-600">
+          Tokens let scripts and CI use the API as you. Send them as <code>Authorization: Bearer &lt;token&gt;</code>.
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      {newTokenValue && (
+        <div className="bg-green-50 border border-green-200 px-4 py-3 rounded-lg mb-4">
+          <p className="text-sm text-green-800 mb-2">Copy your new token now - it will not be shown again.</p>
+          <div className="flex items-center space-x-2">
+            <code className="flex-1 text-sm bg-white border border-green-200 rounded px-2 py-1 break-all">
+              {newTokenValue}
+            </code>
+            <button
+              onClick={() => navigator.clipboard.writeText(newTokenValue)}
+              className="p-2 text-green-700 hover:text-green-900"
+              title="Copy token"
+            >
+              <Copy className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-3 mb-6">
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            className="input-field flex-1"
+            placeholder="Token name, e.g. CI pipeline"
+            value={name}
+            onChange={e => setName(e.target.value)}
+            maxLength={100}
+          />
+          <select
+            className="input-field w-36"
+            value={expiresInDays ?? ''}
+            onChange={e => setExpiresInDays(e.target.value ? Number(e.target.value) : null)}
+          >
+            {EXPIRY_OPTIONS.map(option => (
+              <option key={option.label} value={option.value ?? ''}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex flex-wrap gap-3">
+          {availableScopes.map(scope => (
+            <label key={scope} className="flex items-center space-x-1 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={scopes.includes(scope)}
+                onChange={() => toggleScope(scope)}
+              />
+              <span>{scope}</span>
+            </label>
+          ))}
+        </div>
+        <button
+          type="submit"
+          disabled={isSubmitting || !name.trim() || scopes.length === 0}
+          className="btn-primary disabled:opacity-50"
+        >
+          {isSubmitting ? 'Creating...' : 'Create token'}
+        </button>
+      </form>
+
+      {isLoading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : tokens.length === 0 ? (
+        <p className="text-sm text-gray-500 py-4">No API tokens yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {tokens.map(token => (
+            <li key={token._id} className="flex items-center justify-between py-4">
+              <div className="flex items-start space-x-3">
+                <KeyRound className="h-6 w-6 text-gray-400 mt-1" />
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {token.name}
+                    <code className="ml-2 text-xs text-gray-500">{token.prefix}…</code>
+                  </p>
+                  <p className="text-sm text-gray-600">{token.scopes.join(', ')}</p>
+                  <p className="text-xs text-gray-500">
+                    Created {formatDate(token.createdAt)} ·{' '}
+                    {token.lastUsedAt ? `Last used ${formatDate(token.lastUsedAt)}` : 'Never used'} ·{' '}
+                    {token.expiresAt ? `Expires ${formatDate(token.expiresAt)}` : 'No expiry'}
+                  </p>
+                </div>
+              </div>
+              <button
+                onClick={() => handleRevoke(token)}
+                className="text-sm text-red-600 hover:text-red-800"
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,166 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { api } from '@/lib/api';
+import { formatDate } from '@/lib/utils';
+import { AuthSession } from '@/types';
+import { Monitor, Smartphone } from 'lucide-react';
+
+interface SessionsPanelProps {
+  // Signs this device out; used for the current session and after
+  // signing out everywhere
+  onSignOut: () => void;
+}
+
+const isMobile = (session: AuthSession) => /iOS|Android/.test(session.device);
+
+export default function SessionsPanel({ onSignOut }: SessionsPanelProps) {
+  const [sessions, setSessions] = useState<AuthSession[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [error, setError] = useState('');
+
+  const loadSessions = async () => {
+    try {
+      setIsLoading(true);
+      const response = await api.getSessions();
+      if (response.success && response.data) {
+        setSessions(response.data.sessions);
+      }
+    } catch (err) {
+      setError('Failed to load sessions');
+      console.error('Error loading sessions:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (session: AuthSession) => {
+    if (session.current) {
+      onSignOut();
+      return;
+    }
+
+    try {
+      setBusyId(session._id);
+      await api.revokeSession(session._id);
+      setSessions(sessions.filter(s => s._id !== session._id));
+    } catch (err) {
+      setError('Failed to sign out session');
+      console.error('Error revoking session:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      setBusyId('others');
+      await api.revokeOtherSessions();
+      setSessions(sessions.filter(s => s.current));
+    } catch (err) {
+      setError('Failed to sign out other sessions');
+      console.error('Error revoking sessions:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSignOutEverywhere = async () => {
+    if (!confirm('Sign out of every device, including this one?')) return;
+
+    try {
+      setBusyId('all');
+      await api.logoutAll();
+      onSignOut();
+    } catch (err) {
+      setError('Failed to sign out everywhere');
+      console.error('Error signing out everywhere:', err);
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Active sessions</h2>
+          <p className="text-sm text-gray-600">Devices where you are currently signed in.</p>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={handleRevokeOthers}
+            disabled={busyId !== null || sessions.length <= 1}
+            className="btn-secondary disabled:opacity-50"
+          >
+            Sign out other sessions
+          </button>
+          <button
+            onClick={handleSignOutEverywhere}
+            disabled={busyId !== null}
+            className="btn-danger disabled:opacity-50"
+          >
+            Sign out everywhere
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : sessions.length === 0 ? (
+        <p className="text-sm text-gray-500 py-4">No active sessions.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {sessions.map(session => {
+            const Icon = isMobile(session) ? Smartphone : Monitor;
+
+            return (
+              <li key={session._id} className="flex items-center justify-between py-4">
+                <div className="flex items-start space-x-3">
+                  <Icon className="h-6 w-6 text-gray-400 mt-1" />
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {session.device}
+                      {session.current && (
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">
+                          This device
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      {session.ip || 'Unknown IP'} · Signed in {formatDate(session.createdAt)} · Last active {formatDate(session.lastUsedAt)}
+                    </p>
+                    {session.userAgent && (
+                      <p className="text-xs text-gray-400 truncate max-w-md" title={session.userAgent}>
+                        {session.userAgent}
+                      </p>
+                    )}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRevoke(session)}
+                  disabled={busyId !== null}
+                  className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                >
+                  {busyId === session._id ? 'Signing out...' : 'Sign out'}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
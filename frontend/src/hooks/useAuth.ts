@@ -3,12 +3,14 @@
 import React, { useState, useEffect, createContext, useContext, ReactNode } from 'react';
 import { User } from '@/types';
 import { api } from '@/lib/api';
+import { disconnectSocket } from '@/lib/socket';
 
 interface AuthContextType {
   user: User | null;
   isLoading: boolean;
   login: (email: string, password: string) => Promise<void>;
-  register: (name: string, email: string, password: string) => Promise<void>;
+  register: (name: string, email: string, password: string, invitationToken?: string) => Promise<void>;
+  loginWithToken: (token: string) => Promise<void>;
   logout: () => Promise<void>;
 }
 
@@ -54,9 +56,9 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     }
   };
 
-  const register = async (name: string, email: string, password: string) => {
+  const register = async (name: string, email: string, password: string, invitationToken?: string) => {
     try {
-      const response = await api.register(name, email, password);
+      const response = await api.register(name, email, password, invitationToken);
       
       if (response.success && response.data) {
         const { token, user: userData } = response.data;
@@ -72,6 +74,26 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     }
   };
 
+  // Finish a single sign-on login, where the backend hands over the token
+  const loginWithToken = async (token: string) => {
+    localStorage.setItem('auth_token', token);
+
+    try {
+      const response = await api.getCurrentUser();
+
+      if (response.success && response.data) {
+        localStorage.setItem('user_data', JSON.stringify(response.data.user));
+        setUser(response.data.user);
+      } else {
+        throw new Error(response.message || 'Login failed');
+      }
+    } catch (error) {
+      console.error('Login error:', error);
+      localStorage.removeItem('auth_token');
+      throw error;
+    }
+  };
+
   const logout = async () => {
     try {
       await api.logout();
@@ -80,12 +102,13 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     } finally {
       localStorage.removeItem('auth_token');
       localStorage.removeItem('user_data');
+      disconnectSocket();
       setUser(null);
     }
   };
 
   return (
-    <AuthContext.Provider value={{ user, isLoading, login, register, logout }} >
+    <AuthContext.Provider value={{ user, isLoading, login, register, loginWithToken, logout }} >
       {children}
     </AuthContext.Provider>
   );
@@ -0,0 +1,45 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { api } from '@/lib/api';
+import { getSocket } from '@/lib/socket';
+import { PresenceUser } from '@/types';
+
+// Live list of users currently viewing a project. The room itself is
+// joined by useProjectChannel.
+export function usePresence(projectId: string) {
+  const [users, setUsers] = useState<PresenceUser[]>([]);
+
+  useEffect(() => {
+    if (!projectId) return;
+
+    let isActive = true;
+
+    // Initial snapshot over REST, then live updates over the socket
+    api.getProjectPresence(projectId)
+      .then(response => {
+        if (isActive && response.success && response.data) {
+          setUsers(response.data.users);
+        }
+      })
+      .catch(error => console.error('Error loading presence:', error));
+
+    const socket = getSocket();
+    if (!socket) return;
+
+    const handlePresence = (payload: { projectId: string; users: PresenceUser[] }) => {
+      if (payload.projectId === projectId) {
+        setUsers(payload.users);
+      }
+    };
+
+    socket.on('presence_updated', handlePresence);
+
+    return () => {
+      isActive = false;
+      socket.off('presence_updated', handlePresence);
+    };
+  }, [projectId]);
+
+  return users;
+}
@@ -0,0 +1,71 @@
+'use client';
+
+import { useEffect, useRef } from 'react';
+import { getSocket } from '@/lib/socket';
+
+interface JoinProjectAck {
+  success: boolean;
+  message?: string;
+  seq?: number;
+  resync?: boolean;
+  replayed?: number;
+}
+
+interface ProjectChannelOptions {
+  // Called when events were missed that the server can no longer replay;
+  // the page should refetch its data
+  onResync?: () => void;
+}
+
+// Keep the socket joined to a project room. Project events carry a seq;
+// after a reconnect the last seq seen is sent back so the server can
+// replay whatever was missed while offline.
+export function useProjectChannel(projectId: string, { onResync }: ProjectChannelOptions = {}) {
+  const onResyncRef = useRef(onResync);
+  onResyncRef.current = onResync;
+
+  useEffect(() => {
+    if (!projectId) return;
+
+    const socket = getSocket();
+    if (!socket) return;
+
+    let lastSeq: number | null = null;
+
+    const trackSeq = (_event: string, payload?: { projectId?: string; seq?: unknown }) => {
+      if (payload?.projectId === projectId && typeof payload.seq === 'number') {
+        lastSeq = Math.max(lastSeq ?? 0, payload.seq);
+      }
+    };
+
+    const joinProject = () => {
+      const data = lastSeq === null ? { projectId } : { projectId, lastSeq };
+
+      socket.emit('join_project', data, (ack: JoinProjectAck) => {
+        if (!ack?.success) {
+          console.error('Error joining project channel:', ack?.message);
+          return;
+        }
+
+        if (ack.resync) {
+          onResyncRef.current?.();
+        }
+
+        if (typeof ack.seq === 'number') {
+          lastSeq = Math.max(lastSeq ?? 0, ack.seq);
+        }
+      });
+    };
+
+    socket.onAny(trackSeq);
+    // Rejoin after reconnects so presence and missed events are restored
+    socket.on('connect', joinProject);
+    if (socket.connected) joinProject();
+
+    return () => {
+      socket.offAny(trackSeq);
+      socket.off('connect', joinProject);
+      socket.emit('leave_project', projectId);
+    };
+  }, [projectId]);
+}
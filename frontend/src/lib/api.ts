@@ -1,4 +1,4 @@
-import { ApiResponse } from '@/types';
+import { ApiResponse, ApiToken, AuthSession, PresenceUser, SignInOptions, User } from '@/types';
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
 
@@ -46,10 +46,17 @@ class ApiClient {
     });
   }
 
-  async register(name: string, email: string, password: string) {
+  async completeTwoFactorLogin(challengeToken: string, factor: { code?: string; recoveryCode?: string }) {
+    return this.request<{ accessToken: string; refreshToken: string }>('/auth/login/2fa', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, ...factor }),
+    });
+  }
+
+  async register(name: string, email: string, password: string, invitationToken?: string) {
     return this.request('/auth/register', {
       method: 'POST',
-      body: JSON.stringify({ name, email, password }),
+      body: JSON.stringify({ name, email, password, invitationToken }),
     });
   }
 
@@ -57,6 +64,78 @@ class ApiClient {
     return this.request('/auth/logout', { method: 'POST' });
   }
 
+  async logoutAll() {
+    return this.request('/auth/logout-all', { method: 'POST' });
+  }
+
+  async verifyEmail(token: string) {
+    return this.request('/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  }
+
+  async resendVerification() {
+    return this.request('/auth/resend-verification', { method: 'POST' });
+  }
+
+  async forgotPassword(email: string) {
+    return this.request('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  }
+
+  async resetPassword(token: string, password: string, confirmPassword: string) {
+    return this.request<{ accessToken?: string; refreshToken?: string }>(`/auth/reset-password/${encodeURIComponent(token)}`, {
+      method: 'POST',
+      body: JSON.stringify({ password, confirmPassword }),
+    });
+  }
+
+  async getCurrentUser() {
+    return this.request<{ user: User }>('/auth/me');
+  }
+
+  // Single sign-on methods
+  async getSignInOptions() {
+    return this.request<SignInOptions>('/auth/oidc');
+  }
+
+  getSsoLoginUrl(redirect?: string) {
+    const query = redirect ? `?redirect=${encodeURIComponent(redirect)}` : '';
+    return `${API_BASE_URL}/auth/oidc/login${query}`;
+  }
+
+  // Session methods
+  async getSessions() {
+    return this.request<{ sessions: AuthSession[] }>('/auth/sessions');
+  }
+
+  async revokeSession(id: string) {
+    return this.request(`/auth/sessions/${id}`, { method: 'DELETE' });
+  }
+
+  async revokeOtherSessions() {
+    return this.request<{ revoked: number }>('/auth/sessions', { method: 'DELETE' });
+  }
+
+  // API token methods
+  async getApiTokens() {
+    return this.request<{ tokens: ApiToken[]; availableScopes: string[] }>('/tokens');
+  }
+
+  async createApiToken(data: { name: string; scopes: string[]; expiresInDays?: number | null }) {
+    return this.request<{ token: ApiToken; value: string }>('/tokens', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async revokeApiToken(id: string) {
+    return this.request(`/tokens/${id}`, { method: 'DELETE' });
+  }
+
   // Project methods
   async getProjects() {
     return this.request('/projects');
@@ -84,6 +163,18 @@ class ApiClient {
     return this.request(`/projects/${id}`, { method: 'DELETE' });
   }
 
+  async getProjectPresence(id: string) {
+    return this.request<{ users: PresenceUser[] }>(`/projects/${id}/presence`);
+  }
+
+  // Invitation methods
+  async acceptInvitation(token: string) {
+    return this.request<{ project: { _id: string; name: string } | null }>('/invitations/accept', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  }
+
   // Task methods
   async getTasks(projectId: string) {
     return this.request(`/projects/${projectId}/tasks`);
@@ -106,6 +197,16 @@ class ApiClient {
   async deleteTask(taskId: string) {
     return this.request(`/tasks/${taskId}`, { method: 'DELETE' });
   }
+
+  async moveTask(taskId: string, data: { status?: string; previousTaskId?: string | null; nextTaskId?: string | null }) {
+    return this.request<{
+      task: { _id: string; status: string; position: number };
+      rebalanced: { _id: string; position: number }[];
+    }>(`/tasks/${taskId}/move`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  }
 }
 
 export const api = new ApiClient();
\ No newline at end of file
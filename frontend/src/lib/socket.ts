@@ -0,0 +1,29 @@
+import { io, Socket } from 'socket.io-client';
+
+const SOCKET_URL =
+  process.env.NEXT_PUBLIC_SOCKET_URL ||
+  (process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api').replace(/\/api\/?$/, '');
+
+let socket: Socket | null = null;
+
+// Shared, authenticated socket connection. The server rejects the
+// handshake without a valid access token.
+export function getSocket(): Socket | null {
+  if (typeof window === 'undefined') return null;
+
+  const token = localStorage.getItem('auth_token');
+  if (!token) return null;
+
+  if (!socket) {
+    socket = io(SOCKET_URL, {
+      auth: (cb) => cb({ token: localStorage.getItem('auth_token') }),
+    });
+  }
+
+  return socket;
+}
+
+export function disconnectSocket() {
+  socket?.disconnect();
+  socket = null;
+}
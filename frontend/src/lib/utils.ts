@@ -5,6 +5,11 @@ export function cn(...inputs: ClassValue[]) {
   return twMerge(clsx(inputs))
 }
 
+// Only follow redirects to paths on this site
+export function getSafeRedirect(path: string | null, fallback = '/dashboard'): string {
+  return path && path.startsWith('/') && !path.startsWith('//') ? path : fallback;
+}
+
 export function formatDate(date: Date | string): string {
   const d = typeof date === 'string' ? new Date(date) : date;
   return d.toLocaleDateString('en-US', {
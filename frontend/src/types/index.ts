@@ -38,6 +38,7 @@ export interface User {
     assignee?: User;
     status: 'todo' | 'in_progress' | 'done';
     due_date?: Date;
+    position?: number;
     created_by: string;
     created_at: Date;
     updated_at: Date;
@@ -67,6 +68,45 @@ export interface User {
     password: string;
   }
   
+  export interface PresenceUser {
+    user: {
+      _id: string;
+      name: string;
+      avatar?: string | null;
+    };
+    since: string;
+    connections: number;
+    viewingTasks: string[];
+  }
+  
+  export interface AuthSession {
+    _id: string;
+    device: string;
+    ip: string | null;
+    userAgent: string | null;
+    createdAt: string;
+    lastUsedAt: string;
+    expiresAt: string;
+    current: boolean;
+  }
+  
+  export interface ApiToken {
+    _id: string;
+    name: string;
+    prefix: string;
+    scopes: string[];
+    expiresAt: string | null;
+    lastUsedAt: string | null;
+    lastUsedIp: string | null;
+    createdAt: string;
+  }
+  
+  export interface SignInOptions {
+    enabled: boolean;
+    providerName: string;
+    passwordLoginEnabled: boolean;
+  }
+  
   export interface ApiResponse<T = any> {
     success: boolean;
     data?: T;